@@ -1,4 +1,8 @@
 /* Infinity × Watson Demo — CSP‑safe external JS */
+// Load seeded_rng.js, scope_render.js, watson_chat.js, scope_codec.js,
+// scope_session.js, gif_encoder.js, canvas_export.js, field_signal_graph.js,
+// signal_engine.js, scope_audio.js and scope_input.js before this file
+// (watson.html loads them in this order and has every element queried here).
 (function(){
   const $ = (s)=>document.querySelector(s);
   const logEl = $('#console');
@@ -13,44 +17,96 @@
   let running = false, glow=false;
   let t = 0, dt = 0.016;
   let f1 = 1.2, f2 = 2.3, phase = Math.PI/3, noise = 0.0, jam=false;
-  let lastTick = 0;
+  let lastTick = 0, frame = 0;
 
-  function drawFrame(ts){
-    if(!running){ lastTick = 0; return; }
-    const w = scope.width, h = scope.height;
-    ctx.clearRect(0,0,w,h);
+  // Seeded randomness: every draw goes through streams forked from one seed.
+  // Boot with #seed=… (or ?seed=…); regen() rolls a new one and puts it in the hash.
+  // Per-sample noise is keyed by (seed, frame) so replays redraw the same jitter.
+  let seed = '', rng = null, chatRng = null, typeRng = null;
+  function setSeed(s){
+    seed = String(s);
+    rng = SeededRng.create(seed); chatRng = rng.fork('chat'); typeRng = rng.fork('type');
+  }
+  function urlSeed(){
+    return new URLSearchParams(location.hash.slice(1)).get('seed') || new URLSearchParams(location.search).get('seed');
+  }
+  function shareSeed(){
+    try{ history.replaceState(null, '', '#seed=' + encodeURIComponent(seed)); }catch(_){}
+  }
+  const noiseAt = (n) => ScopeRender.noise(seed, n);
+  setSeed(urlSeed() || SeededRng.randomSeed());
 
-    // grid
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.lineWidth = 1;
-    ctx.strokeStyle = 'rgba(148,163,184,0.18)';
-    ctx.beginPath();
-    for(let x=0; x<w; x+=50){ ctx.moveTo(x,0); ctx.lineTo(x,h); }
-    for(let y=0; y<h; y+=40){ ctx.moveTo(0,y); ctx.lineTo(w,y); }
-    ctx.stroke();
-
-    // trace
-    const cx = w/2, cy = h/2, A = Math.min(w,h)/3.0;
-    ctx.lineWidth = glow ? 2 : 1.4;
-    ctx.strokeStyle = glow ? 'rgba(94,234,212,0.85)' : 'rgba(94,234,212,0.75)';
-    ctx.shadowBlur = glow ? 18 : 0;
-    ctx.shadowColor = 'rgba(94,234,212,0.8)';
-    ctx.beginPath();
-    let first=true;
-    const steps = 1400;
-    for(let i=0;i<steps;i++){
-      const tt = t + i/steps * (jam ? 14 : 8);
-      const x = cx + A * Math.sin(2*Math.PI*f1*tt + phase) + (Math.random()-0.5)*noise*4;
-      const y = cy + A * Math.sin(2*Math.PI*f2*tt) * Math.cos(phase) + (Math.random()-0.5)*noise*4;
-      if(first){ ctx.moveTo(x,y); first=false; } else { ctx.lineTo(x,y); }
+  // Phrase rendering: the scope steps through ScopeCodec segments for the latest
+  // chat line, records what it drew, then decodes that stream back as a check.
+  const SEG_FRAMES = 3;
+  let phrase = null;
+  function renderPhrase(text){
+    if(!text) return;
+    const saved = phrase ? phrase.saved : { f1, f2, phase };
+    phrase = { text, frames: ScopeCodec.frames(ScopeCodec.encode(text), SEG_FRAMES), i: 0, stream: [], saved };
+    if(!running) log('codec.queued — press Start to render the phrase');
+  }
+  function stopPhrase(restore){
+    if(!phrase) return;
+    if(restore){ f1 = phrase.saved.f1; f2 = phrase.saved.f2; phase = phrase.saved.phase; }
+    phrase = null;
+  }
+  function stepPhrase(){
+    const fr = phrase.frames[phrase.i++];
+    f1 = fr.f1; f2 = fr.f2; phase = fr.phase;
+    phrase.stream.push({ f1, f2, phase });
+    if(phrase.i < phrase.frames.length) return;
+    const { text, stream } = phrase;
+    stopPhrase(true);
+    try{
+      const back = ScopeCodec.decode(stream);
+      log('codec.decode ' + (back === text ? 'ok' : 'MISMATCH') + ' :: ' + stream.length + ' frames → “' + back + '”');
+    }catch(e){ log('codec.decode failed: ' + e.message); }
+  }
+
+  // Session recording & replay. Events are keyed to `frame` (frames drawn so far);
+  // t advances by a fixed dt per frame, so re-applying them on the same frame
+  // reproduces the run.
+  const recorder = ScopeSession.createRecorder();
+  let player = null;
+  const scopeState = () => ({ f1, f2, phase, noise, jam, glow, t, seed });
+  function applyState(s){
+    ({ f1, f2, phase, noise, jam, glow, t } = s);
+    if(s.seed != null && s.seed !== seed) setSeed(s.seed);
+  }
+  function rec(type, data){ if(!player) recorder.record(frame, type, scopeState(), data); }
+  function startRecording(){ recorder.begin(frame, scopeState()); }
+
+  function replay(session){
+    clear();
+    player = ScopeSession.createPlayer(session);
+    frame = player.start;
+    log('session.replay() :: ' + session.events.length + ' events over ' + player.frames + ' frames');
+    if(!running){ running=true; requestAnimationFrame(drawFrame); }
+  }
+  function endReplay(why){
+    if(!player) return;
+    player = null;
+    log('session.replay ' + why);
+    startRecording();
+  }
+  function replayDue(){
+    for(const ev of player.due(frame)){
+      if(ev.type === 'chat'){ chatEl.appendChild(mkMsg(ev.who, ev.text)); chatEl.scrollTop = chatEl.scrollHeight; renderPhrase(ev.text); continue; }
+      if(ev.type === 'clear' || ev.type === 'regen') clear();
+      if(ev.type === 'jam' || ev.type === 'calibrate') stopPhrase(false);
+      if(ev.state) applyState(ev.state);
     }
-    ctx.stroke();
+    if(player.done) endReplay('done');
+  }
 
-    // dot
-    ctx.fillStyle = 'rgba(96,165,250,0.9)';
-    const xd = cx + A*Math.sin(2*Math.PI*f1*t + phase);
-    const yd = cy + A*Math.sin(2*Math.PI*f2*t)*Math.cos(phase);
-    ctx.beginPath(); ctx.arc(xd, yd, glow?3.2:2.2, 0, Math.PI*2); ctx.fill();
+  function drawFrame(ts){
+    if(!running){ lastTick = 0; return; }
+    if(player) replayDue();
+    if(phrase) stepPhrase();
+    if(input) paintInput();
+    else ScopeRender.paint(ctx, scope.width, scope.height, scopeState(), noiseAt(frame));
+    syncAudio();
 
     // diag
     if (ts && ts - lastTick > 250){
@@ -58,28 +114,172 @@
       lastTick = ts;
     }
 
-    t += dt;
+    t += dt; frame++;
     requestAnimationFrame(drawFrame);
   }
 
+  // Exports re-run ScopeRender.paint from the current state; animated captures advance
+  // t (and the noise frame) as the live scope would at 60 fps.
+  function exportPainter(fps){
+    const s0 = scopeState(), f0 = frame, per = Math.round(60/fps);
+    return (c, w, h, k) => {
+      const s = Object.assign({}, s0, { t: s0.t + k*per*dt });
+      ScopeRender.paint(c, w, h, s, noiseAt(f0 + k*per));
+      c.save(); c.globalCompositeOperation = 'destination-over';
+      c.shadowBlur = 0; c.fillStyle = '#020617'; c.fillRect(0,0,w,h); c.restore();
+    };
+  }
+  async function exportScope(kind){
+    const w = scope.width, h = scope.height;
+    const scaleEl = $('#exportScale'), secsEl = $('#exportSecs');
+    const scale = scaleEl ? +scaleEl.value || 1 : 2, seconds = secsEl ? +secsEl.value || 3 : 3;
+    const name = 'watson-scope-' + seed + '-' + frame;
+    log('export.' + kind + '() …');
+    try{
+      let blob;
+      if(kind === 'png') blob = await CanvasExport.png(exportPainter(60), w, h, { scale });
+      else if(kind === 'svg') blob = CanvasExport.svg(exportPainter(60), w, h);
+      else if(kind === 'gif') blob = await CanvasExport.gif(exportPainter(20), w, h, { scale, seconds, fps: 20 });
+      else blob = await CanvasExport.webm(exportPainter(30), w, h, { scale, seconds, fps: 30 });
+      CanvasExport.download(blob, name + '.' + kind);
+      log('export.' + kind + ' ok :: ' + Math.round(blob.size/1024) + ' KB');
+    }catch(e){ log('export.' + kind + ' failed: ' + (e && e.message || e)); }
+  }
+
+  // Audio: the scope's X/Y as left/right through SignalEngine with the ScopeAudio
+  // graph. Whatever moves f1/f2/phase/noise (controls, phrases, replay) is picked
+  // up by syncAudio(), which only sends what changed.
+  let audio = null, muted = false, heard = null;
+  const audioParams = () => ({ f1, f2, phase, noise, muted });
+  function syncAudio(){
+    if(!audio || !audio.running) return;
+    const p = audioParams(), patch = {};
+    for(const k in p) if(!heard || heard[k] !== p[k]) patch[k] = p[k];
+    heard = p;
+    if(Object.keys(patch).length) audio.setParams(patch);
+  }
+  function toggleAudio(){
+    if(audio && audio.running){ audio.stop(); log('audio.stop()'); return; }
+    if(!audio){
+      audio = new SignalEngine({ graph: ScopeAudio, params: { ...ScopeAudio.DEFAULTS, ...audioParams() } });
+      audio.on('state', (s) => log('audio.state = ' + s));
+    }
+    try{
+      audio.setParams(audioParams()); heard = audioParams();
+      audio.start();
+      log('audio.start() :: L=' + (f1*ScopeAudio.HZ_PER_UNIT).toFixed(1) + ' Hz (X), R=' + (f2*ScopeAudio.HZ_PER_UNIT).toFixed(1) + ' Hz (Y)' + (muted ? ', muted' : ''));
+    }catch(e){ log('audio.start failed: ' + (e && e.message || e)); }
+  }
+  function toggleMute(){
+    muted = !muted;
+    syncAudio();
+    log('audio.mute=' + muted);
+  }
+
+  // Input mode: the scope shows a microphone / line-in or an audio file (picked or
+  // dropped on the canvas) instead of the generated figure, as a triggered trace,
+  // an XY figure or a spectrum.
+  let input = null, inputView = 'time', trigLevel = 0, timebase = 2;
+  function paintInput(){
+    const w = scope.width, h = scope.height, chans = input.channels, rate = input.rate;
+    input.read();
+    ctx.clearRect(0,0,w,h);
+    if(inputView === 'xy') ScopeInput.drawXY(ctx, w, h, chans, rate, { timebase });
+    else if(inputView === 'spectrum') ScopeInput.drawSpectrum(ctx, w, h, chans, rate);
+    else ScopeInput.drawTime(ctx, w, h, chans, rate, { timebase, level: trigLevel });
+  }
+  async function openInput(kind, file){
+    const next = input || new ScopeInput();
+    try{
+      if(kind === 'mic') await next.openMic(); else await next.openFile(file);
+      input = next;
+      log('input.' + kind + '() :: ' + input.label + ' @ ' + input.rate + ' Hz, view=' + inputView);
+      if(!running){ running=true; requestAnimationFrame(drawFrame); }
+    }catch(e){
+      if(input && !input.running) input = null;
+      log('input.' + kind + ' failed: ' + (e && e.message || e));
+    }
+  }
+  function closeInput(){
+    if(!input) return;
+    input.close(); input = null;
+    log('input.off() — back to the generated scope');
+  }
+
+  // Wraps a control handler: a user action ends any replay, then gets recorded.
+  function control(type, fn){
+    return () => { endReplay('stopped by ' + type); fn(); rec(type); syncAudio(); };
+  }
+
   function bindControls(){
-    $('#startBtn').onclick = () => { if(!running){ running=true; requestAnimationFrame(drawFrame); log('scope.start()'); } };
-    $('#pauseBtn').onclick = () => { running=false; log('scope.pause()'); };
-    $('#jamBtn').onclick = () => { jam=!jam; noise = jam? 0.8 : 0.0; f1 = jam? rnd(0.8,2.2):1.2; f2 = jam? rnd(1.6,3.5):2.3; phase = jam? rnd(0,Math.PI):Math.PI/3; log('scope.jam=' + jam); };
-    $('#calBtn').onclick = () => { f1=1.2; f2=2.3; phase=Math.PI/3; noise=0; jam=false; log('scope.calibrate()'); };
-    $('#glowBtn').onclick = () => { glow=!glow; log('scope.glow='+glow); };
-    $('#resetBtn').onclick = () => { t=0; log('scope.reset()'); };
-    $('#safeStartBtn').onclick = () => {
+    $('#startBtn').onclick = control('start', () => { if(!running){ running=true; requestAnimationFrame(drawFrame); log('scope.start()'); } });
+    $('#pauseBtn').onclick = control('pause', () => { running=false; log('scope.pause()'); });
+    $('#jamBtn').onclick = control('jam', () => { stopPhrase(true); jam=!jam; noise = jam? 0.8 : 0.0; f1 = jam? rnd(0.8,2.2):1.2; f2 = jam? rnd(1.6,3.5):2.3; phase = jam? rnd(0,Math.PI):Math.PI/3; log('scope.jam=' + jam); });
+    $('#calBtn').onclick = control('calibrate', () => { stopPhrase(false); f1=1.2; f2=2.3; phase=Math.PI/3; noise=0; jam=false; log('scope.calibrate()'); });
+    $('#glowBtn').onclick = control('glow', () => { glow=!glow; log('scope.glow='+glow); });
+    $('#resetBtn').onclick = control('reset', () => { t=0; log('scope.reset()'); });
+    $('#safeStartBtn').onclick = control('start', () => {
       bindControls(); // rebind in case DOM was replaced by a hot loader
       running=true; requestAnimationFrame(drawFrame);
       log('scope.safeStart() — rebound & forced one frame');
-    };
+    });
+    bindSessionControls();
+    bindExportControls();
+    bindAudioControls();
+    bindInputControls();
     log('controls.bound()');
   }
 
+  // Optional controls: pages without these elements simply don't offer them.
+  const on = (sel, ev, fn) => { const el = $(sel); if(el) el['on' + ev] = fn; };
+
+  // Sessions keep recording silently even without the buttons.
+  function bindSessionControls(){
+    on('#recBtn', 'click', () => { endReplay('stopped by rec'); startRecording(); log('session.record() — new timeline'); });
+    on('#saveSessionBtn', 'click', () => {
+      ScopeSession.download(recorder.toJSON({ dt }));
+      log('session.save() :: ' + recorder.length + ' events');
+    });
+    on('#sessionFile', 'change', async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if(!file) return;
+      try{ replay(ScopeSession.parse(await file.text())); }
+      catch(err){ log('session.load failed: ' + err.message); }
+      e.target.value = '';
+    });
+  }
+
+  function bindExportControls(){
+    for(const kind of ['png', 'svg', 'gif', 'webm']) on('#' + kind + 'Btn', 'click', () => exportScope(kind));
+  }
+
+  function bindAudioControls(){
+    on('#audioBtn', 'click', toggleAudio);
+    on('#muteBtn', 'click', toggleMute);
+  }
+
+  function bindInputControls(){
+    on('#micBtn', 'click', () => { if(input && input.label === 'microphone') closeInput(); else openInput('mic'); });
+    on('#inputOffBtn', 'click', closeInput);
+    on('#inputFile', 'change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if(file) openInput('file', file);
+      e.target.value = '';
+    });
+    on('#inputView', 'change', (e) => { inputView = e.target.value; log('input.view=' + inputView); });
+    on('#trigLevel', 'input', (e) => { trigLevel = +e.target.value; });
+    on('#timebase', 'change', (e) => { timebase = +e.target.value; log('input.timebase=' + timebase + ' ms/div'); });
+    scope.ondragover = (e) => e.preventDefault();
+    scope.ondrop = (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if(file) openInput('file', file);
+    };
+  }
+
   // helpers
-  function rnd(a=0,b=1){ return a + Math.random()*(b-a); }
-  function choice(arr){ return arr[Math.floor(Math.random()*arr.length)] }
+  function rnd(a=0,b=1){ return rng.range(a, b); }
+  function choice(arr){ return chatRng.pick(arr); }
 
   // Chat
   const chatEl = $('#chat');
@@ -132,53 +332,113 @@
     for (const line of [...opening, ...body, ...outro]) yield line;
   }
 
-  let playing=false, chatTimer=null;
-  function typeSequence(lines){
-    playing = true;
+  // Chat backend: ?chat=openai[&chatUrl=http://127.0.0.1:8082&model=...] streams from an
+  // OpenAI-compatible server; anything else replays script().
+  const scriptProvider = WatsonChat.fromGenerator('script', script);
+  function pickProvider(){
+    const q = new URLSearchParams(location.search);
+    if(q.get('chat') === 'openai'){
+      return WatsonChat.openAIProvider({ baseUrl: q.get('chatUrl') || undefined, model: q.get('model') || undefined });
+    }
+    return scriptProvider;
+  }
+  let provider = scriptProvider;
+
+  let playing=false, chatTimer=null, chatRun=0, chatAbort=null;
+  const wait = (ms)=>new Promise(r=>{ chatTimer = setTimeout(r, ms); });
+
+  // Types one line; `text` is a string or an async iterable of streamed chunks
+  // that keep extending the buffer the typewriter reveals.
+  function typeLine(who, text, run){
+    const msg = mkMsg(who, '');
+    const body = msg.querySelector('.text');
+    chatEl.appendChild(msg);
     chatEl.scrollTop = chatEl.scrollHeight;
-    let i=0;
-    function step(){
-      if(i>=lines.length){ playing=false; return; }
-      const [who, text] = lines[i++];
-      const msg = mkMsg(who, '');
-      chatEl.appendChild(msg);
-      chatEl.scrollTop = chatEl.scrollHeight;
-      let k=0; const speed = 12 + Math.random()*10;
+    let buf = typeof text === 'string' ? text : '';
+    let done = typeof text === 'string', failed = null;
+    if(!done){
+      (async()=>{
+        try{ for await (const chunk of text){ if(run !== chatRun) break; buf += chunk; } }
+        catch(e){ failed = e; }
+        done = true;
+      })();
+    }
+    let k=0; const speed = 12 + typeRng()*10;
+    return new Promise((resolve, reject)=>{
       const tick = () => {
-        msg.querySelector('.text').textContent = text.slice(0, k);
-        k += Math.max(1, Math.round(text.length/speed));
+        if(run !== chatRun) return resolve('');
+        body.textContent = buf.slice(0, k);
         chatEl.scrollTop = chatEl.scrollHeight;
-        if(k<=text.length){ chatTimer = setTimeout(tick, 30); }
-        else { chatTimer = setTimeout(step, 280); }
+        if(k < buf.length){ k = Math.min(buf.length, k + Math.max(1, Math.round(buf.length/speed))); }
+        else if(done){
+          body.textContent = buf;
+          if(failed){ if(!buf) msg.remove(); return reject(failed); }
+          return resolve(buf);
+        }
+        chatTimer = setTimeout(tick, 30);
       };
       tick();
+    });
+  }
+
+  async function typeSequence(lines){
+    const run = ++chatRun;
+    playing = true;
+    chatEl.scrollTop = chatEl.scrollHeight;
+    try{
+      for await (const [who, text] of lines){
+        if(run !== chatRun) return;
+        const said = await typeLine(who, text, run);
+        if(run !== chatRun) return;
+        if(said) rec('chat', { who, text: said });
+        renderPhrase(said);
+        await wait(280);
+      }
+    }catch(e){
+      if(run === chatRun) log('chat.provider(' + provider.name + ') error: ' + (e && e.message || e));
+    }finally{
+      if(run === chatRun) playing=false;
     }
-    step();
   }
   function play(){
     if(playing) return;
-    const gen = script();
-    const lines = [];
-    for(let v of gen) lines.push(v);
-    typeSequence(lines);
+    chatAbort = typeof AbortController === 'function' ? new AbortController() : null;
+    typeSequence(provider.lines({ f1, f2, phase, log, signal: chatAbort && chatAbort.signal }));
+  }
+  // Reseeds and rolls the duet's scope parameters from the new seed.
+  function roll(s){
+    setSeed(s); shareSeed();
+    f1 = rnd(0.9, 2.0); f2 = rnd(1.4, 3.2); phase = rnd(0, Math.PI); noise = 0.1;
   }
   function regen(){
     clear();
-    f1 = rnd(0.9, 2.0); f2 = rnd(1.4, 3.2); phase = rnd(0, Math.PI); noise = 0.1;
-    log('duet.regenerate() :: f1=' + f1.toFixed(2) + ', f2=' + f2.toFixed(2) + ', phase=' + phase.toFixed(2));
+    roll(SeededRng.randomSeed());
+    log('duet.regenerate() :: seed=' + seed + ', f1=' + f1.toFixed(2) + ', f2=' + f2.toFixed(2) + ', phase=' + phase.toFixed(2));
+    rec('regen');
+    syncAudio();
     play();
   }
   function clear(){
+    chatRun++;
     if(chatTimer) clearTimeout(chatTimer);
+    if(chatAbort){ chatAbort.abort(); chatAbort = null; }
+    stopPhrase(true);
     playing=false; chatEl.innerHTML='';
   }
-  playBtn.onclick = play;
-  regenBtn.onclick = regen;
-  clearBtn.onclick = clear;
+  playBtn.onclick = () => { endReplay('stopped by play'); play(); };
+  regenBtn.onclick = () => { endReplay('stopped by regen'); regen(); };
+  clearBtn.onclick = control('clear', clear);
 
   // Boot
   function boot(){
     bindControls();
+    provider = pickProvider();
+    log('chat.provider = ' + provider.name);
+    if(urlSeed()){
+      roll(seed);
+      log('rng.seed = ' + seed + ' (from link) :: f1=' + f1.toFixed(2) + ', f2=' + f2.toFixed(2) + ', phase=' + phase.toFixed(2));
+    }else log('rng.seed = ' + seed);
+    startRecording();
     // don’t autostart on mobile if rendering is throttled; require a user action.
     // But we will attempt one frame so diagnostics show up.
     requestAnimationFrame((ts)=>{
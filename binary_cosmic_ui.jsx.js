@@ -1,26 +1,40 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import QSim from './qsim.js';
+import SeededRng from './seeded_rng.js';
+import Particle from './particle.jsx.js';
+
+// The polarity is one simulated qubit: Flip applies X, Superpose H and Measure
+// collapses it. Tension and weight follow P(|1⟩) continuously, so a superposed
+// qubit reads half-way between the two polarities.
+const copy = (st) => ({ qubits: st.qubits, amps: Float64Array.from(st.amps) });
+
+function withGate(st, gate) {
+  const next = copy(st);
+  QSim.applyGate(next, gate, [0]);
+  return next;
+}
 
 export default function BinaryCosmicUI() {
-  const [weight, setWeight] = useState(100);
-  const [signalTension, setSignalTension] = useState(1);
-  const [binaryState, setBinaryState] = useState(1);
+  const [qubit, setQubit] = useState(() => withGate(QSim.createState(1), 'x'));
+  const rng = useRef(null);
+  if (!rng.current) rng.current = SeededRng.create('binary-cosmic');
 
-  const toggleBinary = () => {
-    setBinaryState(binaryState === 1 ? 0 : 1);
-    setSignalTension(binaryState === 1 ? 0.5 : 1);
-    setWeight(binaryState === 1 ? weight / 2 : weight * 2);
-  };
+  const p1 = QSim.probabilities(qubit)[1];
+  const binaryState = p1 >= 0.5 ? 1 : 0;
+  const signalTension = 0.5 + 0.5 * p1;
+  const weight = 50 * 2 ** p1;
 
-  const Particle = ({ position, color }) => (
-    <mesh position={position}>
-      <sphereGeometry args={[0.2, 32, 32]} />
-      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.7} />
-    </mesh>
-  );
+  const toggleBinary = () => setQubit(withGate(qubit, 'x'));
+  const superpose = () => setQubit(withGate(qubit, 'h'));
+  const measure = () => {
+    const next = copy(qubit);
+    QSim.measure(next, 0, rng.current);
+    setQubit(next);
+  };
 
   return (
     <div className="flex flex-col items-center justify-center h-screen bg-black text-white">
@@ -53,10 +67,15 @@ export default function BinaryCosmicUI() {
         <CardContent>
           <h2 className="text-xl font-semibold text-green-400 mb-2">System Readout</h2>
           <p>Binary State: <span className="text-yellow-300">{binaryState}</span></p>
+          <p>P(|1⟩): <span className="text-yellow-300">{p1.toFixed(2)}</span></p>
           <p>Signal Tension: <span className="text-cyan-300">{signalTension.toFixed(2)}</span></p>
           <p>Simulated Weight: <span className="text-pink-300">{weight.toFixed(1)} kg</span></p>
           <p className="text-xs text-gray-400 mt-2 italic">"Hydrogen and Oxygen – the universe’s binary code."</p>
-          <Button onClick={toggleBinary} className="mt-4 bg-blue-700 hover:bg-blue-600">Flip Polarity</Button>
+          <div className="flex gap-2 justify-center mt-4">
+            <Button onClick={toggleBinary} className="bg-blue-700 hover:bg-blue-600">Flip Polarity</Button>
+            <Button onClick={superpose} className="bg-purple-700 hover:bg-purple-600">Superpose</Button>
+            <Button onClick={measure} className="bg-gray-700 hover:bg-gray-600">Measure</Button>
+          </div>
         </CardContent>
       </Card>
 
@@ -0,0 +1,231 @@
+/* Canvas export — PNG / SVG / GIF / WebM (CSP‑safe external JS) */
+// Every exporter takes a paint function `paint(ctx, w, h, k)` — the same drawing
+// code the live canvas uses — and re-runs it against a fresh target, so output is
+// crisp at any resolution instead of scraped pixels. `k` is the animation frame
+// index for GIF/WebM captures (0 for stills).
+//
+// SvgContext implements the slice of CanvasRenderingContext2D those painters use
+// and serialises it to vector SVG.
+(function(root){
+  const Gif = typeof module === 'object' && module.exports ? require('./gif_encoder.js') : root.GifEncoder;
+
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const num = (v) => +(+v).toFixed(2);
+
+  class SvgContext {
+    constructor(width, height){
+      this.width = width; this.height = height;
+      this.canvas = { width, height, clientWidth: width, clientHeight: height };
+      this._els = []; this._defs = []; this._stack = [];
+      this._path = ''; this._cur = null;
+      this._m = [1, 0, 0, 1, 0, 0];
+      this.strokeStyle = '#000'; this.fillStyle = '#000';
+      this.lineWidth = 1; this.font = '10px sans-serif';
+      this.shadowBlur = 0; this.shadowColor = 'transparent';
+      this.globalCompositeOperation = 'source-over';
+      this.textAlign = 'start'; this.textBaseline = 'alphabetic';
+      this.globalAlpha = 1;
+      this._dash = [];
+      this._clip = null;
+    }
+
+    // state
+    save(){
+      this._stack.push({ m: this._m.slice(), dash: this._dash.slice(), strokeStyle: this.strokeStyle, fillStyle: this.fillStyle,
+        lineWidth: this.lineWidth, font: this.font, shadowBlur: this.shadowBlur, shadowColor: this.shadowColor,
+        textAlign: this.textAlign, textBaseline: this.textBaseline, globalAlpha: this.globalAlpha,
+        globalCompositeOperation: this.globalCompositeOperation, _clip: this._clip });
+    }
+    restore(){
+      const s = this._stack.pop();
+      if(!s) return;
+      this._m = s.m; this._dash = s.dash;
+      for(const k of Object.keys(s)) if(k !== 'm' && k !== 'dash') this[k] = s[k];
+    }
+    setLineDash(d){ this._dash = (d || []).slice(); }
+    getLineDash(){ return this._dash.slice(); }
+
+    // transforms
+    setTransform(a, b, c, d, e, f){ this._m = [a, b, c, d, e, f]; }
+    resetTransform(){ this._m = [1, 0, 0, 1, 0, 0]; }
+    transform(a, b, c, d, e, f){
+      const [A, B, C, D, E, F] = this._m;
+      this._m = [A*a + C*b, B*a + D*b, A*c + C*d, B*c + D*d, A*e + C*f + E, B*e + D*f + F];
+    }
+    scale(x, y){ this.transform(x, 0, 0, y, 0, 0); }
+    translate(x, y){ this.transform(1, 0, 0, 1, x, y); }
+    _pt(x, y){ const m = this._m; return [m[0]*x + m[2]*y + m[4], m[1]*x + m[3]*y + m[5]]; }
+    _scale(){ const m = this._m; return Math.sqrt(Math.abs(m[0]*m[3] - m[1]*m[2])); }
+
+    // paths
+    beginPath(){ this._path = ''; this._cur = null; }
+    moveTo(x, y){ const [X, Y] = this._pt(x, y); this._path += `M${num(X)} ${num(Y)}`; this._cur = [X, Y]; }
+    lineTo(x, y){
+      if(!this._cur) return this.moveTo(x, y);
+      const [X, Y] = this._pt(x, y); this._path += `L${num(X)} ${num(Y)}`; this._cur = [X, Y];
+    }
+    closePath(){ this._path += 'Z'; }
+    // Clips to the current path until restore(); nested clips keep only the latest.
+    clip(){
+      const id = 'clip' + this._defs.length;
+      this._defs.push(`<clipPath id="${id}"><path d="${this._path}"/></clipPath>`);
+      this._clip = id;
+    }
+    rect(x, y, w, h){ this.moveTo(x, y); this.lineTo(x + w, y); this.lineTo(x + w, y + h); this.lineTo(x, y + h); this.closePath(); }
+    arc(x, y, r, a0, a1, ccw){
+      const s = this._scale(), R = num(r*s);
+      const at = (a) => this._pt(x + r*Math.cos(a), y + r*Math.sin(a));
+      const [sx, sy] = at(a0);
+      this._path += (this._cur ? 'L' : 'M') + num(sx) + ' ' + num(sy);
+      let sweep = ccw ? a0 - a1 : a1 - a0;
+      if(sweep >= 2*Math.PI){
+        const [mx, my] = at(a0 + (ccw ? -Math.PI : Math.PI));
+        this._path += `A${R} ${R} 0 1 ${ccw ? 0 : 1} ${num(mx)} ${num(my)}A${R} ${R} 0 1 ${ccw ? 0 : 1} ${num(sx)} ${num(sy)}`;
+        this._cur = [sx, sy];
+        return;
+      }
+      sweep = ((sweep % (2*Math.PI)) + 2*Math.PI) % (2*Math.PI);
+      const [ex, ey] = at(a1);
+      this._path += `A${R} ${R} 0 ${sweep > Math.PI ? 1 : 0} ${ccw ? 0 : 1} ${num(ex)} ${num(ey)}`;
+      this._cur = [ex, ey];
+    }
+
+    // painting
+    _style(kind){
+      const color = kind === 'stroke' ? this.strokeStyle : this.fillStyle;
+      let a = `${kind}="${esc(color)}"`;
+      if(kind === 'stroke'){
+        a += ` stroke-width="${num(this.lineWidth*this._scale())}" fill="none" stroke-linejoin="round"`;
+        if(this._dash.length) a += ` stroke-dasharray="${this._dash.map((d)=>num(d*this._scale())).join(' ')}"`;
+      }
+      if(this.globalAlpha < 1) a += ` opacity="${num(this.globalAlpha)}"`;
+      if(this._clip) a += ` clip-path="url(#${this._clip})"`;
+      if(this.shadowBlur > 0){
+        const id = 'glow' + this._defs.length;
+        this._defs.push(`<filter id="${id}" x="-20%" y="-20%" width="140%" height="140%">` +
+          `<feGaussianBlur in="SourceGraphic" stdDeviation="${num(this.shadowBlur*this._scale()/2)}" result="b"/>` +
+          `<feFlood flood-color="${esc(this.shadowColor)}"/><feComposite in2="b" operator="in"/>` +
+          `<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge></filter>`);
+        a += ` filter="url(#${id})"`;
+      }
+      return a;
+    }
+    stroke(){ if(this._path) this._add(`<path d="${this._path}" ${this._style('stroke')}/>`); }
+    fill(){ if(this._path) this._add(`<path d="${this._path}" ${this._style('fill')}/>`); }
+    _rect(x, y, w, h){
+      const p = [this._pt(x, y), this._pt(x + w, y), this._pt(x + w, y + h), this._pt(x, y + h)];
+      return 'M' + p.map(([X, Y]) => num(X) + ' ' + num(Y)).join('L') + 'Z';
+    }
+    _add(el){
+      if(this.globalCompositeOperation === 'destination-over') this._els.unshift(el);
+      else this._els.push(el);
+    }
+    fillRect(x, y, w, h){ this._add(`<path d="${this._rect(x, y, w, h)}" ${this._style('fill')}/>`); }
+    strokeRect(x, y, w, h){ this._add(`<path d="${this._rect(x, y, w, h)}" ${this._style('stroke')}/>`); }
+    clearRect(x, y, w, h){
+      const [X0, Y0] = this._pt(x, y), [X1, Y1] = this._pt(x + w, y + h);
+      if(X0 <= 0 && Y0 <= 0 && X1 >= this.width && Y1 >= this.height){ this._els = []; this._defs = []; }
+    }
+    fillText(text, x, y){
+      const [X, Y] = this._pt(x, y);
+      const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+      const s = this._scale();
+      const font = this.font.replace(/(\d+(?:\.\d+)?)px/, (_, px) => num(px*s) + 'px');
+      this._add(`<text x="${num(X)}" y="${num(Y)}" text-anchor="${anchor}" style="font:${esc(font)}" ${this._style('fill')}>${esc(text)}</text>`);
+    }
+    measureText(text){ const px = parseFloat(this.font) || 10; return { width: String(text).length*px*0.55 }; }
+
+    toString(){
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">` +
+        (this._defs.length ? `<defs>${this._defs.join('')}</defs>` : '') + this._els.join('') + '</svg>';
+    }
+  }
+
+  function makeCanvas(w, h){
+    if(typeof OffscreenCanvas === 'function') return new OffscreenCanvas(w, h);
+    const c = document.createElement('canvas'); c.width = w; c.height = h;
+    return c;
+  }
+  function canvasBlob(c, type){
+    if(c.convertToBlob) return c.convertToBlob({ type });
+    return new Promise((res) => c.toBlob(res, type));
+  }
+
+  // Renders one frame at `scale`× the logical size.
+  function renderFrame(paint, w, h, scale=1, k=0, canvas){
+    const c = canvas || makeCanvas(Math.round(w*scale), Math.round(h*scale));
+    const ctx = c.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, c.width, c.height);
+    ctx.scale(scale, scale);
+    paint(ctx, w, h, k);
+    return c;
+  }
+
+  function png(paint, w, h, opts={}){
+    return canvasBlob(renderFrame(paint, w, h, opts.scale || 1), 'image/png');
+  }
+
+  function svg(paint, w, h){
+    const ctx = new SvgContext(w, h);
+    paint(ctx, w, h, 0);
+    return new Blob([ctx.toString()], { type: 'image/svg+xml' });
+  }
+
+  // GIFs are quantized and LZW-compressed in JS, one frame at a time; past this
+  // many pixels × frames the encode runs for minutes and the file for hundreds of MB.
+  const GIF_MAX_PIXEL_FRAMES = 150e6;
+
+  function gif(paint, w, h, opts={}){
+    const fps = opts.fps || 20, n = Math.max(1, Math.round((opts.seconds || 3)*fps));
+    const scale = opts.scale || 1;
+    const cw = Math.round(w*scale), ch = Math.round(h*scale);
+    if(cw*ch*n > GIF_MAX_PIXEL_FRAMES){
+      return Promise.reject(new Error(`GIF too large: ${cw}×${ch} × ${n} frames; lower the scale or length, or export WebM`));
+    }
+    const c = makeCanvas(cw, ch);
+    const out = Gif.createWriter(cw, ch, { delayMs: 1000/fps, background: opts.background });
+    for(let k=0; k<n; k++){
+      renderFrame(paint, w, h, scale, k, c);
+      out.addFrame(c.getContext('2d').getImageData(0, 0, cw, ch).data);
+    }
+    return Promise.resolve(new Blob([out.finish()], { type: 'image/gif' }));
+  }
+
+  // Real-time capture through MediaRecorder; frames are painted offscreen at the
+  // requested scale, one per 1/fps seconds.
+  function webm(paint, w, h, opts={}){
+    const fps = opts.fps || 30, n = Math.max(1, Math.round((opts.seconds || 3)*fps));
+    const scale = opts.scale || 1;
+    const c = document.createElement('canvas');
+    c.width = Math.round(w*scale); c.height = Math.round(h*scale);
+    if(!c.captureStream || typeof MediaRecorder !== 'function') return Promise.reject(new Error('WebM capture is not supported in this browser'));
+    const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((t) => MediaRecorder.isTypeSupported(t));
+    const rec = new MediaRecorder(c.captureStream(fps), type ? { mimeType: type } : undefined);
+    const chunks = [];
+    rec.ondataavailable = (e) => { if(e.data && e.data.size) chunks.push(e.data); };
+    return new Promise((resolve, reject) => {
+      rec.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      rec.onerror = (e) => reject(e.error || new Error('MediaRecorder failed'));
+      renderFrame(paint, w, h, scale, 0, c);
+      rec.start();
+      let k = 1;
+      const id = setInterval(() => {
+        if(k >= n){ clearInterval(id); rec.stop(); return; }
+        renderFrame(paint, w, h, scale, k++, c);
+      }, 1000/fps);
+    });
+  }
+
+  function download(blob, name){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  const api = { SvgContext, GIF_MAX_PIXEL_FRAMES, renderFrame, png, svg, gif, webm, download };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.CanvasExport = api;
+})(typeof self !== 'undefined' ? self : this);
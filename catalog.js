@@ -0,0 +1,342 @@
+// Catalog — the machine catalog's data model: validation of catalog/machines/*.json
+// against catalog/schema.json, topology builders, coupling-graph statistics and
+// the search/filter behind the index.html catalog panel. No DOM, so
+// scripts/validate_catalog.js checks the files with exactly the browser's rules.
+//
+// validateMachine() applies the JSON Schema (the subset schema.json uses: type,
+// enum, required, properties, additionalProperties, items, min/max, pattern,
+// uniqueItems, $ref) and then the checks a schema cannot express. Validators
+// return a list of "path: message" strings; empty means valid.
+(function (root) {
+  const TOPOLOGIES = ["single", "ring", "grid", "heavy-hex", "all-to-all"];
+
+  // Visual components an entry can link to, and where they live.
+  const VISUALS = {
+    QVis: "visualizer.js",
+    BinaryCosmicUI: "binary_cosmic_ui.jsx.js",
+    DualUniverseCanvas: "dual_universe_branch_visual_canvas.jsx.js",
+  };
+
+  // ---- topology builders --------------------------------------------------------
+
+  function ringEdges(n) {
+    if (n < 3) return n === 2 ? [[0, 1]] : [];
+    return Array.from({ length: n }, (_, i) => [i, (i + 1) % n]);
+  }
+
+  // Row-major: qubit r·cols + c.
+  function gridEdges(rows, cols) {
+    const edges = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const q = r * cols + c;
+        if (c + 1 < cols) edges.push([q, q + 1]);
+        if (r + 1 < rows) edges.push([q, q + cols]);
+      }
+    }
+    return edges;
+  }
+
+  function allToAllEdges(n) {
+    const edges = [];
+    for (let a = 0; a < n; a++) for (let b = a + 1; b < n; b++) edges.push([a, b]);
+    return edges;
+  }
+
+  // The 27-qubit heavy-hex lattice of IBM's Falcon processors, with the [column, row]
+  // layout of their published coupling-map diagrams.
+  const HEAVY_HEX_27 = {
+    edges: [
+      [0, 1], [1, 2], [1, 4], [2, 3], [3, 5], [4, 7], [5, 8], [6, 7], [7, 10], [8, 9], [8, 11], [10, 12], [11, 14], [12, 13],
+      [12, 15], [13, 14], [14, 16], [15, 18], [16, 19], [17, 18], [18, 21], [19, 20], [19, 22], [21, 23], [22, 25], [23, 24], [24, 25], [25, 26],
+    ],
+    coords: [
+      [0, 1], [1, 1], [1, 2], [1, 3], [2, 1], [2, 3], [3, 0], [3, 1], [3, 3], [3, 4], [4, 1], [4, 3], [5, 1], [5, 2],
+      [5, 3], [6, 1], [6, 3], [7, 0], [7, 1], [7, 3], [7, 4], [8, 1], [8, 3], [9, 1], [9, 2], [9, 3], [10, 3],
+    ],
+  };
+
+  // The edge list a topology kind implies, or null when only structure can be checked.
+  function expectedEdges(topology, qubits) {
+    switch (topology.kind) {
+      case "single":
+        return [];
+      case "ring":
+        return ringEdges(qubits);
+      case "grid":
+        return gridEdges(topology.rows, topology.cols);
+      case "all-to-all":
+        return allToAllEdges(qubits);
+      case "heavy-hex":
+        return qubits === 27 ? HEAVY_HEX_27.edges : null;
+      default:
+        return null;
+    }
+  }
+
+  // ---- graph statistics ---------------------------------------------------------
+
+  function adjacency(qubits, edges) {
+    const adj = Array.from({ length: qubits }, () => []);
+    for (const [a, b] of edges) {
+      adj[a].push(b);
+      adj[b].push(a);
+    }
+    return adj;
+  }
+
+  // BFS hop counts from `src` (−1 = unreachable).
+  function hops(adj, src) {
+    const dist = new Array(adj.length).fill(-1);
+    dist[src] = 0;
+    const queue = [src];
+    for (let i = 0; i < queue.length; i++) {
+      for (const v of adj[queue[i]]) {
+        if (dist[v] < 0) {
+          dist[v] = dist[queue[i]] + 1;
+          queue.push(v);
+        }
+      }
+    }
+    return dist;
+  }
+
+  /**
+   * Coupling-graph summary for the detail and comparison views.
+   * diameter: longest shortest path in hops (null when disconnected).
+   * @returns {{ edges: number, maxDegree: number, meanDegree: number, diameter: number | null, connected: boolean }}
+   */
+  function graphStats(machine) {
+    const n = machine.qubits;
+    const adj = adjacency(n, machine.topology.edges);
+    let diameter = 0;
+    let connected = true;
+    for (let q = 0; q < n; q++) {
+      const d = hops(adj, q);
+      if (d.includes(-1)) connected = false;
+      diameter = Math.max(diameter, ...d);
+    }
+    const degrees = adj.map((a) => a.length);
+    return {
+      edges: machine.topology.edges.length,
+      maxDegree: Math.max(...degrees),
+      meanDegree: (2 * machine.topology.edges.length) / n,
+      diameter: connected ? diameter : null,
+      connected,
+    };
+  }
+
+  // ---- schema subset ------------------------------------------------------------
+
+  const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+  const isType = (v, t) => typeOf(v) === t || (t === "number" && typeOf(v) === "integer");
+
+  function resolve(schema, rootSchema) {
+    if (!schema.$ref) return schema;
+    const path = schema.$ref.replace(/^#\//, "").split("/");
+    return path.reduce((s, k) => s[k], rootSchema);
+  }
+
+  /**
+   * Checks `value` against a JSON Schema (the subset catalog/schema.json uses).
+   * @returns {string[]} "path: message" per problem
+   */
+  function validateSchema(value, schema, path = "$", rootSchema = schema) {
+    const s = resolve(schema, rootSchema);
+    const errors = [];
+    const err = (msg) => errors.push(`${path}: ${msg}`);
+
+    if (s.enum && !s.enum.includes(value)) return [`${path}: must be one of ${s.enum.map((e) => JSON.stringify(e)).join(", ")}`];
+    if (s.type) {
+      const types = [].concat(s.type);
+      if (!types.some((t) => isType(value, t))) return [`${path}: must be ${types.join(" or ")}`];
+    }
+    if (typeof value === "number") {
+      if (s.minimum != null && value < s.minimum) err(`must be ≥ ${s.minimum}`);
+      if (s.maximum != null && value > s.maximum) err(`must be ≤ ${s.maximum}`);
+      if (s.exclusiveMinimum != null && value <= s.exclusiveMinimum) err(`must be > ${s.exclusiveMinimum}`);
+    }
+    if (typeof value === "string") {
+      if (s.minLength != null && value.length < s.minLength) err(`must have at least ${s.minLength} character(s)`);
+      if (s.pattern && !new RegExp(s.pattern).test(value)) err(`must match ${s.pattern}`);
+    }
+    if (Array.isArray(value)) {
+      if (s.minItems != null && value.length < s.minItems) err(`must have at least ${s.minItems} item(s)`);
+      if (s.maxItems != null && value.length > s.maxItems) err(`must have at most ${s.maxItems} item(s)`);
+      if (s.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) err("must not repeat items");
+      if (s.items) value.forEach((v, i) => errors.push(...validateSchema(v, s.items, `${path}[${i}]`, rootSchema)));
+    }
+    if (typeOf(value) === "object") {
+      for (const k of s.required || []) if (!(k in value)) err(`missing "${k}"`);
+      for (const [k, v] of Object.entries(value)) {
+        const sub = s.properties && s.properties[k];
+        if (sub) errors.push(...validateSchema(v, sub, `${path}.${k}`, rootSchema));
+        else if (s.additionalProperties === false) err(`unknown field "${k}"`);
+        else if (s.additionalProperties && typeof s.additionalProperties === "object") errors.push(...validateSchema(v, s.additionalProperties, `${path}.${k}`, rootSchema));
+      }
+    }
+    return errors;
+  }
+
+  // ---- machine checks -----------------------------------------------------------
+
+  const edgeKey = ([a, b]) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+  // What the schema cannot say: the coupling graph against the qubit count and kind.
+  function checkTopology(m) {
+    const errors = [];
+    const t = m.topology;
+    const n = m.qubits;
+    const seen = new Set();
+    t.edges.forEach((e, i) => {
+      const [a, b] = e;
+      if (a >= n || b >= n) errors.push(`$.topology.edges[${i}]: qubit out of range 0–${n - 1}`);
+      else if (a === b) errors.push(`$.topology.edges[${i}]: self-coupling on qubit ${a}`);
+      else if (seen.has(edgeKey(e))) errors.push(`$.topology.edges[${i}]: duplicate coupling ${a}–${b}`);
+      seen.add(edgeKey(e));
+    });
+    if (errors.length) return errors;
+
+    if (t.kind === "single" && n !== 1) errors.push(`$.topology.kind: "single" needs qubits = 1`);
+    if (t.kind === "grid" && t.rows * t.cols !== n) errors.push(`$.topology: rows × cols must equal qubits (${n})`);
+    if (t.kind !== "grid" && (t.rows != null || t.cols != null)) errors.push(`$.topology: rows/cols only apply to "grid"`);
+    if (t.coords && t.coords.length !== n) errors.push(`$.topology.coords: need one [x, y] per qubit (${n})`);
+    if (errors.length) return errors;
+
+    const want = expectedEdges(t, n);
+    if (want) {
+      const got = new Set(t.edges.map(edgeKey));
+      const missing = want.filter((e) => !got.has(edgeKey(e)));
+      const extra = t.edges.length - (want.length - missing.length);
+      if (missing.length || extra) errors.push(`$.topology.edges: not a ${t.kind} on ${n} qubits (${missing.length} missing, ${extra} extra)`);
+    } else if (t.kind === "heavy-hex" && graphStats(m).maxDegree > 3) {
+      errors.push("$.topology.edges: heavy-hex qubits couple to at most 3 neighbours");
+    }
+    if (n > 1 && !graphStats(m).connected) errors.push("$.topology.edges: coupling graph is not connected");
+    return errors;
+  }
+
+  // Calibration lists run parallel to the qubits (two_qubit: to topology.edges).
+  function checkCalibration(m) {
+    const errors = [];
+    for (const [k, list] of Object.entries(m.calibration || {})) {
+      const want = k === "two_qubit" ? m.topology.edges.length : m.qubits;
+      if (list.length !== want) errors.push(`$.calibration.${k}: need ${want} value(s), one per ${k === "two_qubit" ? "coupling" : "qubit"}`);
+    }
+    return errors;
+  }
+
+  /**
+   * All problems with one entry; `file` (e.g. "heavy-hex-27.json") also checks the id.
+   * @returns {string[]}
+   */
+  function validateMachine(m, schema, file) {
+    const errors = validateSchema(m, schema);
+    if (errors.length) return errors;
+    if (file && file.replace(/^.*\//, "") !== `${m.id}.json`) errors.push(`$.id: "${m.id}" does not match the file name ${file}`);
+    if (m.gates.two_qubit && !m.gates.native.includes(m.gates.two_qubit)) errors.push(`$.gates.two_qubit: "${m.gates.two_qubit}" is not in native`);
+    if (m.qubits > 1 && m.errors.two_qubit == null) errors.push("$.errors: missing two_qubit for a multi-qubit machine");
+    if (m.state && m.circuit) errors.push("$: give either state or circuit, not both");
+    return errors.concat(checkTopology(m), checkCalibration(m));
+  }
+
+  /**
+   * Whether a compiled qsim.js circuit (QSim.compileCircuit) fits the machine: same
+   * qubit count, and every two-qubit operation on a coupled pair. Three-qubit
+   * gates need each pair coupled.
+   * @returns {string[]}
+   */
+  function checkCircuit(m, circuit) {
+    if (circuit.qubits !== m.qubits) return [`circuit: ${circuit.qubits} qubit(s), but ${m.id} has ${m.qubits}`];
+    const coupled = new Set(m.topology.edges.map(edgeKey));
+    const errors = [];
+    circuit.ops.forEach((op, i) => {
+      if (op.gate === "barrier" || op.qubits.length < 2) return;
+      for (let a = 0; a < op.qubits.length; a++) {
+        for (let b = a + 1; b < op.qubits.length; b++) {
+          const pair = [op.qubits[a], op.qubits[b]];
+          if (!coupled.has(edgeKey(pair))) errors.push(`circuit ops[${i}]: ${op.gate} on ${pair.join("–")}, which ${m.id} does not couple`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  // One catalog/index.json entry: { id, file } with both strings.
+  const isIndexEntry = (e) => e !== null && typeof e === "object" && typeof e.id === "string" && typeof e.file === "string";
+
+  /**
+   * Checks catalog/index.json ([{ id, file }]) against the loaded entries
+   * ({ [file]: machine }): every listed file valid, ids unique and as indexed.
+   * @returns {string[]} problems prefixed with the file they belong to
+   */
+  function validateCatalog(index, machines, schema) {
+    const errors = [];
+    if (!Array.isArray(index)) return ["index.json: must be a list of { id, file }"];
+    const ids = new Set();
+    for (const [i, e] of index.entries()) {
+      if (!isIndexEntry(e)) {
+        errors.push(`index.json[${i}]: must be { id, file }`);
+        continue;
+      }
+      const m = machines[e.file];
+      if (!m) {
+        errors.push(`index.json: ${e.file} is listed but was not loaded`);
+        continue;
+      }
+      errors.push(...validateMachine(m, schema, e.file).map((msg) => `${e.file} ${msg}`));
+      if (m.id !== e.id) errors.push(`index.json: ${e.file} is indexed as "${e.id}" but has id "${m.id}"`);
+      if (ids.has(m.id)) errors.push(`index.json: duplicate id "${m.id}"`);
+      ids.add(m.id);
+    }
+    return errors;
+  }
+
+  // ---- search -------------------------------------------------------------------
+
+  /**
+   * Whether an entry passes the panel's filters. `query` matches id, name, vendor,
+   * technology, gates and tags (case-insensitive, every word must hit); `tags`
+   * must all be present; qubit bounds are inclusive.
+   * @param {{ query?: string, tags?: string[], minQubits?: number, maxQubits?: number }} f
+   */
+  function matches(m, f = {}) {
+    if (f.minQubits != null && m.qubits < f.minQubits) return false;
+    if (f.maxQubits != null && m.qubits > f.maxQubits) return false;
+    if (f.tags && f.tags.some((t) => !m.tags.includes(t))) return false;
+    const words = (f.query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return true;
+    const text = [m.id, m.name, m.vendor, m.technology, m.topology.kind, ...m.gates.native, ...m.tags].filter(Boolean).join(" ").toLowerCase();
+    return words.every((w) => text.includes(w));
+  }
+
+  function filter(machines, f) {
+    return machines.filter((m) => matches(m, f)).sort((a, b) => a.qubits - b.qubits || a.name.localeCompare(b.name));
+  }
+
+  function allTags(machines) {
+    return Array.from(new Set(machines.flatMap((m) => m.tags))).sort();
+  }
+
+  const api = {
+    TOPOLOGIES,
+    VISUALS,
+    HEAVY_HEX_27,
+    ringEdges,
+    gridEdges,
+    allToAllEdges,
+    expectedEdges,
+    graphStats,
+    validateSchema,
+    checkTopology,
+    validateMachine,
+    isIndexEntry,
+    validateCatalog,
+    checkCircuit,
+    matches,
+    filter,
+    allTags,
+  };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.Catalog = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,168 @@
+// CatalogCompare — side-by-side comparison of 2–4 catalog entries: aligned spec
+// rows with the best value(s) per row marked, an overlay of their coupling maps,
+// and a Markdown export in the ledger/ format (ledger/20251220.md):
+//
+//   ## Sweep <ISO time>Z
+//
+//   State hash: <SHA-256 of the compared entries' JSON>
+//
+//   - Repo: quantum-machine-catalog
+//   - <row>: <id> <value> • **<id> <best value>** • …
+//
+// Works from the loaded JSON alone. The hash lets a ledger section be matched to
+// the exact entries it compared; SHA-256 is computed here rather than through
+// crypto.subtle, which browsers withhold from file:// and plain-http pages.
+(function (root) {
+  const isNode = typeof module === "object" && module.exports;
+  const Catalog = isNode ? require("./catalog.js") : root.Catalog;
+  const CouplingMap = isNode ? require("./coupling_map.js") : root.CouplingMap;
+
+  const MIN_MACHINES = 2;
+  const MAX_MACHINES = 4;
+  const REPO = "quantum-machine-catalog";
+
+  // Overlay colours, one per compared machine.
+  const COLORS = ["hsla(200, 80%, 60%, 0.75)", "hsla(30, 90%, 60%, 0.75)", "hsla(130, 60%, 55%, 0.75)", "hsla(300, 60%, 65%, 0.75)"];
+
+  const pct = (p) => (p * 100).toFixed(p < 0.001 ? 3 : 2) + "%";
+  const us = (v) => (v >= 1e6 ? (v / 1e6).toFixed(1) + " s" : v >= 1000 ? (v / 1000).toFixed(1) + " ms" : v + " µs");
+  const coherence = (key) => (m) => (m.coherence && m.coherence[key] != null ? m.coherence[key] : null);
+  // Hop counts only rank machines of one size; a lone qubit's 0 hops says nothing.
+  const sameSize = (machines) => machines.every((m) => m.qubits >= 2 && m.qubits === machines[0].qubits);
+
+  // best: which end of the row wins ("max", "min"), or null for descriptive rows.
+  // comparable: when set, the row is only marked if it holds for the machines.
+  const ROWS = [
+    { key: "technology", label: "Technology", get: (m) => m.technology || null, best: null },
+    { key: "qubits", label: "Qubits", get: (m) => m.qubits, best: "max" },
+    { key: "topology", label: "Topology", get: (m) => m.topology.kind, best: null },
+    { key: "couplings", label: "Couplings", get: (m) => Catalog.graphStats(m).edges, best: "max" },
+    { key: "mean_degree", label: "Mean degree", get: (m) => Catalog.graphStats(m).meanDegree, best: "max", format: (v) => v.toFixed(2) },
+    { key: "diameter", label: "Diameter (hops)", get: (m) => Catalog.graphStats(m).diameter, best: "min", comparable: sameSize },
+    { key: "single_qubit", label: "1q error", get: (m) => m.errors.single_qubit, best: "min", format: pct },
+    { key: "two_qubit", label: "2q error", get: (m) => (m.errors.two_qubit == null ? null : m.errors.two_qubit), best: "min", format: pct },
+    { key: "readout", label: "Readout error", get: (m) => m.errors.readout, best: "min", format: pct },
+    { key: "t1_us", label: "T1", get: coherence("t1_us"), best: "max", format: us },
+    { key: "t2_us", label: "T2", get: coherence("t2_us"), best: "max", format: us },
+    { key: "gates", label: "Native gates", get: (m) => m.gates.native.join(", "), best: null },
+    { key: "source", label: "Source", get: (m) => m.source, best: null },
+  ];
+
+  /**
+   * Aligned rows for 2–4 entries. best[i] marks the winning value(s); ties share
+   * it, and a row where every machine has the same value, or whose machines it
+   * cannot rank (diameter across sizes), marks none.
+   * @returns {{ ids: string[], rows: { key: string, label: string, values: (string | null)[], best: boolean[] }[] }}
+   */
+  function compare(machines) {
+    if (!Array.isArray(machines) || machines.length < MIN_MACHINES || machines.length > MAX_MACHINES) {
+      throw new Error(`compare ${MIN_MACHINES}–${MAX_MACHINES} machines (got ${Array.isArray(machines) ? machines.length : 0})`);
+    }
+    const ids = machines.map((m) => m.id);
+    if (new Set(ids).size !== ids.length) throw new Error("compare: the same machine is listed twice");
+    const rows = ROWS.map((r) => {
+      const raw = machines.map(r.get);
+      const known = raw.filter((v) => v != null);
+      let best = raw.map(() => false);
+      if (r.best && known.length && new Set(known).size > 1 && (!r.comparable || r.comparable(machines))) {
+        const target = r.best === "max" ? Math.max(...known) : Math.min(...known);
+        best = raw.map((v) => v === target);
+      }
+      return { key: r.key, label: r.label, values: raw.map((v) => (v == null ? null : r.format ? r.format(v) : String(v))), best };
+    });
+    return { ids, rows };
+  }
+
+  // ---- ledger export ------------------------------------------------------------
+
+  // FIPS 180-4 round constants: fractional parts of the cube roots of the first 64 primes.
+  const K = new Uint32Array(64);
+  for (let p = 2, i = 0; i < 64; p++) {
+    let prime = true;
+    for (let d = 2; d * d <= p; d++) if (p % d === 0) prime = false;
+    if (prime) K[i++] = (Math.cbrt(p) % 1) * 2 ** 32;
+  }
+
+  // SHA-256 of a byte array → hex.
+  function sha256(bytes) {
+    const h = Uint32Array.of(0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19);
+    const len = Math.ceil((bytes.length + 9) / 64) * 64;
+    const msg = new Uint8Array(len);
+    msg.set(bytes);
+    msg[bytes.length] = 0x80;
+    const view = new DataView(msg.buffer);
+    view.setUint32(len - 8, Math.floor(bytes.length / 2 ** 29));
+    view.setUint32(len - 4, bytes.length * 8);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let off = 0; off < len; off += 64) {
+      for (let t = 0; t < 16; t++) w[t] = view.getUint32(off + t * 4);
+      for (let t = 16; t < 64; t++) {
+        const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+        const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+        w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+      }
+      let [a, b, c, d, e, f, g, k] = h;
+      for (let t = 0; t < 64; t++) {
+        const t1 = k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t];
+        const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+        [k, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+      }
+      [a, b, c, d, e, f, g, k].forEach((v, i) => (h[i] += v));
+    }
+    return Array.from(h, (v) => v.toString(16).padStart(8, "0")).join("");
+  }
+
+  /** SHA-256 (hex) of the compared entries as JSON, in comparison order. */
+  function stateHash(machines) {
+    return sha256(new TextEncoder().encode(JSON.stringify(machines)));
+  }
+
+  // The ledger's timestamps are whole seconds: 2025-12-20T14:00:45Z.
+  const sweepTime = (date) => date.toISOString().replace(/\.\d+Z$/, "Z");
+
+  /** File name of the day's ledger entry: ledger/YYYYMMDD.md. */
+  const ledgerFile = (date) => `ledger/${date.toISOString().slice(0, 10).replace(/-/g, "")}.md`;
+
+  /**
+   * The comparison as one ledger section; best values are **bold**.
+   * @param {{ date: Date, hash: string }} opts
+   */
+  function toMarkdown(result, opts) {
+    const lines = [`## Sweep ${sweepTime(opts.date)}`, "", `State hash: ${opts.hash}`, "", `- Repo: ${REPO}`, `- Comparison: ${result.ids.join(" vs ")}`];
+    for (const r of result.rows) {
+      const cells = r.values.map((v, i) => {
+        const cell = `${result.ids[i]} ${v == null ? "–" : v}`;
+        return r.best[i] ? `**${cell}**` : cell;
+      });
+      lines.push(`- ${r.label}: ${cells.join(" • ")}`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // ---- coupling-map overlay -----------------------------------------------------
+
+  /**
+   * Every machine's coupling map in one box, each in its own colour, with a key.
+   * @returns {string[]} the colour used per machine
+   */
+  function paintOverlay(x, w, h, machines) {
+    x.clearRect(0, 0, w, h);
+    const colors = machines.map((m, i) => COLORS[i % COLORS.length]);
+    machines.forEach((m, i) => CouplingMap.paint(x, w, h - 14, m, { color: colors[i], clear: false, labels: false }));
+    x.font = "10px monospace";
+    let px = 4;
+    machines.forEach((m, i) => {
+      x.fillStyle = colors[i];
+      x.fillRect(px, h - 11, 8, 8);
+      x.fillStyle = "#8b949e";
+      x.fillText(m.id, px + 11, h - 3);
+      px += 11 + x.measureText(m.id).width + 12;
+    });
+    return colors;
+  }
+
+  const api = { MIN_MACHINES, MAX_MACHINES, ROWS, compare, stateHash, sweepTime, ledgerFile, toMarkdown, paintOverlay };
+  if (isNode) module.exports = api;
+  else root.CatalogCompare = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,214 @@
+(function(root){
+  // The index.html "Machine Catalog" panel: loads catalog/index.json and the
+  // entries it lists, drops any that fail Catalog.validateMachine (with a console
+  // warning), then offers search, tag and qubit-count filters and a detail view.
+  // Needs catalog.js and coupling_map.js; "Show state" drives the visualizer's
+  // #qmachine picker (a machine's circuit is simulated by qsim.js, a fixed state
+  // is loaded as-is). Clicking a qubit on the coupling map lists its figures.
+  // Ticking 2–4 machines opens the comparison (catalog_compare.js): aligned rows
+  // with the best value highlighted, overlaid coupling maps and a ledger export.
+  // The URL keeps both: #machine=<id>&compare=<id>,<id>.
+  const $=(id)=>document.getElementById(id);
+  const panel=$("catalog");
+  if(!panel) return;
+
+  let machines=[];
+  let selected=null;
+  let qubit=null; // selected on the coupling map
+  let compareIds=[];
+
+  function el(tag,text,attrs){
+    const e=document.createElement(tag);
+    if(text!=null) e.textContent=text;
+    if(attrs) Object.assign(e,attrs);
+    return e;
+  }
+
+  const pct=(p)=>p==null?"–":(p*100).toFixed(p<0.001?3:2)+"%";
+  const us=(v)=>v==null?"–":v>=1e6?(v/1e6).toFixed(1)+" s":v>=1000?(v/1000).toFixed(1)+" ms":v+" µs";
+
+  function load(){
+    return Promise.all([
+      fetch("catalog/schema.json").then((r)=>r.json()),
+      fetch("catalog/index.json").then((r)=>r.json())
+    ]).then(([schema,index])=>Promise.all(index.filter(Catalog.isIndexEntry).map((e)=>fetch(e.file).then((r)=>r.json()).then((m)=>{
+      const errors=Catalog.validateMachine(m,schema,e.file);
+      if(errors.length){ console.warn("catalog: skipping "+e.file+"\n"+errors.join("\n")); return null; }
+      return m;
+    }).catch((err)=>{ console.warn("catalog: "+e.file+": "+err.message); return null; }))))
+      .then((list)=>{ machines=list.filter(Boolean); });
+  }
+
+  function filters(){
+    const num=(id)=>($(id).value===""?null:+$(id).value);
+    return {query:$("csearch").value,tags:$("ctag").value?[$("ctag").value]:[],minQubits:num("cmin"),maxQubits:num("cmax")};
+  }
+
+  function renderList(){
+    const list=$("clist");
+    list.innerHTML="";
+    const shown=Catalog.filter(machines,filters());
+    shown.forEach((m)=>{
+      const li=el("li");
+      const tick=el("input",null,{type:"checkbox",checked:compareIds.includes(m.id),title:"compare"});
+      tick.disabled=!tick.checked&&compareIds.length>=CatalogCompare.MAX_MACHINES;
+      tick.onchange=()=>toggleCompare(m.id);
+      li.appendChild(tick);
+      const a=el("a",m.name,{href:"#machine="+m.id});
+      a.onclick=(e)=>{ e.preventDefault(); select(m.id); };
+      li.appendChild(a);
+      li.appendChild(el("span"," — "+m.qubits+"q "+m.topology.kind+(m.source==="illustrative"?" (illustrative)":"")));
+      if(selected&&selected.id===m.id) li.style.fontWeight="bold";
+      list.appendChild(li);
+    });
+    $("ccount").textContent=shown.length+" of "+machines.length+" machines";
+  }
+
+  function row(dl,k,v){
+    dl.appendChild(el("dt",k));
+    dl.appendChild(el("dd",v));
+  }
+
+  function renderDetail(){
+    const box=$("cdetail");
+    box.innerHTML="";
+    const m=selected;
+    if(!m) return;
+    const g=Catalog.graphStats(m);
+    box.appendChild(el("h3",m.name));
+    if(m.source==="illustrative") box.appendChild(el("p","⚠ Illustrative entry: the figures are plausible, not a real device's calibration."));
+    const dl=el("dl");
+    row(dl,"id",m.id);
+    if(m.vendor) row(dl,"vendor",m.vendor);
+    if(m.technology) row(dl,"technology",m.technology);
+    row(dl,"qubits",String(m.qubits));
+    row(dl,"topology",m.topology.kind+" • "+g.edges+" couplings • max degree "+g.maxDegree+" • diameter "+(g.diameter==null?"–":g.diameter));
+    row(dl,"gates",m.gates.native.join(", ")+(m.gates.two_qubit?" (entangling: "+m.gates.two_qubit+")":""));
+    row(dl,"errors","1q "+pct(m.errors.single_qubit)+" • 2q "+pct(m.errors.two_qubit)+" • readout "+pct(m.errors.readout));
+    if(m.coherence) row(dl,"coherence","T1 "+us(m.coherence.t1_us)+" • T2 "+us(m.coherence.t2_us));
+    row(dl,"tags",m.tags.map((t)=>"#"+t).join(" "));
+    if(m.visual) row(dl,"visual",m.visual+" ("+Catalog.VISUALS[m.visual]+")");
+    if(m.notes) row(dl,"notes",m.notes);
+    box.appendChild(dl);
+    renderMap(box,m);
+    const picker=$("qmachine");
+    const src=m.circuit||m.state;
+    if(src) row(dl,m.circuit?"circuit":"state",src);
+    if(src&&picker){
+      const b=el("button",m.circuit?"Simulate in visualizer":"Show state in visualizer");
+      b.onclick=()=>{ picker.value=src; picker.onchange(); };
+      box.appendChild(b);
+    }
+  }
+
+  // Coupling map coloured by error rate; a click on a qubit shows nodeInfo below it.
+  function renderMap(box,m){
+    const cv=el("canvas",null,{width:360,height:m.topology.kind==="heavy-hex"?200:240});
+    cv.style.cursor="pointer";
+    const info=el("dl");
+    const draw=()=>{
+      const placed=CouplingMap.paint(cv.getContext("2d"),cv.width,cv.height,m,{selected:qubit});
+      info.innerHTML="";
+      if(qubit!=null) CouplingMap.describe(CouplingMap.nodeInfo(m,qubit)).forEach(([k,v])=>row(info,k,v));
+      return placed;
+    };
+    let placed=draw();
+    cv.onclick=(e)=>{
+      const r=cv.getBoundingClientRect();
+      const hit=CouplingMap.hitTest(placed,(e.clientX-r.left)*cv.width/(r.width||cv.width),(e.clientY-r.top)*cv.height/(r.height||cv.height));
+      qubit=hit===qubit?null:hit;
+      placed=draw();
+    };
+    box.appendChild(el("h4","Coupling map"));
+    box.appendChild(cv);
+    box.appendChild(info);
+  }
+
+  function select(id){
+    if(!selected||selected.id!==id) qubit=null;
+    selected=machines.find((m)=>m.id===id)||null;
+    saveHash();
+    renderList();
+    renderDetail();
+  }
+
+  function saveHash(){
+    const parts=[];
+    if(selected) parts.push("machine="+selected.id);
+    if(compareIds.length) parts.push("compare="+compareIds.join(","));
+    history.replaceState(null,"",parts.length?"#"+parts.join("&"):location.pathname+location.search);
+  }
+
+  function toggleCompare(id){
+    compareIds=compareIds.includes(id)?compareIds.filter((x)=>x!==id):compareIds.concat(id).slice(0,CatalogCompare.MAX_MACHINES);
+    saveHash();
+    renderList();
+    renderCompare();
+  }
+
+  function renderCompare(){
+    const box=$("ccompare");
+    box.innerHTML="";
+    const list=compareIds.map((id)=>machines.find((m)=>m.id===id)).filter(Boolean);
+    if(list.length<CatalogCompare.MIN_MACHINES){
+      if(list.length) box.appendChild(el("p","Tick "+(CatalogCompare.MIN_MACHINES-list.length)+" more to compare."));
+      return;
+    }
+    const result=CatalogCompare.compare(list);
+    box.appendChild(el("h3","Comparison"));
+    const table=el("table");
+    const head=el("tr");
+    head.appendChild(el("th"));
+    list.forEach((m)=>head.appendChild(el("th",m.name)));
+    table.appendChild(head);
+    result.rows.forEach((r)=>{
+      const tr=el("tr");
+      tr.appendChild(el("th",r.label,{align:"left"}));
+      r.values.forEach((v,i)=>{
+        const td=el("td",v==null?"–":v);
+        if(r.best[i]){ td.style.color="#3fb950"; td.style.fontWeight="bold"; }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    box.appendChild(table);
+    const cv=el("canvas",null,{width:360,height:240});
+    CatalogCompare.paintOverlay(cv.getContext("2d"),cv.width,cv.height,list);
+    box.appendChild(cv);
+    const b=el("button","Export to ledger (.md)");
+    const out=el("pre");
+    b.onclick=()=>exportLedger(list,result,out);
+    box.appendChild(el("p")).appendChild(b);
+    box.appendChild(out);
+  }
+
+  // Shows the ledger section and downloads it as YYYYMMDD.md, ready for ledger/.
+  function exportLedger(list,result,out){
+    const date=new Date();
+    const md=CatalogCompare.toMarkdown(result,{date,hash:CatalogCompare.stateHash(list)});
+    out.textContent=md;
+    const a=el("a",null,{href:URL.createObjectURL(new Blob([md],{type:"text/markdown"})),download:CatalogCompare.ledgerFile(date).replace(/^ledger\//,"")});
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(()=>URL.revokeObjectURL(a.href),1000); // revoking at once can cancel the download
+  }
+
+  function bind(){
+    const tag=$("ctag");
+    Catalog.allTags(machines).forEach((t)=>tag.appendChild(el("option","#"+t,{value:t})));
+    for(const id of ["csearch","cmin","cmax"]) $(id).oninput=renderList;
+    tag.onchange=renderList;
+  }
+
+  load().then(()=>{
+    bind();
+    const c=/compare=([a-z0-9,-]+)/.exec(location.hash);
+    if(c) compareIds=c[1].split(",").filter((id)=>machines.some((m)=>m.id===id)).slice(0,CatalogCompare.MAX_MACHINES);
+    const m=/machine=([a-z0-9-]+)/.exec(location.hash);
+    if(m) select(m[1]); else renderList();
+    renderCompare();
+  }).catch((e)=>{ $("ccount").textContent="⚠ catalog failed to load: "+e.message; });
+
+  root.CatalogPanel={select,toggleCompare,machines:()=>machines.slice(),selected:()=>selected,compared:()=>compareIds.slice()};
+})(typeof self!=="undefined"?self:this);
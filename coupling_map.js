@@ -0,0 +1,213 @@
+// CouplingMap — lays out a catalog machine's qubit coupling graph and draws it on
+// any 2D context, with qubits coloured by single-qubit (or readout) error and
+// couplings by two-qubit error. Figures come from the entry's calibration lists,
+// else its median errors. Shared by the index.html catalog panel,
+// coupling_map_scene.jsx.js (three.js) and scripts/render_frames.js.
+//
+// Layout: topology.coords when given (heavy-hex-27 has the published diagram),
+// grids by row and column, everything else on a circle from qubit 0 at the top.
+(function (root) {
+  const HUE_GOOD = 130; // lowest error on the machine
+  const HUE_BAD = 0; // highest
+
+  function rawLayout(m) {
+    const t = m.topology;
+    const n = m.qubits;
+    if (t.coords) return t.coords.map(([x, y]) => [x, y]);
+    if (t.kind === "grid") return Array.from({ length: n }, (_, q) => [q % t.cols, Math.floor(q / t.cols)]);
+    if (n === 1) return [[0, 0]];
+    return Array.from({ length: n }, (_, q) => {
+      const a = (q / n) * 2 * Math.PI - Math.PI / 2;
+      return [Math.cos(a), Math.sin(a)];
+    });
+  }
+
+  /**
+   * [x, y] per qubit, centred on 0 and scaled into [−1, 1] with the aspect kept;
+   * +y points down, as on a canvas.
+   * @returns {number[][]}
+   */
+  function layout(m) {
+    const pts = rawLayout(m);
+    const xs = pts.map((p) => p[0]);
+    const ys = pts.map((p) => p[1]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    const half = Math.max(Math.max(...xs) - cx, Math.max(...ys) - cy) || 1;
+    return pts.map(([x, y]) => [(x - cx) / half, (y - cy) / half]);
+  }
+
+  // ---- figures ------------------------------------------------------------------
+
+  // A per-qubit (or, for two_qubit, per-coupling) list: calibrated or the median.
+  function figures(m, key) {
+    const cal = m.calibration && m.calibration[key];
+    if (cal) return cal.slice();
+    const median = key in m.errors ? m.errors[key] : m.coherence ? m.coherence[key] : null;
+    const count = key === "two_qubit" ? m.topology.edges.length : m.qubits;
+    return new Array(count).fill(median == null ? null : median);
+  }
+
+  /**
+   * Everything known about one qubit, for the click-through details.
+   * @returns {{ qubit: number, calibrated: boolean, single_qubit: number | null, readout: number | null,
+   *   t1_us: number | null, t2_us: number | null, couplings: { qubit: number, two_qubit: number | null }[] }}
+   */
+  function nodeInfo(m, q) {
+    const twoQubit = figures(m, "two_qubit");
+    const couplings = [];
+    m.topology.edges.forEach(([a, b], i) => {
+      if (a === q || b === q) couplings.push({ qubit: a === q ? b : a, two_qubit: twoQubit[i] });
+    });
+    couplings.sort((a, b) => a.qubit - b.qubit);
+    const at = (key) => figures(m, key)[q];
+    return {
+      qubit: q,
+      calibrated: Boolean(m.calibration),
+      single_qubit: at("single_qubit"),
+      readout: at("readout"),
+      t1_us: at("t1_us"),
+      t2_us: at("t2_us"),
+      couplings,
+    };
+  }
+
+  const pct = (p) => (p == null ? "–" : (p * 100).toFixed(p < 0.001 ? 3 : 2) + "%");
+  const us = (v) => (v == null ? "–" : v >= 1e6 ? (v / 1e6).toFixed(1) + " s" : v >= 1000 ? (v / 1000).toFixed(1) + " ms" : v + " µs");
+
+  /** nodeInfo() as [label, text] rows. */
+  function describe(info) {
+    const rows = [
+      ["qubit", String(info.qubit) + (info.calibrated ? "" : " (machine medians)")],
+      ["1q error", pct(info.single_qubit)],
+      ["readout", pct(info.readout)],
+      ["T1 / T2", `${us(info.t1_us)} / ${us(info.t2_us)}`],
+    ];
+    if (info.couplings.length) rows.push(["couplings", info.couplings.map((c) => `${c.qubit} (${pct(c.two_qubit)})`).join(", ")]);
+    return rows;
+  }
+
+  // ---- colour -------------------------------------------------------------------
+
+  // Log-scale position of each value between the list's extremes → green … red.
+  // A zero error has no logarithm; it is as good as it gets, so it is green.
+  function shade(values) {
+    const positive = values.filter((v) => v != null && v > 0);
+    const lo = Math.log(Math.min(...positive));
+    const hi = Math.log(Math.max(...positive));
+    const hue = (k) => `hsl(${Math.round(HUE_GOOD + (HUE_BAD - HUE_GOOD) * k)}, 70%, 55%)`;
+    return values.map((v) => {
+      if (v == null) return "#8b949e";
+      if (v <= 0) return hue(0);
+      return hue(hi > lo ? (Math.log(v) - lo) / (hi - lo) : 0);
+    });
+  }
+
+  /**
+   * CSS colours per qubit and per coupling (topology.edges order), relative to
+   * the machine's own best and worst figures.
+   * @param {{ nodeMetric?: "single_qubit" | "readout" }} [opts]
+   */
+  function colors(m, opts = {}) {
+    const metric = opts.nodeMetric || "single_qubit";
+    const nodes = figures(m, metric);
+    const edges = figures(m, "two_qubit");
+    return { nodes: shade(nodes), edges: shade(edges), range: { [metric]: span(nodes), two_qubit: span(edges) } };
+  }
+
+  function span(values) {
+    const known = values.filter((v) => v != null);
+    return known.length ? [Math.min(...known), Math.max(...known)] : null;
+  }
+
+  // ---- drawing ------------------------------------------------------------------
+
+  // Screen points for a w × h box, and a node radius that keeps neighbours apart.
+  function place(m, w, h, pad) {
+    const pts = layout(m);
+    const ex = Math.max(...pts.map((p) => Math.abs(p[0]))) || 1;
+    const ey = Math.max(...pts.map((p) => Math.abs(p[1]))) || 1;
+    const s = Math.min((w / 2 - pad) / ex, (h / 2 - pad) / ey);
+    const points = pts.map(([x, y]) => [w / 2 + x * s, h / 2 + y * s]);
+    let gap = Infinity;
+    for (let a = 0; a < points.length; a++) {
+      for (let b = a + 1; b < points.length; b++) gap = Math.min(gap, Math.hypot(points[a][0] - points[b][0], points[a][1] - points[b][1]));
+    }
+    return { points, radius: Math.max(3, Math.min(12, gap === Infinity ? 12 : gap * 0.3)) };
+  }
+
+  /**
+   * Draws the coupling map into a w × h box.
+   * @param {{ selected?: number | null, nodeMetric?: "single_qubit" | "readout", color?: string,
+   *   clear?: boolean, labels?: boolean, legend?: boolean }} [opts]
+   *   color: one colour for the whole graph instead of error shading (overlays);
+   *   clear: false draws over what is there.
+   * @returns {{ points: number[][], radius: number }} for hitTest()
+   */
+  function paint(x, w, h, m, opts = {}) {
+    const legend = opts.legend !== false && !opts.color;
+    const placed = place(m, w, h, 18 + (legend ? 8 : 0));
+    const { points, radius } = placed;
+    const shades = opts.color ? null : colors(m, opts);
+    if (opts.clear !== false) x.clearRect(0, 0, w, h);
+
+    x.lineWidth = Math.max(1.5, radius / 3);
+    m.topology.edges.forEach(([a, b], i) => {
+      x.strokeStyle = shades ? shades.edges[i] : opts.color;
+      x.beginPath();
+      x.moveTo(points[a][0], points[a][1]);
+      x.lineTo(points[b][0], points[b][1]);
+      x.stroke();
+    });
+
+    x.font = `${Math.max(8, Math.round(radius))}px monospace`;
+    x.textAlign = "center";
+    const labels = opts.labels != null ? opts.labels : radius >= 7;
+    points.forEach(([px, py], q) => {
+      x.fillStyle = shades ? shades.nodes[q] : opts.color;
+      x.beginPath();
+      x.arc(px, py, radius, 0, Math.PI * 2);
+      x.fill();
+      if (q === opts.selected) {
+        x.strokeStyle = "#f0f6fc";
+        x.lineWidth = 2;
+        x.beginPath();
+        x.arc(px, py, radius + 3, 0, Math.PI * 2);
+        x.stroke();
+      }
+      if (labels) {
+        x.fillStyle = "#0d1117";
+        x.fillText(String(q), px, py + radius * 0.35);
+      }
+    });
+    x.textAlign = "start";
+
+    if (legend) {
+      const metric = opts.nodeMetric || "single_qubit";
+      const r = shades.range;
+      const txt = (k, lab) => (r[k] ? `${lab} ${pct(r[k][0])}–${pct(r[k][1])}` : "");
+      x.font = "10px monospace";
+      x.fillStyle = "#8b949e";
+      x.fillText(`green→red: ${[txt(metric, metric === "readout" ? "readout" : "1q"), txt("two_qubit", "2q")].filter(Boolean).join(" • ")}`, 4, h - 4);
+    }
+    return placed;
+  }
+
+  /** The qubit under (px, py), or null. */
+  function hitTest(placed, px, py) {
+    let best = null;
+    let bestD = placed.radius + 4;
+    placed.points.forEach(([x, y], q) => {
+      const d = Math.hypot(px - x, py - y);
+      if (d <= bestD) {
+        best = q;
+        bestD = d;
+      }
+    });
+    return best;
+  }
+
+  const api = { layout, nodeInfo, describe, colors, paint, hitTest };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.CouplingMap = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,70 @@
+import React, { useMemo, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls, Line } from '@react-three/drei';
+import { Card, CardContent } from '@/components/ui/card';
+import CouplingMap from './coupling_map.js';
+import Particle from './particle.jsx.js';
+
+// A catalog machine's coupling map as a three.js scene: BinaryCosmicUI's glowing
+// particles for qubits, lines for couplings, both coloured by error rate
+// (coupling_map.js). Clicking a qubit lists its figures below the scene.
+
+const SPREAD = 2.5; // scene units from the centre to the outermost qubit
+
+export default function CouplingMapScene({ machine, nodeMetric = 'single_qubit' }) {
+  const [selected, setSelected] = useState(null);
+  // canvas y points down; three.js y points up
+  const points = useMemo(() => CouplingMap.layout(machine).map(([x, y]) => [x * SPREAD, -y * SPREAD, 0]), [machine]);
+  const shades = useMemo(() => CouplingMap.colors(machine, { nodeMetric }), [machine, nodeMetric]);
+  const rows = selected == null ? null : CouplingMap.describe(CouplingMap.nodeInfo(machine, selected));
+
+  return (
+    <div className="flex flex-col items-center bg-black text-white p-4">
+      <h2 className="text-xl font-semibold text-blue-300 mb-1">{machine.name}</h2>
+      <p className="text-xs text-gray-400 mb-3">
+        {machine.qubits} qubits • {machine.topology.kind} • colour: green = lowest error on this machine, red = highest
+      </p>
+
+      <div className="w-full h-[60vh] border border-gray-700 rounded-2xl overflow-hidden shadow-lg">
+        <Canvas camera={{ position: [0, 0, 6] }} onPointerMissed={() => setSelected(null)}>
+          <ambientLight intensity={0.4} />
+          <pointLight position={[5, 5, 5]} />
+          <OrbitControls enableZoom={true} />
+
+          {machine.topology.edges.map(([a, b], i) => (
+            <Line key={`${a}-${b}`} points={[points[a], points[b]]} color={shades.edges[i]} lineWidth={2} />
+          ))}
+          {points.map((p, q) => (
+            <Particle
+              key={q}
+              position={p}
+              color={shades.nodes[q]}
+              selected={q === selected}
+              onClick={(e) => {
+                e.stopPropagation();
+                setSelected(q === selected ? null : q);
+              }}
+            />
+          ))}
+        </Canvas>
+      </div>
+
+      <Card className="bg-gray-900/60 border-gray-700 mt-4 w-80">
+        <CardContent>
+          {rows ? (
+            <dl className="grid grid-cols-[auto_1fr] gap-x-3 text-sm">
+              {rows.map(([k, v]) => (
+                <React.Fragment key={k}>
+                  <dt className="text-gray-400">{k}</dt>
+                  <dd>{v}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          ) : (
+            <p className="text-sm text-gray-400">Click a qubit for its error rates, coherence and couplings.</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
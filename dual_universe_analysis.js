@@ -0,0 +1,131 @@
+// Dual‑Universe junction analysis — pure numeric readouts over the curve
+// samplers in dual_universe_model.js (or any y = f(x) functions), with no canvas
+// or React dependency.
+//
+// At each junction every child starts at the parent's value, so the curves are
+// continuous there; what differs is the slope. For each junction we report the
+// parent's left derivative, each child's right derivative, and for every pair
+// of children the gap d(x) = a(x) − b(x): where it returns to zero and where it
+// is largest inside the trace window.
+(function (root) {
+  const H = 1e-4; // finite-difference step
+
+  // One-sided second-order difference; `side` < 0 looks left, > 0 looks right.
+  function derivative(f, x, side = 1, h = H) {
+    const s = side < 0 ? -1 : 1;
+    return (s * (-3 * f(x) + 4 * f(x + s * h) - f(x + 2 * s * h))) / (2 * h);
+  }
+
+  // Samples d(x) = fa(x) − fb(x) at n + 1 evenly spaced points on [from, to].
+  function distance(fa, fb, from, to, n = 200) {
+    const out = [];
+    for (let i = 0; i <= n; i++) {
+      const x = from + ((to - from) * i) / n;
+      out.push({ x, d: fa(x) - fb(x) });
+    }
+    return out;
+  }
+
+  // Every x in (from, to] where fa and fb meet again: scan for sign changes of
+  // d(x), then bisect each bracket. The shared point at `from` is skipped.
+  function crossings(fa, fb, from, to, opts = {}) {
+    const n = opts.samples || 400;
+    const tol = opts.tol || 1e-9;
+    const d = (x) => fa(x) - fb(x);
+    const skip = opts.skip == null ? (to - from) / n / 10 : opts.skip;
+    const hits = [];
+    let x0 = from + skip;
+    let d0 = d(x0);
+    for (let i = 1; i <= n; i++) {
+      const x1 = from + skip + ((to - from - skip) * i) / n;
+      const d1 = d(x1);
+      if (d1 === 0) {
+        hits.push(x1);
+      } else if (d0 !== 0 && Math.sign(d0) !== Math.sign(d1)) {
+        let lo = x0;
+        let hi = x1;
+        let dlo = d0;
+        for (let k = 0; k < 100 && hi - lo > tol; k++) {
+          const mid = (lo + hi) / 2;
+          const dm = d(mid);
+          if (Math.sign(dm) === Math.sign(dlo)) {
+            lo = mid;
+            dlo = dm;
+          } else {
+            hi = mid;
+          }
+        }
+        hits.push((lo + hi) / 2);
+      }
+      x0 = x1;
+      d0 = d1;
+    }
+    return hits;
+  }
+
+  // Largest |fa − fb| on [from, to]: coarse scan, then a golden-section refine
+  // around the best sample.
+  function maxDivergence(fa, fb, from, to, n = 400) {
+    const g = (x) => Math.abs(fa(x) - fb(x));
+    let best = { x: from, d: g(from) };
+    for (let i = 1; i <= n; i++) {
+      const x = from + ((to - from) * i) / n;
+      const v = g(x);
+      if (v > best.d) best = { x, d: v };
+    }
+    const step = (to - from) / n;
+    let lo = Math.max(from, best.x - step);
+    let hi = Math.min(to, best.x + step);
+    const r = (Math.sqrt(5) - 1) / 2;
+    for (let k = 0; k < 40; k++) {
+      const a = hi - r * (hi - lo);
+      const b = lo + r * (hi - lo);
+      if (g(a) > g(b)) hi = b;
+      else lo = a;
+    }
+    const x = (lo + hi) / 2;
+    return g(x) > best.d ? { x, d: g(x) } : best;
+  }
+
+  // Readouts for one junction of a model from createModel(), at time t.
+  function analyzeJunction(model, junction, t = 0, opts = {}) {
+    const b = junction.branch;
+    const x = junction.x;
+    const kids = model.branches.filter((c) => c.parent === b);
+    const at = (branch) => (xx) => branch.y(xx, t);
+    const pairs = [];
+    for (let i = 0; i < kids.length; i++) {
+      for (let j = i + 1; j < kids.length; j++) {
+        const a = kids[i];
+        const c = kids[j];
+        const to = Math.min(a.end, c.end); // the trace window both branches are drawn over
+        if (!(to > x)) continue;
+        pairs.push({
+          a: a.id,
+          b: c.id,
+          from: x,
+          to,
+          samples: distance(at(a), at(c), x, to, opts.samples || 200),
+          crossings: crossings(at(a), at(c), x, to),
+          max: maxDivergence(at(a), at(c), x, to),
+        });
+      }
+    }
+    return {
+      id: junction.id,
+      x,
+      y: junction.y(t),
+      left: { id: b.id, slope: derivative(at(b), x, -1) },
+      right: kids.map((c) => ({ id: c.id, slope: derivative(at(c), x, 1) })),
+      pairs,
+    };
+  }
+
+  function analyze(model, t = 0, opts = {}) {
+    return model.junctions.map((j) => analyzeJunction(model, j, t, opts));
+  }
+
+  const api = { derivative, distance, crossings, maxDivergence, analyzeJunction, analyze };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.DualUniverseAnalysis = api;
+})(typeof self !== "undefined" ? self : this);
@@ -1,4 +1,10 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, { useEffect, useRef, useState, useCallback, useMemo } from "react";
+import CanvasExport from "./canvas_export.js";
+import DualUniverseRender from "./dual_universe_render.js";
+import DualUniverseModel from "./dual_universe_model.js";
+import DualUniverseAnalysis from "./dual_universe_analysis.js";
+
+const D = DualUniverseModel.DEFAULTS;
 
 // Dual‑Universe Branch Visual (Canvas) — FIXED
 // ------------------------------------------------------------
@@ -15,175 +21,163 @@ import React, { useEffect, useRef, useState, useCallback } from "react";
 export default function DualUniverseCanvas() {
   // View + animation
   const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  const mapRef = useRef(null); // pixel map of the last painted frame, for hit-testing
   const rafRef = useRef(0);
-  const [playing, setPlaying] = useState(true);
-  const [time, setTime] = useState(0); // seconds
-
-  // Model parameters
-  const [xMax, setXMax] = useState(10); // domain extent
-  const [splitX, setSplitX] = useState(4); // the junction (your "4")
-  const [baseAmp, setBaseAmp] = useState(1.0);
-  const [baseFreq, setBaseFreq] = useState(1.15);
-  const [basePhase, setBasePhase] = useState(0.0);
-
-  // Post‑split universe 1 params
-  const [u1Slope, setU1Slope] = useState(0.35);
-  const [u1Amp, setU1Amp] = useState(0.9);
-  const [u1Freq, setU1Freq] = useState(0.95);
-  const [u1Phase, setU1Phase] = useState(0.4);
-
-  // Post‑split universe 2 params
-  const [u2Slope, setU2Slope] = useState(-0.3);
-  const [u2Amp, setU2Amp] = useState(0.75);
-  const [u2Freq, setU2Freq] = useState(1.22);
-  const [u2Phase, setU2Phase] = useState(-0.2);
+  // Start from a shared #du= link, else the last autosaved config, else defaults
+  const [initial] = useState(loadInitialConfig);
+  const [playing, setPlaying] = useState(!initial.fromLink); // links open paused on their frame
+  const [time, setTime] = useState(initial.time || 0); // seconds
+
+  // Model parameters (defaults in dual_universe_model.js)
+  const [xMax, setXMax] = useState(initial.xMax); // domain extent
+  // Branch tree: the base universe at the root, splitting at its junction (your "4")
+  const [tree, setTree] = useState(initial.tree);
+  const configFileRef = useRef(null);
+
+  // Named presets (localStorage) and a transient status line for save/share actions
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState("");
+  const [notice, setNotice] = useState("");
 
   // Playback speed & trace length
-  const [speed, setSpeed] = useState(1.0); // seconds per real second
-  const [trace, setTrace] = useState(10); // how far ahead to draw after split
-
-  // Utility: map logical coords to pixels (CSS‑space, not device pixels)
-  const mapFactory = (cssW, cssH, padding = 48) => {
-    const left = padding;
-    const right = cssW - padding;
-    const top = padding;
-    const bottom = cssH - padding;
-    const width = Math.max(1, right - left);
-    const height = Math.max(1, bottom - top);
-
-    const x2px = (x) => left + (x / xMax) * width;
-    const y2px = (y) => {
-      // y in [-Ymax, +Ymax] where we set Ymax ~ 2.2 for headroom
-      const yMax = 2.2;
-      return top + (1 - (y + yMax) / (2 * yMax)) * height;
-    };
-
-    return { x2px, y2px, left, right, top, bottom, width, height };
+  const [speed, setSpeed] = useState(initial.speed || 1.0); // seconds per real second
+  const [trace, setTrace] = useState(initial.trace); // how far ahead to draw after split
+
+  // Export settings
+  const [exportScale, setExportScale] = useState(2);
+  const [exportSecs, setExportSecs] = useState(3);
+  const [exporting, setExporting] = useState("");
+
+  // Pan/zoom window (null = whole domain), hover probe x, and the active pointer gesture
+  const [view, setView] = useState(null);
+  const [probe, setProbe] = useState(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const [hoverJunction, setHoverJunction] = useState(false);
+
+  // Junction readouts, with the u1 − u2 gap optionally charted under the scene
+  const [showChart, setShowChart] = useState(false);
+
+  // All curve math and drawing live in dual_universe_model.js / dual_universe_render.js
+  // so the headless renderer draws exactly what this canvas shows.
+  const params = useMemo(() => ({ xMax, trace, tree }), [xMax, trace, tree]);
+  const model = useMemo(() => DualUniverseModel.createModel(params), [params]);
+  // The readouts are a snapshot, re-taken when the tree or view changes (or the
+  // paused clock moves) — not every animation frame while playing.
+  const timeRef = useRef(time);
+  timeRef.current = time;
+  const pausedAt = playing ? null : time;
+  const snapshot = useMemo(() => {
+    const t = timeRef.current;
+    return { t, junctions: DualUniverseAnalysis.analyze(model, t) };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [model, view, pausedAt]);
+  const analysis = snapshot.junctions;
+
+  // Tree edits
+  const setNode = (id, key) => (v) => setTree((tr) => DualUniverseModel.updateNode(tr, id, { [key]: v }));
+  const splitNode = (id) => setTree((tr) => DualUniverseModel.splitBranch(tr, id, xMax));
+  const removeNode = (id) => setTree((tr) => DualUniverseModel.removeBranch(tr, id));
+
+  // Save / load / share the full configuration
+  const currentConfig = () => DualUniverseModel.serialize(params, { speed, time });
+  const applyConfig = (c) => {
+    setXMax(c.xMax);
+    setTrace(c.trace);
+    setTree(c.tree);
+    if (Number.isFinite(c.speed)) setSpeed(c.speed);
+    if (Number.isFinite(c.time)) setTime(c.time);
+  };
+  const flash = (msg) => {
+    setNotice(msg);
+    window.setTimeout(() => setNotice((n) => (n === msg ? "" : n)), 2500);
   };
 
-  // Base function (single universe) until split
-  const baseY = useCallback(
-    (x, t) => baseAmp * Math.sin(2 * Math.PI * baseFreq * (x / xMax) + basePhase + 0.6 * t),
-    [baseAmp, baseFreq, basePhase, xMax]
-  );
-
-  // Ensure continuity at the junction: both universes start at the exact base value at splitX
-  const junctionY = useCallback(
-    (t) => baseY(splitX, t),
-    [baseY, splitX]
-  );
-
-  // Two post‑split universes sharing the same point at x=splitX, but with different derivatives thereafter
-  const u1Y = useCallback(
-    (x, t) => {
-      const dx = Math.max(0, x - splitX);
-      return (
-        junctionY(t) +
-        u1Slope * dx +
-        u1Amp * Math.sin(2 * Math.PI * u1Freq * (dx / Math.max(1e-6, xMax - splitX)) + u1Phase + 0.7 * t)
-      );
-    },
-    [junctionY, splitX, u1Slope, u1Amp, u1Freq, u1Phase, xMax]
-  );
+  // Remember the last configuration across reloads, like FieldSignalApp's knobs (time excluded)
+  useEffect(() => {
+    save("config", JSON.stringify(DualUniverseModel.serialize(params, { speed })));
+  }, [params, speed]);
 
-  const u2Y = useCallback(
-    (x, t) => {
-      const dx = Math.max(0, x - splitX);
-      return (
-        junctionY(t) +
-        u2Slope * dx +
-        u2Amp * Math.sin(2 * Math.PI * u2Freq * (dx / Math.max(1e-6, xMax - splitX)) + u2Phase + 0.65 * t)
-      );
-    },
-    [junctionY, splitX, u2Slope, u2Amp, u2Freq, u2Phase, xMax]
-  );
+  // Pasting a #du= link into the address bar applies it without a reload
+  useEffect(() => {
+    const onHash = () => {
+      try {
+        const c = DualUniverseModel.fromHash(window.location.hash);
+        if (c) {
+          applyConfig(c);
+          setPlaying(false);
+        }
+      } catch (err) {
+        flash(`Bad link: ${err.message}`);
+      }
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
 
-  // Draw helpers
-  const drawGrid = (ctx, map) => {
-    const { left, right, top, bottom, x2px, y2px } = map;
-    ctx.save();
-    ctx.strokeStyle = "#1f2937"; // slate-800
-    ctx.lineWidth = 1;
-
-    // Vertical grid (x)
-    const xStep = 1;
-    for (let x = 0; x <= xMax; x += xStep) {
-      const px = x2px(x);
-      ctx.beginPath();
-      ctx.moveTo(px, top);
-      ctx.lineTo(px, bottom);
-      ctx.stroke();
+  const exportConfig = () => {
+    const json = JSON.stringify(currentConfig(), null, 2);
+    CanvasExport.download(new Blob([json], { type: "application/json" }), "dual-universe.json");
+  };
+  const importConfig = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      applyConfig(DualUniverseModel.deserialize(await file.text()));
+      flash(`Loaded ${file.name}`);
+    } catch (err) {
+      flash(`Could not load: ${err.message}`);
     }
+  };
 
-    // Horizontal grid (y)
-    const yStep = 0.5;
-    for (let y = -2; y <= 2; y += yStep) {
-      const py = y2px(y);
-      ctx.beginPath();
-      ctx.moveTo(left, py);
-      ctx.lineTo(right, py);
-      ctx.stroke();
+  const shareLink = async () => {
+    const url = `${window.location.href.split("#")[0]}#${DualUniverseModel.toHash(currentConfig())}`;
+    window.history.replaceState(null, "", url);
+    try {
+      await navigator.clipboard.writeText(url);
+      flash("Link copied");
+    } catch {
+      window.prompt("Copy this link", url);
     }
-
-    // Axes
-    ctx.strokeStyle = "#4b5563"; // gray-600
-    ctx.lineWidth = 1.5;
-    // x-axis (y=0)
-    ctx.beginPath();
-    ctx.moveTo(left, y2px(0));
-    ctx.lineTo(right, y2px(0));
-    ctx.stroke();
-    // y-axis (x=0)
-    ctx.beginPath();
-    ctx.moveTo(x2px(0), top);
-    ctx.lineTo(x2px(0), bottom);
-    ctx.stroke();
-
-    // Junction marker at x=splitX
-    ctx.setLineDash([6, 6]);
-    ctx.strokeStyle = "#ef4444"; // red-500
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(x2px(splitX), top);
-    ctx.lineTo(x2px(splitX), bottom);
-    ctx.stroke();
-    ctx.setLineDash([]);
-
-    // Label
-    ctx.fillStyle = "#ef4444";
-    ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
-    ctx.fillText(`junction = ${splitX.toFixed(2)} (π-chain "4")`, x2px(splitX) + 8, top + 16);
-
-    ctx.restore();
   };
 
-  const drawCurve = (ctx, map, sampler, color, fromX, toX) => {
-    const { x2px, y2px } = map;
-    ctx.save();
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2.2;
-    ctx.beginPath();
-
-    const step = xMax / 1000; // smoothness
-    let penDown = false;
-    for (let x = fromX; x <= Math.min(xMax, toX); x += step) {
-      const y = sampler(x);
-      if (!Number.isFinite(y)) {
-        penDown = false; // lift pen on gaps
-        continue;
-      }
-      const px = x2px(x);
-      const py = y2px(y);
-      if (!penDown) {
-        ctx.moveTo(px, py);
-        penDown = true;
-      } else {
-        ctx.lineTo(px, py);
-      }
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return flash("Name the preset first");
+    const next = Object.assign({}, presets, { [name]: currentConfig() });
+    setPresets(next);
+    save("presets", JSON.stringify(next));
+    flash(`Saved “${name}”`);
+  };
+  const loadPreset = (name) => {
+    if (!presets[name]) return;
+    try {
+      applyConfig(DualUniverseModel.deserialize(presets[name]));
+      setPresetName(name);
+    } catch (err) {
+      flash(`Preset “${name}” is invalid: ${err.message}`);
     }
-    ctx.stroke();
-    ctx.restore();
   };
+  const deletePreset = () => {
+    const name = presetName.trim();
+    if (!presets[name]) return;
+    const next = Object.assign({}, presets);
+    delete next[name];
+    setPresets(next);
+    save("presets", JSON.stringify(next));
+    setPresetName("");
+    flash(`Deleted “${name}”`);
+  };
+
+  // Paints the whole scene in CSS pixels onto any 2D context: the live canvas,
+  // an export canvas, or CanvasExport.SvgContext for vector output.
+  // Exports keep the current zoom but not the probe.
+  const paintScene = useCallback(
+    (ctx, cssW, cssH, t, probeX) => DualUniverseRender.paintScene(ctx, cssW, cssH, params, t, { view, probe: probeX }),
+    [params, view]
+  );
 
   const render = useCallback(() => {
     const canvas = canvasRef.current;
@@ -204,73 +198,148 @@ export default function DualUniverseCanvas() {
     ctx.setTransform(1, 0, 0, 1, 0, 0); // critical: reset any previous scaling
     ctx.scale(dpr, dpr);
 
-    // Clear
-    ctx.fillStyle = "#0b1220"; // near-black blue
-    ctx.fillRect(0, 0, cssW, cssH);
-
-    const map = mapFactory(cssW, cssH, 56);
-
-    // Grid and labels
-    drawGrid(ctx, map);
-
-    // Time window
-    const t = time;
-
-    // Pre‑split path (white)
-    drawCurve(
-      ctx,
-      map,
-      (x) => (x <= splitX ? baseY(x, t) : Number.NaN),
-      "#ffffff",
-      0,
-      splitX
-    );
-
-    // Post‑split simultaneous universes, computed together
-    const toX = Math.min(xMax, splitX + trace);
-    drawCurve(
-      ctx,
-      map,
-      (x) => (x >= splitX ? u1Y(x, t) : Number.NaN),
-      "#60a5fa", // blue-400
-      splitX,
-      toX
-    );
-    drawCurve(
-      ctx,
-      map,
-      (x) => (x >= splitX ? u2Y(x, t) : Number.NaN),
-      "#f472b6", // pink-400
-      splitX,
-      toX
-    );
-
-    // Junction dot (shared symmetry point)
-    const { x2px, y2px } = map;
-    const jx = x2px(splitX);
-    const jy = y2px(junctionY(t));
-    ctx.fillStyle = "#fbbf24"; // amber-400
-    ctx.beginPath();
-    ctx.arc(jx, jy, 4, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Legend
-    ctx.fillStyle = "#cbd5e1";
-    ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
-    ctx.fillText("Base universe (pre‑split)", 16, 22);
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(160, 15, 26, 2.5);
-
-    ctx.fillStyle = "#cbd5e1";
-    ctx.fillText("Universe 1 (post‑split)", 16, 40);
-    ctx.fillStyle = "#60a5fa";
-    ctx.fillRect(160, 33, 26, 2.5);
-
-    ctx.fillStyle = "#cbd5e1";
-    ctx.fillText("Universe 2 (post‑split)", 16, 58);
-    ctx.fillStyle = "#f472b6";
-    ctx.fillRect(160, 51, 26, 2.5);
-  }, [time, xMax, splitX, trace, baseY, u1Y, u2Y, junctionY]);
+    mapRef.current = paintScene(ctx, cssW, cssH, time, probe);
+
+    const chart = chartRef.current;
+    const cctx = chart && chart.getContext("2d");
+    if (cctx) {
+      const chW = Math.max(1, chart.clientWidth);
+      const chH = Math.max(1, chart.clientHeight);
+      if (chart.width !== Math.floor(chW * dpr) || chart.height !== Math.floor(chH * dpr)) {
+        chart.width = Math.floor(chW * dpr);
+        chart.height = Math.floor(chH * dpr);
+      }
+      cctx.setTransform(1, 0, 0, 1, 0, 0);
+      cctx.scale(dpr, dpr);
+      const colors = Object.fromEntries(model.branches.map((b) => [b.id, b.node.color]));
+      DualUniverseRender.paintDivergence(cctx, chW, chH, xMax, analysis, colors);
+    }
+  }, [time, probe, paintScene, analysis, model, xMax]);
+
+  // Pointer interaction: drag the red junction line or amber dot to move splitX,
+  // drag elsewhere to pan, wheel or pinch to zoom, double-click to reset.
+  const pointerAt = (e) => {
+    const r = canvasRef.current.getBoundingClientRect();
+    return { px: e.clientX - r.left, py: e.clientY - r.top };
+  };
+  const currentView = () => view || DualUniverseRender.defaultView(xMax);
+
+  const junctionAt = (px, py) => {
+    const map = mapRef.current;
+    if (!map) return null;
+    let best = null;
+    for (const j of model.junctions) {
+      const jx = map.x2px(j.x);
+      const onDot = Math.hypot(px - jx, py - map.y2px(j.y(time))) < 14;
+      const onLine = Math.abs(px - jx) < 8 && py >= map.top && py <= map.bottom;
+      if ((onDot || onLine) && (!best || Math.abs(px - jx) < best.d)) best = { id: j.id, d: Math.abs(px - jx) };
+    }
+    return best && best.id;
+  };
+
+  const moveJunction = (id, px) => {
+    const b = model.byId[id];
+    const lo = id === tree.id ? 1 : b.start + 0.1;
+    const hi = xMax - 0.1;
+    const x = Math.min(hi, Math.max(lo, mapRef.current.px2x(px)));
+    setNode(id, "splitX")(Math.round(x * 100) / 100);
+  };
+
+  const startPinch = () => {
+    const [a, b] = [...pointersRef.current.values()];
+    const map = mapRef.current;
+    const mid = { px: (a.px + b.px) / 2, py: (a.py + b.py) / 2 };
+    gestureRef.current = { mode: "pinch", dist: Math.hypot(a.px - b.px, a.py - b.py) || 1, view: currentView(), cx: map.px2x(mid.px), cy: map.py2y(mid.py) };
+  };
+
+  const onPointerDown = (e) => {
+    if (!mapRef.current) return;
+    const p = pointerAt(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, p);
+    if (pointersRef.current.size === 2) return startPinch();
+    if (pointersRef.current.size > 2) return;
+    const id = junctionAt(p.px, p.py);
+    gestureRef.current = id ? { mode: "junction", id } : { mode: "pan", start: p, view: currentView(), map: mapRef.current };
+    if (!id) setProbe(mapRef.current.px2x(p.px));
+  };
+
+  const onPointerMove = (e) => {
+    if (!mapRef.current) return;
+    const p = pointerAt(e);
+    if (pointersRef.current.has(e.pointerId)) pointersRef.current.set(e.pointerId, p);
+    const g = gestureRef.current;
+    if (!g) {
+      setProbe(mapRef.current.px2x(p.px));
+      setHoverJunction(!!junctionAt(p.px, p.py));
+    } else if (g.mode === "junction") {
+      moveJunction(g.id, p.px);
+    } else if (g.mode === "pan") {
+      const { map } = g;
+      const dx = -((p.px - g.start.px) / map.width) * (g.view.x1 - g.view.x0);
+      const dy = ((p.py - g.start.py) / map.height) * (g.view.y1 - g.view.y0);
+      setView(DualUniverseRender.panView(g.view, dx, dy));
+      setProbe(map.px2x(g.start.px));
+    } else if (g.mode === "pinch" && pointersRef.current.size >= 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      const dist = Math.hypot(a.px - b.px, a.py - b.py) || 1;
+      setView(DualUniverseRender.zoomView(g.view, g.cx, g.cy, g.dist / dist));
+    }
+  };
+
+  const onPointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    const rest = [...pointersRef.current.values()];
+    // Lifting one finger of a pinch continues as a pan from where the other one is
+    gestureRef.current = rest.length === 1 ? { mode: "pan", start: rest[0], view: currentView(), map: mapRef.current } : null;
+  };
+
+  const onPointerLeave = (e) => {
+    if (e.pointerType === "mouse" && !gestureRef.current) setProbe(null);
+  };
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const onWheel = (e) => {
+      const map = mapRef.current;
+      if (!map) return;
+      e.preventDefault();
+      const r = canvas.getBoundingClientRect();
+      const cx = map.px2x(e.clientX - r.left);
+      const cy = map.py2y(e.clientY - r.top);
+      const factor = Math.exp(e.deltaY * 0.0015);
+      setView((v) => DualUniverseRender.zoomView(v || DualUniverseRender.defaultView(xMax), cx, cy, factor));
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [xMax]);
+
+  // Export: stills are rendered from the current time; GIF/WebM advance time
+  // at the current speed, exactly as playback would.
+  const exportAs = async (kind) => {
+    const canvas = canvasRef.current;
+    if (!canvas || exporting) return;
+    const w = Math.max(1, canvas.clientWidth);
+    const h = Math.max(1, canvas.clientHeight);
+    const fps = kind === "gif" ? 20 : 30;
+    const t0 = time;
+    const paint = (ctx, cw, ch, k) => paintScene(ctx, cw, ch, t0 + (k / fps) * speed);
+    setExporting(kind);
+    try {
+      let blob;
+      if (kind === "png") blob = await CanvasExport.png(paint, w, h, { scale: exportScale });
+      else if (kind === "svg") blob = CanvasExport.svg(paint, w, h);
+      else if (kind === "gif") blob = await CanvasExport.gif(paint, w, h, { scale: exportScale, seconds: exportSecs, fps });
+      else blob = await CanvasExport.webm(paint, w, h, { scale: exportScale, seconds: exportSecs, fps });
+      CanvasExport.download(blob, `dual-universe-t${t0.toFixed(2)}.${kind}`);
+    } catch (err) {
+      window.alert(`Export failed: ${err && err.message ? err.message : err}`);
+    } finally {
+      setExporting("");
+    }
+  };
 
   // Animation loop
   useEffect(() => {
@@ -292,10 +361,29 @@ export default function DualUniverseCanvas() {
   }, [playing, speed, render]);
 
   // UI blocks
+  const root = model.branches[0];
   const label = (txt) => (
     <span style={{ fontSize: 12, color: "#93a3b3", minWidth: 120, display: "inline-block" }}>{txt}</span>
   );
 
+  const smallButton = { padding: "2px 8px", background: "#111827", border: "1px solid #374151", borderRadius: 6, color: "#e5e7eb", cursor: "pointer", fontSize: 11 };
+
+  // Optional y(x, t) expression for a branch; empty restores the built-in shape
+  const exprInput = (b) => (
+    <div style={{ gridColumn: "1 / -1", display: "grid", gap: 2 }}>
+      <input
+        value={b.node.expr || ""}
+        onChange={(e) => setNode(b.id, "expr")(e.target.value.trim() ? e.target.value : undefined)}
+        placeholder="y(x, t) = … e.g. exp(-0.3*x)*sin(3*x + t)"
+        spellCheck={false}
+        style={{ padding: "2px 6px", background: "#0b1220", border: `1px solid ${b.error ? "#ef4444" : "#374151"}`, borderRadius: 6, color: "#e5e7eb", fontSize: 12, fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+        aria-invalid={!!b.error}
+      />
+      {b.error && <span style={{ fontSize: 11, color: "#ef4444" }}>{b.error} — using the built-in curve</span>}
+      {b.node.expr && !b.error && <span style={{ fontSize: 11, color: "#93a3b3" }}>Sliders below are ignored while an expression is set.</span>}
+    </div>
+  );
+
   const slider = (value, setValue, min, max, step) => (
     <input
       type="range"
@@ -331,12 +419,54 @@ export default function DualUniverseCanvas() {
           >
             Reset
           </button>
+          <select
+            value={exportScale}
+            onChange={(e) => setExportScale(parseFloat(e.target.value))}
+            style={{ padding: "6px 6px", background: "#111827", border: "1px solid #374151", borderRadius: 8, color: "#e5e7eb" }}
+            aria-label="Export resolution"
+          >
+            {[1, 2, 4].map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+          <select
+            value={exportSecs}
+            onChange={(e) => setExportSecs(parseFloat(e.target.value))}
+            style={{ padding: "6px 6px", background: "#111827", border: "1px solid #374151", borderRadius: 8, color: "#e5e7eb" }}
+            aria-label="Capture length"
+          >
+            {[2, 3, 5, 8].map((s) => <option key={s} value={s}>{s}s</option>)}
+          </select>
+          {["png", "svg", "gif", "webm"].map((kind) => (
+            <button
+              key={kind}
+              onClick={() => exportAs(kind)}
+              disabled={!!exporting}
+              style={{ padding: "6px 10px", background: "#111827", border: "1px solid #374151", borderRadius: 8, color: exporting ? "#6b7280" : "#e5e7eb", cursor: exporting ? "default" : "pointer" }}
+              aria-label={`Export ${kind.toUpperCase()}`}
+            >
+              {exporting === kind ? "…" : kind.toUpperCase()}
+            </button>
+          ))}
         </div>
       </div>
 
       {/* Canvas */}
       <div style={{ position: "relative", padding: 8 }}>
-        <canvas ref={canvasRef} style={{ width: "100%", height: "420px", display: "block", background: "transparent", borderRadius: 12 }} />
+        <canvas
+          ref={canvasRef}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+          onPointerLeave={onPointerLeave}
+          onDoubleClick={() => setView(null)}
+          style={{ width: "100%", height: "420px", display: "block", background: "transparent", borderRadius: 12, touchAction: "none", cursor: hoverJunction ? "ew-resize" : "crosshair" }}
+        />
+        {view && (
+          <button onClick={() => setView(null)} style={{ position: "absolute", right: 16, bottom: 16, padding: "2px 8px", background: "#111827", border: "1px solid #374151", borderRadius: 6, color: "#e5e7eb", cursor: "pointer", fontSize: 11 }}>
+            Reset view
+          </button>
+        )}
+        {showChart && <canvas ref={chartRef} style={{ width: "100%", height: "140px", display: "block", marginTop: 6, borderRadius: 12 }} />}
       </div>
 
       {/* Controls */}
@@ -345,7 +475,9 @@ export default function DualUniverseCanvas() {
         <section style={{ display: "grid", gap: 6 }}>
           <h2 style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 700 }}>Domain & Playback</h2>
           <div>{label(`Domain max x = ${xMax.toFixed(1)}`)}{slider(xMax, setXMax, 6, 20, 0.1)}</div>
-          <div>{label(`Junction (π “4”) = ${splitX.toFixed(2)}`)}{slider(splitX, setSplitX, 1, 9, 0.01)}</div>
+          {root.split != null && (
+            <div>{label(`Junction (π “4”) = ${root.split.toFixed(2)}`)}{slider(tree.splitX, setNode(tree.id, "splitX"), 1, 9, 0.01)}</div>
+          )}
           <div>{label(`Trace after split = ${trace.toFixed(1)}`)}{slider(trace, setTrace, 2, 12, 0.1)}</div>
           <div>{label(`Speed = ${speed.toFixed(2)}×`)}{slider(speed, setSpeed, 0.1, 3, 0.01)}</div>
         </section>
@@ -353,35 +485,124 @@ export default function DualUniverseCanvas() {
         {/* Pre‑split Base */}
         <section style={{ display: "grid", gap: 6 }}>
           <h2 style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 700 }}>Base Universe (pre‑split)</h2>
-          <div>{label(`Amplitude = ${baseAmp.toFixed(2)}`)}{slider(baseAmp, setBaseAmp, 0.1, 2.5, 0.01)}</div>
-          <div>{label(`Frequency = ${baseFreq.toFixed(2)}`)}{slider(baseFreq, setBaseFreq, 0.2, 2.0, 0.01)}</div>
-          <div>{label(`Phase = ${basePhase.toFixed(2)} rad`)}{slider(basePhase, setBasePhase, -Math.PI, Math.PI, 0.01)}</div>
+          {exprInput(root)}
+          <div>{label(`Amplitude = ${tree.amp.toFixed(2)}`)}{slider(tree.amp, setNode(tree.id, "amp"), 0.1, 2.5, 0.01)}</div>
+          <div>{label(`Frequency = ${tree.freq.toFixed(2)}`)}{slider(tree.freq, setNode(tree.id, "freq"), 0.2, 2.0, 0.01)}</div>
+          <div>{label(`Phase = ${tree.phase.toFixed(2)} rad`)}{slider(tree.phase, setNode(tree.id, "phase"), -Math.PI, Math.PI, 0.01)}</div>
+          {root.split == null && (
+            <div><button onClick={() => splitNode(tree.id)} style={smallButton}>Split</button></div>
+          )}
         </section>
 
-        {/* Post‑split Universes */}
-        <section style={{ display: "grid", gap: 6 }}>
+        {/* Post‑split Universes, generated from the tree */}
+        <section style={{ display: "grid", gap: 6, alignContent: "start" }}>
           <h2 style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 700 }}>Simultaneous Universes (post‑split)</h2>
-          <div style={{ marginTop: 2, fontSize: 12, color: "#93a3b3" }}>Both start from the exact same junction value, then diverge.</div>
-          <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", columnGap: 8, rowGap: 6, alignItems: "center" }}>
-            <div style={{ gridColumn: "1 / span 2", color: "#60a5fa", fontSize: 12, marginTop: 6 }}>Universe 1 (blue)</div>
-            {label(`Slope = ${u1Slope.toFixed(2)}`)}{slider(u1Slope, setU1Slope, -1.0, 1.0, 0.01)}
-            {label(`Amplitude = ${u1Amp.toFixed(2)}`)}{slider(u1Amp, setU1Amp, 0.1, 2.5, 0.01)}
-            {label(`Frequency = ${u1Freq.toFixed(2)}`)}{slider(u1Freq, setU1Freq, 0.2, 2.0, 0.01)}
-            {label(`Phase = ${u1Phase.toFixed(2)} rad`)}{slider(u1Phase, setU1Phase, -Math.PI, Math.PI, 0.01)}
-
-            <div style={{ gridColumn: "1 / span 2", color: "#f472b6", fontSize: 12, marginTop: 8 }}>Universe 2 (magenta)</div>
-            {label(`Slope = ${u2Slope.toFixed(2)}`)}{slider(u2Slope, setU2Slope, -1.0, 1.0, 0.01)}
-            {label(`Amplitude = ${u2Amp.toFixed(2)}`)}{slider(u2Amp, setU2Amp, 0.1, 2.5, 0.01)}
-            {label(`Frequency = ${u2Freq.toFixed(2)}`)}{slider(u2Freq, setU2Freq, 0.2, 2.0, 0.01)}
-            {label(`Phase = ${u2Phase.toFixed(2)} rad`)}{slider(u2Phase, setU2Phase, -Math.PI, Math.PI, 0.01)}
-          </div>
+          <div style={{ marginTop: 2, fontSize: 12, color: "#93a3b3" }}>Every branch starts from the exact value of its parent at the junction, then diverges. An expression e(x, t) is drawn as parent(junction) + e(x, t) − e(junction, t).</div>
+          {model.branches.filter((b) => b.parent).map((b) => (
+            <div key={b.id} style={{ display: "grid", gridTemplateColumns: "auto 1fr", columnGap: 8, rowGap: 6, alignItems: "center", marginLeft: 12 * (b.depth - 1) }}>
+              <div style={{ gridColumn: "1 / span 2", display: "flex", alignItems: "center", gap: 8, color: b.node.color, fontSize: 12, marginTop: 6 }}>
+                <span>{b.node.label}</span>
+                {b.split == null && <button onClick={() => splitNode(b.id)} style={smallButton}>Split</button>}
+                <button onClick={() => removeNode(b.id)} style={smallButton}>Remove</button>
+              </div>
+              {exprInput(b)}
+              {label(`Slope = ${b.node.slope.toFixed(2)}`)}{slider(b.node.slope, setNode(b.id, "slope"), -1.0, 1.0, 0.01)}
+              {label(`Amplitude = ${b.node.amp.toFixed(2)}`)}{slider(b.node.amp, setNode(b.id, "amp"), 0.1, 2.5, 0.01)}
+              {label(`Frequency = ${b.node.freq.toFixed(2)}`)}{slider(b.node.freq, setNode(b.id, "freq"), 0.2, 2.0, 0.01)}
+              {label(`Phase = ${b.node.phase.toFixed(2)} rad`)}{slider(b.node.phase, setNode(b.id, "phase"), -Math.PI, Math.PI, 0.01)}
+              {b.split != null && label(`Junction = ${b.split.toFixed(2)}`)}
+              {b.split != null && slider(b.node.splitX, setNode(b.id, "splitX"), +(b.start + 0.1).toFixed(2), +(xMax - 0.1).toFixed(2), 0.01)}
+            </div>
+          ))}
         </section>
       </div>
 
+      {/* Junction analysis */}
+      <div style={{ borderTop: "1px solid #1f2937", padding: "8px 12px", display: "grid", gap: 6 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+          <h2 style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 700 }}>Junction Analysis @ t = {snapshot.t.toFixed(2)}</h2>
+          <label style={{ fontSize: 12, color: "#93a3b3", display: "flex", alignItems: "center", gap: 4 }}>
+            <input type="checkbox" checked={showChart} onChange={(e) => setShowChart(e.target.checked)} />
+            Divergence chart
+          </label>
+        </div>
+        {analysis.map((j) => (
+          <div key={j.id} style={{ fontSize: 12, color: "#93a3b3", fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", display: "grid", gap: 2 }}>
+            <div>
+              <span style={{ color: "#ef4444" }}>x = {j.x.toFixed(2)}</span>, y = {j.y.toFixed(3)} · {model.byId[j.left.id].node.label} y′(x⁻) = {j.left.slope.toFixed(3)}
+              {j.right.map((r) => (
+                <span key={r.id} style={{ color: model.byId[r.id].node.color }}> · {r.id} y′(x⁺) = {r.slope.toFixed(3)}</span>
+              ))}
+            </div>
+            {j.pairs.map((p) => (
+              <div key={`${p.a}-${p.b}`} style={{ marginLeft: 12 }}>
+                {p.a} − {p.b}: max |Δ| = {p.max.d.toFixed(3)} @ x = {p.max.x.toFixed(2)} · {p.crossings.length ? `cross again @ x = ${p.crossings.map((x) => x.toFixed(3)).join(", ")}` : `no crossing before x = ${p.to.toFixed(2)}`}
+              </div>
+            ))}
+          </div>
+        ))}
+        {!analysis.length && <div style={{ fontSize: 12, color: "#93a3b3" }}>No junctions — split the base universe to analyse one.</div>}
+      </div>
+
+      {/* Presets, JSON and links */}
+      <div style={{ borderTop: "1px solid #1f2937", padding: "8px 12px", display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8 }}>
+        <h2 style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 700, marginRight: 4 }}>Save & Share</h2>
+        <select
+          value={presets[presetName] ? presetName : ""}
+          onChange={(e) => loadPreset(e.target.value)}
+          style={{ padding: "2px 6px", background: "#111827", border: "1px solid #374151", borderRadius: 6, color: "#e5e7eb", fontSize: 12 }}
+          aria-label="Load preset"
+        >
+          <option value="">Presets…</option>
+          {Object.keys(presets).sort().map((k) => (
+            <option key={k} value={k}>{k}</option>
+          ))}
+        </select>
+        <input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          style={{ padding: "2px 6px", background: "#0b1220", border: "1px solid #374151", borderRadius: 6, color: "#e5e7eb", fontSize: 12, width: 140 }}
+        />
+        <button onClick={savePreset} style={smallButton}>Save preset</button>
+        <button onClick={deletePreset} disabled={!presets[presetName.trim()]} style={smallButton}>Delete</button>
+        <span style={{ width: 1, height: 16, background: "#374151" }} />
+        <button onClick={exportConfig} style={smallButton}>Export JSON</button>
+        <button onClick={() => configFileRef.current && configFileRef.current.click()} style={smallButton}>Import JSON</button>
+        <input ref={configFileRef} type="file" accept="application/json,.json" onChange={importConfig} style={{ display: "none" }} />
+        <button onClick={shareLink} style={smallButton}>Copy link</button>
+        {notice && <span style={{ fontSize: 12, color: "#93a3b3" }}>{notice}</span>}
+      </div>
+
       {/* Footer note */}
       <div style={{ padding: "6px 12px", fontSize: 11, color: "#93a3b3", borderTop: "1px solid #1f2937" }}>
-        Tip: Slide the junction to exactly 4 to match your π‑chain rule. The amber dot marks the shared symmetry point where both universes are equal but their derivatives differ.
+        Tip: Slide the junction to exactly 4 to match your π‑chain rule. The amber dots mark the shared symmetry points where branches are equal but their derivatives differ. Split any branch to grow another generation.
       </div>
     </div>
   );
 }
+
+// storage helpers (same shape as FieldSignalApp's, under a dualuni_ prefix)
+function save(key, val) {
+  try { localStorage.setItem(`dualuni_${key}`, String(val)); } catch {}
+}
+function loadStr(key, fallback) {
+  try {
+    const v = localStorage.getItem(`dualuni_${key}`);
+    return v == null ? fallback : v;
+  } catch { return fallback; }
+}
+function loadPresets() {
+  try { return JSON.parse(loadStr("presets", "{}")) || {}; } catch { return {}; }
+}
+function loadInitialConfig() {
+  try {
+    const c = DualUniverseModel.fromHash(window.location.hash);
+    if (c) return Object.assign({ fromLink: true }, c);
+  } catch {}
+  try {
+    const saved = loadStr("config", null);
+    if (saved) return DualUniverseModel.deserialize(saved);
+  } catch {}
+  return { xMax: D.xMax, trace: D.trace, tree: D.tree };
+}
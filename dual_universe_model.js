@@ -0,0 +1,191 @@
+// Dual‑Universe Branch model — the curve math behind DualUniverseCanvas, with no
+// DOM or React dependency so the headless renderer (scripts/render_frames.js)
+// evaluates exactly the same curves as the browser.
+//
+// The universe is a tree of branches. The root (base universe) runs from x = 0;
+// a branch with children ends at its own `splitX`, and every child starts there
+// from exactly the parent's value, so the curve is continuous at each junction
+// while the derivatives differ. Each branch carries its own shape:
+//   shape(x, t) = slope·dx + amp·sin(2π·freq·dx/(xMax − start) + phase + rate·t),  dx = x − start
+//   y(x, t)     = parentY(start, t) + shape(x, t) − shape(start, t)   (root: y = shape)
+// A node may instead carry `expr`, a user expression e(x, t) in absolute x
+// (math_expr.js); it replaces shape() and gets the same continuity offset.
+(function (root) {
+  const MathExpr = typeof module === "object" && module.exports ? require("./math_expr.js") : root.MathExpr;
+
+  const TREE_KIND = "dual-universe-tree";
+  const TREE_VERSION = 1;
+
+  // Colours handed to new branches, after the original blue/magenta pair.
+  const PALETTE = ["#60a5fa", "#f472b6", "#34d399", "#fbbf24", "#a78bfa", "#f87171", "#22d3ee", "#fb923c"];
+
+  const DEFAULT_TREE = {
+    id: "base",
+    label: "Base universe",
+    color: "#ffffff",
+    slope: 0,
+    amp: 1.0,
+    freq: 1.15,
+    phase: 0.0,
+    rate: 0.6,
+    splitX: 4, // the junction (your "4")
+    children: [
+      { id: "u1", label: "Universe 1", color: "#60a5fa", slope: 0.35, amp: 0.9, freq: 0.95, phase: 0.4, rate: 0.7, children: [] },
+      { id: "u2", label: "Universe 2", color: "#f472b6", slope: -0.3, amp: 0.75, freq: 1.22, phase: -0.2, rate: 0.65, children: [] },
+    ],
+  };
+
+  const DEFAULTS = {
+    xMax: 10, // domain extent
+    trace: 10, // how far ahead to draw after a split
+    tree: DEFAULT_TREE,
+  };
+
+  const EPS = 1e-6;
+
+  function createModel(params) {
+    const p = Object.assign({}, DEFAULTS, params);
+    const { xMax, trace } = p;
+    const branches = [];
+    const byId = {};
+
+    // Flatten depth-first; each branch gets its start, draw end and evaluator.
+    const visit = (node, parent, depth) => {
+      const start = parent ? parent.split : 0;
+      const span = Math.max(EPS, xMax - start);
+      const builtin = (x, t) => {
+        const dx = Math.max(0, x - start);
+        return (node.slope || 0) * dx + node.amp * Math.sin(2 * Math.PI * node.freq * (dx / span) + node.phase + (node.rate || 0) * t);
+      };
+      // An invalid expression falls back to the built-in shape and reports `error`.
+      const custom = node.expr ? MathExpr.check(node.expr) : null;
+      const error = custom && custom.error ? custom.error : null;
+      const shape = custom && custom.fn ? (x, t) => custom.fn({ x, t }) : builtin;
+      const y = parent ? (x, t) => parent.y(start, t) + shape(x, t) - shape(start, t) : shape;
+      const kids = node.children || [];
+      const split = kids.length ? Math.min(xMax, Math.max(start + 0.01, node.splitX)) : null;
+      const b = { id: node.id, node, parent, depth, start, split, end: kids.length ? split : Math.min(xMax, start + trace), y, error };
+      branches.push(b);
+      byId[node.id] = b;
+      for (const c of kids) visit(c, b, depth + 1);
+      return b;
+    };
+    visit(p.tree, null, 0);
+
+    const junctions = branches.filter((b) => b.split != null).map((b) => ({ id: b.id, x: b.split, y: (t) => b.y(b.split, t), branch: b }));
+
+    return { params: p, branches, junctions, byId };
+  }
+
+  // Tree edits — all return a new tree.
+  function mapTree(node, fn) {
+    const next = fn(node);
+    if (next === null) return null;
+    const children = (next.children || []).map((c) => mapTree(c, fn)).filter(Boolean);
+    return Object.assign({}, next, { children });
+  }
+
+  function findNode(node, id, parent = null) {
+    if (node.id === id) return { node, parent };
+    for (const c of node.children || []) {
+      const hit = findNode(c, id, node);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  function updateNode(tree, id, patch) {
+    return mapTree(tree, (n) => (n.id === id ? Object.assign({}, n, patch) : n));
+  }
+
+  function countNodes(node) {
+    return 1 + (node.children || []).reduce((s, c) => s + countNodes(c), 0);
+  }
+
+  // Splits a leaf into two children that diverge with opposite slopes.
+  function splitBranch(tree, id, xMax = DEFAULTS.xMax) {
+    const model = createModel({ tree, xMax });
+    const b = model.byId[id];
+    if (!b || (b.node.children || []).length) return tree;
+    const at = b.start + (Math.min(xMax, b.end) - b.start) / 2;
+    let n = countNodes(tree);
+    const isRoot = !b.parent;
+    const child = (k, sign) => ({
+      id: isRoot ? `u${k}` : `${id}.${k}`,
+      label: isRoot ? `Universe ${k}` : `${b.node.label}.${k}`,
+      color: PALETTE[n++ % PALETTE.length],
+      slope: +(sign * Math.max(0.2, Math.abs(b.node.slope || 0.3))).toFixed(2),
+      amp: b.node.amp,
+      freq: +(b.node.freq * (sign > 0 ? 0.9 : 1.1)).toFixed(2),
+      phase: b.node.phase,
+      rate: b.node.rate,
+      children: [],
+    });
+    return updateNode(tree, id, { splitX: +at.toFixed(2), children: [child(1, 1), child(2, -1)] });
+  }
+
+  function removeBranch(tree, id) {
+    if (tree.id === id) return tree;
+    return mapTree(tree, (n) => (n.id === id ? null : n));
+  }
+
+  // Serialisation. `view` optionally adds playback state ({ speed, time }) so a
+  // saved file or link reproduces the exact frame.
+  function serialize(params, view) {
+    const p = Object.assign({}, DEFAULTS, params);
+    const out = { kind: TREE_KIND, version: TREE_VERSION, xMax: p.xMax, trace: p.trace, tree: p.tree };
+    if (view && Number.isFinite(view.speed)) out.speed = view.speed;
+    if (view && Number.isFinite(view.time)) out.time = +view.time.toFixed(4);
+    return out;
+  }
+
+  function deserialize(input) {
+    const s = typeof input === "string" ? JSON.parse(input) : input;
+    if (!s || s.kind !== TREE_KIND) throw new Error(`not a ${TREE_KIND} file`);
+    if (s.version !== TREE_VERSION) throw new Error(`unsupported tree version ${s.version}`);
+    const ids = new Set();
+    const check = (n, path) => {
+      if (!n || typeof n.id !== "string" || !n.id) throw new Error(`${path}: missing id`);
+      if (ids.has(n.id)) throw new Error(`${path}: duplicate id "${n.id}"`);
+      ids.add(n.id);
+      for (const k of ["amp", "freq", "phase"]) {
+        if (!Number.isFinite(n[k])) throw new Error(`${path}: ${k} must be a number`);
+      }
+      if (n.expr != null && typeof n.expr !== "string") throw new Error(`${path}: expr must be a string`);
+      if ((n.children || []).length && !Number.isFinite(n.splitX)) throw new Error(`${path}: splitX must be a number`);
+      (n.children || []).forEach((c, i) => check(c, `${path}.children[${i}]`));
+    };
+    check(s.tree, "tree");
+    const out = {
+      xMax: Number.isFinite(s.xMax) ? s.xMax : DEFAULTS.xMax,
+      trace: Number.isFinite(s.trace) ? s.trace : DEFAULTS.trace,
+      tree: mapTree(s.tree, (n) => Object.assign({ slope: 0, rate: 0, color: "#ffffff", label: n.id }, n)),
+    };
+    if (Number.isFinite(s.speed)) out.speed = s.speed;
+    if (Number.isFinite(s.time)) out.time = s.time;
+    return out;
+  }
+
+  // URL-hash form (#du=…): base64url of the serialised JSON.
+  const HASH_KEY = "du";
+
+  function toHash(config) {
+    const bytes = new TextEncoder().encode(JSON.stringify(config));
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return `${HASH_KEY}=${btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+  }
+
+  // Returns the deserialised config in a location hash, or null if it has none.
+  function fromHash(hash) {
+    const m = new RegExp(`(?:^#?|&)${HASH_KEY}=([A-Za-z0-9_-]+)`).exec(hash || "");
+    if (!m) return null;
+    const bin = atob(m[1].replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    return deserialize(new TextDecoder().decode(bytes));
+  }
+
+  const api = { DEFAULTS, DEFAULT_TREE, PALETTE, createModel, findNode, updateNode, splitBranch, removeBranch, serialize, deserialize, toHash, fromHash };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.DualUniverseModel = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,354 @@
+// Dual‑Universe Branch drawing against any CanvasRenderingContext2D‑like object:
+// the browser canvas, node-canvas, or CanvasExport.SvgContext. Coordinates are
+// CSS pixels; callers apply device-pixel scaling before painting.
+(function (root) {
+  const Model = typeof module === "object" && module.exports ? require("./dual_universe_model.js") : root.DualUniverseModel;
+
+  const FONT = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+  const PADDING = 56;
+  const Y_MAX = 2.2; // y in [-Ymax, +Ymax] with headroom for the default view
+  const MIN_SPAN = 1e-3; // narrowest and widest window, in model units per axis
+  const MAX_SPAN = 1e4;
+
+  // The visible window in model units; the default fits the whole domain.
+  function defaultView(xMax) {
+    return { x0: 0, x1: xMax, y0: -Y_MAX, y1: Y_MAX };
+  }
+
+  // Scales [lo, hi] about c so its width stays within [MIN_SPAN, MAX_SPAN]; c
+  // keeps its relative place in the window.
+  function clampSpan(lo, hi, c) {
+    const span = hi - lo;
+    const to = Math.min(MAX_SPAN, Math.max(MIN_SPAN, span));
+    if (to === span) return [lo, hi];
+    const at = span > 0 ? Math.min(1, Math.max(0, (c - lo) / span)) : 0.5;
+    return [c - at * to, c + (1 - at) * to];
+  }
+
+  // Zoom by `factor` (< 1 zooms in) about the model point (cx, cy).
+  function zoomView(view, cx, cy, factor) {
+    const [x0, x1] = clampSpan(cx + (view.x0 - cx) * factor, cx + (view.x1 - cx) * factor, cx);
+    const [y0, y1] = clampSpan(cy + (view.y0 - cy) * factor, cy + (view.y1 - cy) * factor, cy);
+    return { x0, x1, y0, y1 };
+  }
+
+  // The same window with each axis clamped about its centre.
+  function clampView(view) {
+    const [x0, x1] = clampSpan(view.x0, view.x1, (view.x0 + view.x1) / 2);
+    const [y0, y1] = clampSpan(view.y0, view.y1, (view.y0 + view.y1) / 2);
+    return { x0, x1, y0, y1 };
+  }
+
+  function panView(view, dx, dy) {
+    return clampView({ x0: view.x0 + dx, x1: view.x1 + dx, y0: view.y0 + dy, y1: view.y1 + dy });
+  }
+
+  // Utility: map logical coords to pixels (CSS‑space, not device pixels) and back.
+  // `view` ({ x0, x1, y0, y1 }) selects the visible window; default [0, xMax] × [−2.2, 2.2].
+  function mapFactory(xMax, cssW, cssH, padding = 48, view = defaultView(xMax)) {
+    const left = padding;
+    const right = cssW - padding;
+    const top = padding;
+    const bottom = cssH - padding;
+    const width = Math.max(1, right - left);
+    const height = Math.max(1, bottom - top);
+    const { x0, x1, y0, y1 } = view;
+
+    const x2px = (x) => left + ((x - x0) / (x1 - x0)) * width;
+    const y2px = (y) => top + (1 - (y - y0) / (y1 - y0)) * height;
+    const px2x = (px) => x0 + ((px - left) / width) * (x1 - x0);
+    const py2y = (py) => y0 + (1 - (py - top) / height) * (y1 - y0);
+
+    return { x2px, y2px, px2x, py2y, left, right, top, bottom, width, height, x0, x1, y0, y1 };
+  }
+
+  // Grid spacing: the smallest 1/2/5×10ⁿ step giving at most `count` lines.
+  function niceStep(span, count) {
+    const raw = span / count;
+    const p = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 5, 10].map((m) => m * p).find((s) => s >= raw * (1 - 1e-9));
+  }
+
+  // from, from + step, … while ≤ to. Empty for a step that is not a positive
+  // number, and cut short once x stops advancing (a window below float precision).
+  function range(from, to, step) {
+    const out = [];
+    if (!(step > 0 && Number.isFinite(step))) return out;
+    for (let x = from; x <= to; x += step) {
+      out.push(x);
+      if (!(x + step > x)) break;
+    }
+    return out;
+  }
+
+  function clipToPlot(ctx, map) {
+    ctx.beginPath();
+    ctx.rect(map.left, map.top, map.width, map.height);
+    ctx.clip();
+  }
+
+  // Grid, axes and a dashed marker per junction (`junctions` from createModel).
+  function drawGrid(ctx, map, xMax, junctions) {
+    const { left, right, top, bottom, x2px, y2px } = map;
+    ctx.save();
+    clipToPlot(ctx, map);
+    ctx.strokeStyle = "#1f2937"; // slate-800
+    ctx.lineWidth = 1;
+
+    // Vertical grid (x), over the domain only
+    const xStep = niceStep(map.x1 - map.x0, 10);
+    const xs = range(Math.max(0, Math.ceil(map.x0 / xStep) * xStep), Math.min(xMax, map.x1) + xStep * 1e-6, xStep);
+    for (const x of xs) {
+      const px = x2px(x);
+      ctx.beginPath();
+      ctx.moveTo(px, top);
+      ctx.lineTo(px, bottom);
+      ctx.stroke();
+    }
+
+    // Horizontal grid (y)
+    const yStep = niceStep(map.y1 - map.y0, 9);
+    const ys = range(Math.ceil((map.y0 + yStep * 1e-6) / yStep) * yStep, map.y1 - yStep * 1e-6, yStep);
+    for (const y of ys) {
+      const py = y2px(y);
+      ctx.beginPath();
+      ctx.moveTo(left, py);
+      ctx.lineTo(right, py);
+      ctx.stroke();
+    }
+
+    // Axes
+    ctx.strokeStyle = "#4b5563"; // gray-600
+    ctx.lineWidth = 1.5;
+    // x-axis (y=0)
+    ctx.beginPath();
+    ctx.moveTo(left, y2px(0));
+    ctx.lineTo(right, y2px(0));
+    ctx.stroke();
+    // y-axis (x=0)
+    ctx.beginPath();
+    ctx.moveTo(x2px(0), top);
+    ctx.lineTo(x2px(0), bottom);
+    ctx.stroke();
+
+    // Junction markers; the root junction keeps its π-chain label
+    junctions.forEach((j, i) => {
+      ctx.setLineDash([6, 6]);
+      ctx.strokeStyle = "#ef4444"; // red-500
+      ctx.lineWidth = i === 0 ? 2 : 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x2px(j.x), top);
+      ctx.lineTo(x2px(j.x), bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Label
+      ctx.fillStyle = "#ef4444";
+      ctx.font = FONT;
+      const text = i === 0 ? `junction = ${j.x.toFixed(2)} (π-chain "4")` : `${j.branch.node.label} splits @ ${j.x.toFixed(2)}`;
+      ctx.fillText(text, x2px(j.x) + 8, top + 16 + 16 * i);
+    });
+
+    ctx.restore();
+
+    // Axis values at the grid lines, outside the plot area
+    ctx.save();
+    ctx.font = FONT;
+    ctx.fillStyle = "#6b7280"; // gray-500
+    ctx.textAlign = "center";
+    for (const x of xs) {
+      ctx.fillText(label(x, xStep), x2px(x), bottom + 16);
+    }
+    ctx.textAlign = "right";
+    for (const y of ys) {
+      ctx.fillText(label(y, yStep), left - 6, y2px(y) + 4);
+    }
+    ctx.restore();
+  }
+
+  function label(v, step) {
+    const digits = Math.max(0, -Math.floor(Math.log10(step)));
+    return (Math.abs(v) < step / 1e6 ? 0 : v).toFixed(digits);
+  }
+
+  function drawCurve(ctx, map, sampler, color, fromX, toX, xMax) {
+    const { x2px, y2px } = map;
+    ctx.save();
+    clipToPlot(ctx, map);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2.2;
+    ctx.beginPath();
+
+    const step = (map.x1 - map.x0) / 1000; // smoothness, relative to the visible window
+    const x0 = Math.max(fromX, map.x0 - step);
+    const x1 = Math.min(xMax, toX, map.x1 + step);
+    let penDown = false;
+    for (const x of range(x0, x1, step)) {
+      const y = sampler(x);
+      if (!Number.isFinite(y)) {
+        penDown = false; // lift pen on gaps
+        continue;
+      }
+      const px = x2px(x);
+      const py = y2px(y);
+      if (!penDown) {
+        ctx.moveTo(px, py);
+        penDown = true;
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawLegend(ctx, branches) {
+    ctx.font = FONT;
+    const labels = branches.map((b) => `${b.node.label} (${b.parent ? "post" : "pre"}‑split)`);
+    const swatchX = Math.max(160, 16 + Math.max(...labels.map((l) => ctx.measureText(l).width)) + 12);
+    branches.forEach((b, i) => {
+      const y = 22 + 18 * i;
+      ctx.fillStyle = "#cbd5e1";
+      ctx.fillText(labels[i], 16 + 10 * b.depth, y);
+      ctx.fillStyle = b.node.color;
+      ctx.fillRect(swatchX, y - 7, 26, 2.5);
+    });
+  }
+
+  // Hover crosshair: the x value and every branch's y there.
+  function drawProbe(ctx, map, branches, x, t) {
+    const px = map.x2px(x);
+    if (px < map.left || px > map.right) return;
+    ctx.save();
+    ctx.strokeStyle = "#94a3b8"; // slate-400
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 4]);
+    ctx.beginPath();
+    ctx.moveTo(px, map.top);
+    ctx.lineTo(px, map.bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const rows = [`x = ${x.toFixed(3)}`];
+    const colors = ["#e5e7eb"];
+    for (const b of branches) {
+      if (x < b.start || x > b.end) continue;
+      const y = b.y(x, t);
+      if (!Number.isFinite(y)) continue;
+      ctx.fillStyle = b.node.color;
+      ctx.beginPath();
+      ctx.arc(px, map.y2px(y), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+      rows.push(`${b.node.label}: ${y.toFixed(3)}`);
+      colors.push(b.node.color);
+    }
+
+    ctx.font = FONT;
+    const w = 16 + Math.max(...rows.map((r) => ctx.measureText(r).width));
+    const h = 8 + 16 * rows.length;
+    const bx = px + 12 + w > map.right ? px - 12 - w : px + 12;
+    const by = map.bottom - h - 8;
+    ctx.fillStyle = "rgba(11, 18, 32, 0.85)";
+    ctx.fillRect(bx, by, w, h);
+    rows.forEach((r, i) => {
+      ctx.fillStyle = colors[i];
+      ctx.fillText(r, bx + 8, by + 18 + 16 * i);
+    });
+    ctx.restore();
+  }
+
+  // Paints the whole scene for model params at time t and returns the pixel map.
+  // opts.view: visible window (default: whole domain); opts.probe: crosshair x.
+  function paintScene(ctx, cssW, cssH, params, t, opts = {}) {
+    const { params: p, branches, junctions } = Model.createModel(params);
+    const { xMax } = p;
+
+    // Clear
+    ctx.fillStyle = "#0b1220"; // near-black blue
+    ctx.fillRect(0, 0, cssW, cssH);
+
+    const map = mapFactory(xMax, cssW, cssH, PADDING, opts.view ? clampView(opts.view) : defaultView(xMax));
+
+    // Grid and labels
+    drawGrid(ctx, map, xMax, junctions);
+
+    // Every branch over its own span, computed together
+    for (const b of branches) {
+      drawCurve(ctx, map, (x) => (x >= b.start && x <= b.end ? b.y(x, t) : Number.NaN), b.node.color, b.start, b.end, xMax);
+    }
+
+    // Junction dots (shared symmetry points)
+    const { x2px, y2px } = map;
+    ctx.save();
+    clipToPlot(ctx, map);
+    ctx.fillStyle = "#fbbf24"; // amber-400
+    for (const j of junctions) {
+      ctx.beginPath();
+      ctx.arc(x2px(j.x), y2px(j.y(t)), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+
+    if (Number.isFinite(opts.probe)) drawProbe(ctx, map, branches, opts.probe, t);
+
+    drawLegend(ctx, branches);
+    return map;
+  }
+
+  // Secondary chart: the gap d(x) = a − b for each sibling pair from
+  // DualUniverseAnalysis.analyze(), with crossings (ticks) and max divergence (dot).
+  function paintDivergence(ctx, cssW, cssH, xMax, junctions, colors) {
+    ctx.fillStyle = "#0b1220";
+    ctx.fillRect(0, 0, cssW, cssH);
+    const pairs = [].concat(...junctions.map((j) => j.pairs));
+    const yMax = Math.max(0.5, ...pairs.map((p) => p.max.d)) * 1.1;
+    const left = 56;
+    const right = cssW - 56;
+    const top = 12;
+    const bottom = cssH - 20;
+    const x2px = (x) => left + (x / xMax) * (right - left);
+    const y2px = (y) => top + (1 - (y + yMax) / (2 * yMax)) * (bottom - top);
+
+    ctx.save();
+    ctx.strokeStyle = "#4b5563";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, y2px(0));
+    ctx.lineTo(right, y2px(0));
+    ctx.stroke();
+    ctx.font = FONT;
+    ctx.fillStyle = "#93a3b3";
+    ctx.fillText(`+${yMax.toFixed(2)}`, 8, top + 10);
+    ctx.fillText(`−${yMax.toFixed(2)}`, 8, bottom);
+
+    pairs.forEach((p, i) => {
+      const color = colors[p.a] || "#e5e7eb";
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.8;
+      ctx.beginPath();
+      p.samples.forEach((s, k) => (k ? ctx.lineTo(x2px(s.x), y2px(s.d)) : ctx.moveTo(x2px(s.x), y2px(s.d))));
+      ctx.stroke();
+
+      ctx.strokeStyle = "#ef4444";
+      for (const x of p.crossings) {
+        ctx.beginPath();
+        ctx.moveTo(x2px(x), y2px(0) - 5);
+        ctx.lineTo(x2px(x), y2px(0) + 5);
+        ctx.stroke();
+      }
+      const s = p.samples.reduce((a, b) => (Math.abs(b.x - p.max.x) < Math.abs(a.x - p.max.x) ? b : a));
+      ctx.fillStyle = "#fbbf24";
+      ctx.beginPath();
+      ctx.arc(x2px(p.max.x), y2px(s.d < 0 ? -p.max.d : p.max.d), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.fillStyle = color;
+      ctx.fillText(`${p.a} − ${p.b}`, right - 90, top + 10 + 14 * i);
+    });
+    ctx.restore();
+  }
+
+  const api = { MIN_SPAN, MAX_SPAN, defaultView, clampView, zoomView, panView, mapFactory, drawGrid, drawCurve, drawProbe, drawLegend, paintScene, paintDivergence };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.DualUniverseRender = api;
+})(typeof self !== "undefined" ? self : this);
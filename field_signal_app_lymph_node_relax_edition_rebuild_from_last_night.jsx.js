@@ -1,7 +1,11 @@
 import React, { useEffect, useRef, useState } from "react";
+import FieldSignalGraph from "./field_signal_graph.js";
+import SignalEngine from "./signal_engine.js";
+import ScopeInput from "./scope_input.js";
 
-// Single-file React app. Uses WebAudio to generate tones (including binaural beats),
-// plus a lightweight oscilloscope. Designed to match last night's layout and
+// Single-file React app over SignalEngine (signal_engine.js), which generates the
+// tones (including binaural beats); this file is the UI plus an oscilloscope that
+// also reads a microphone / line-in or audio file (scope_input.js). Designed to match last night's layout and
 // include the "Lymph Node Relax" preset without altering behavior.
 
 export default function FieldSignalApp() {
@@ -14,28 +18,54 @@ export default function FieldSignalApp() {
   const [preset, setPreset] = useState(() => loadStr("preset", "Lymph Node Relax"));
   const [pan, setPan] = useState(() => loadNum("pan", 0)); // -1 left, +1 right
   const [duration, setDuration] = useState(() => loadNum("duration", 0)); // 0 = unlimited
-
-  // Internals
-  const acRef = useRef<AudioContext | null>(null);
-  const gRef = useRef<GainNode | null>(null);
-  const panRef = useRef<StereoPannerNode | null>(null);
-  const lOscRef = useRef<OscillatorNode | null>(null);
-  const rOscRef = useRef<OscillatorNode | null>(null);
-  const analyserRef = useRef<AnalyserNode | null>(null);
-  const dataArrayRef = useRef<Uint8Array | null>(null);
-  const rafRef = useRef<number | null>(null);
-  const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const stopAtRef = useRef<number | null>(null);
-
-  // Preset definitions (non-medical, relaxation/intention tags only)
-  const presets: Record<string, { base: number; beat: number; wave?: OscillatorType; pan?: number }>
-    = {
-      "Lymph Node Relax": { base: 174, beat: 4, wave: "sine", pan: 0 },
-      "Sinus Drain": { base: 222, beat: 5, wave: "sine", pan: 0 },
-      "Muscle Calm": { base: 110, beat: 8, wave: "triangle", pan: 0 },
-      "Deep Focus": { base: 432, beat: 10, wave: "sawtooth", pan: 0 },
-      "Sleep Aid": { base: 144, beat: 3, wave: "sine", pan: -0.1 },
-    };
+  const [fadeIn, setFadeIn] = useState(() => Math.max(SAFETY.minFadeIn, loadNum("fadeIn", 3))); // seconds
+  const [fadeOut, setFadeOut] = useState(() => loadNum("fadeOut", 3)); // seconds
+  const [stopping, setStopping] = useState(false);
+  const [maxDb, setMaxDb] = useState(() => loadNum("maxDb", SAFETY.maxDb)); // limiter ceiling, dBFS
+  const [meter, setMeter] = useState(null);
+
+  // Generator mix: a 0–1 level each for binaural, monaural, isochronic and the noise bed
+  const [mix, setMix] = useState(() => ({ ...FieldSignalGraph.DEFAULT_MIX, ...loadJson("mix", {}) }));
+  const [noiseColor, setNoiseColor] = useState(() => loadStr("noiseColor", "pink"));
+
+  // Session sequencer: "" plays the knobs as-is; otherwise the draft timeline runs
+  const [sessionName, setSessionName] = useState(() => loadStr("session", ""));
+  const [userSessions, setUserSessions] = useState(() => loadJson("sessions", {}));
+  const [draft, setDraft] = useState(() => ({ ...emptySession(), ...({ ...builtinSessions, ...userSessions }[loadStr("session", "")] || {}) }));
+  const [draftName, setDraftName] = useState(() => loadStr("session", ""));
+  const [audioFormat, setAudioFormat] = useState(() => loadStr("audioFormat", "wav"));
+  const [rendering, setRendering] = useState(false);
+  const [renderMsg, setRenderMsg] = useState("");
+  const [progress, setProgress] = useState(null);
+  const [view, setView] = useState(() => loadStr("view", "scope")); // "scope" | "xy" | "spectrum"
+  const [measured, setMeasured] = useState(null);
+
+  // Scope input: the engine's output, or a microphone / file when one is open
+  const [inputName, setInputName] = useState(null);
+  const [inputMsg, setInputMsg] = useState("");
+  const [trigLevel, setTrigLevel] = useState(() => loadNum("trigLevel", 0)); // −1…1
+  const [timebase, setTimebase] = useState(() => loadNum("timebase", 2)); // ms/div
+
+  // Internals: the audio core is SignalEngine (signal_engine.js); the component
+  // mirrors its events into state and draws the scope
+  const engineRef = useRef(null);
+  const inputRef = useRef(null);
+  const rafRef = useRef(null);
+  const canvasRef = useRef(null);
+  const inputFileRef = useRef(null);
+  const scopeRef = useRef({ view, trigLevel, timebase });
+
+  // Preset library: the read-only built-ins plus the user's own (localStorage)
+  const [userPresets, setUserPresets] = useState(() => loadJson("userPresets", {}));
+  const presets = { ...builtinPresets, ...userPresets };
+  const [presetEditName, setPresetEditName] = useState("");
+  const [presetTags, setPresetTags] = useState("");
+  const [tagFilter, setTagFilter] = useState("");
+  const [libMsg, setLibMsg] = useState("");
+  const packFileRef = useRef(null);
+
+  // Timelines saved next to the presets: built-ins plus the user's own (localStorage)
+  const sessions = { ...builtinSessions, ...userSessions };
 
   // Save settings on change (for exact recall)
   useEffect(() => {
@@ -46,7 +76,22 @@ export default function FieldSignalApp() {
     save("preset", preset);
     save("pan", pan);
     save("duration", duration);
-  }, [baseHz, beatHz, gain, wave, preset, pan, duration]);
+    save("fadeIn", fadeIn);
+    save("fadeOut", fadeOut);
+    save("maxDb", maxDb);
+    save("session", sessionName);
+    save("audioFormat", audioFormat);
+    save("mix", JSON.stringify(mix));
+    save("noiseColor", noiseColor);
+    save("view", view);
+    save("trigLevel", trigLevel);
+    save("timebase", timebase);
+  }, [baseHz, beatHz, gain, wave, preset, pan, duration, fadeIn, fadeOut, maxDb, sessionName, audioFormat, mix, noiseColor, view, trigLevel, timebase]);
+
+  // The draw loop reads this instead of restarting on every change
+  useEffect(() => {
+    scopeRef.current = { view, trigLevel, timebase };
+  }, [view, trigLevel, timebase]);
 
   // Handle preset selection (do not auto-start; keep behavior stable)
   useEffect(() => {
@@ -59,150 +104,264 @@ export default function FieldSignalApp() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [preset]);
 
-  // Audio graph setup/teardown
+  // One engine per mount; its events drive Start/Stop, the progress bar and the meters
   useEffect(() => {
-    if (!isOn) {
-      teardown();
-      return;
-    }
-
-    const ac = new (window.AudioContext || (window as any).webkitAudioContext)();
-    acRef.current = ac;
-
-    const gainNode = ac.createGain();
-    gainNode.gain.value = gain;
-    gRef.current = gainNode;
-
-    const panner = ac.createStereoPanner();
-    panner.pan.value = pan;
-    panRef.current = panner;
-
-    const analyser = ac.createAnalyser();
-    analyser.fftSize = 2048;
-    analyserRef.current = analyser;
-    dataArrayRef.current = new Uint8Array(analyser.frequencyBinCount);
-
-    // Two oscillators for binaural beat (split across stereo)
-    const leftFreq = Math.max(1, baseHz - beatHz / 2);
-    const rightFreq = Math.max(1, baseHz + beatHz / 2);
-
-    const lOsc = ac.createOscillator();
-    lOsc.type = wave as OscillatorType;
-    lOsc.frequency.value = leftFreq;
-    lOscRef.current = lOsc;
-
-    const rOsc = ac.createOscillator();
-    rOsc.type = wave as OscillatorType;
-    rOsc.frequency.value = rightFreq;
-    rOscRef.current = rOsc;
-
-    // Channel split: left into pan -1, right into pan +1, then overall pan
-    const lGain = ac.createGain();
-    const rGain = ac.createGain();
-    lGain.gain.value = 1;
-    rGain.gain.value = 1;
-
-    const splitter = ac.createChannelMerger(2);
-
-    lOsc.connect(lGain);
-    rOsc.connect(rGain);
-
-    lGain.connect(splitter, 0, 0); // left
-    rGain.connect(splitter, 0, 1); // right
-
-    splitter.connect(panner).connect(gainNode).connect(analyser).connect(ac.destination);
+    const engine = new SignalEngine({ params: { baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb, duration, fadeIn, fadeOut } });
+    engineRef.current = engine;
+    const offs = [
+      engine.on("state", (state) => {
+        setIsOn(state !== "stopped");
+        setStopping(state === "stopping");
+        if (state === "stopped") {
+          setProgress(null);
+          setMeasured(null);
+          setMeter(null);
+        }
+      }),
+      engine.on("progress", setProgress),
+      engine.on("meter", (m) => {
+        setMeasured({ left: m.left, right: m.right });
+        setMeter({ rms: m.rms, peak: m.peak, exposure: m.exposure });
+      }),
+    ];
+    inputRef.current = new ScopeInput();
+    return () => {
+      offs.forEach((off) => off());
+      engine.destroy();
+      inputRef.current.close();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-    lOsc.start();
-    rOsc.start();
+  // Knobs → engine. While a session runs the engine leaves the tone knobs to the
+  // timeline; the mix, noise colour and ceiling stay live either way
+  useEffect(() => {
+    engineRef.current?.setParams({ baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb, duration, fadeIn, fadeOut });
+  }, [baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb, duration, fadeIn, fadeOut]);
 
+  // Scope drawing while the engine runs or an input is open
+  useEffect(() => {
+    if (!isOn && !inputName) return;
     drawOscilloscope();
+    return () => {
+      if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOn, inputName]);
+
+  // Start plays the selected session's draft timeline, or the knobs
+  function start() {
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.schedule(sessionName && draft.stages.length ? draft : null);
+    engine.start();
+  }
 
-    // Optional timed stop
-    if (duration > 0) {
-      stopAtRef.current = performance.now() + duration * 1000;
-      const id = window.setInterval(() => {
-        if (stopAtRef.current && performance.now() >= stopAtRef.current) {
-          window.clearInterval(id);
-          setIsOn(false);
-        }
-      }, 250);
-    } else {
-      stopAtRef.current = null;
-    }
+  // Stop fades out over fadeOut (a second press cuts immediately)
+  function stop() {
+    engineRef.current?.stop();
+  }
 
-    return () => teardown();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isOn]);
+  // Input mode: a microphone / line-in, or an audio file (picked or dropped on the
+  // scope) looped through the speakers, replaces the engine on the scope
+  async function openInput(kind, file) {
+    const input = inputRef.current;
+    if (!input) return;
+    try {
+      if (kind === "mic") await input.openMic();
+      else await input.openFile(file);
+      setInputName(input.label);
+      setInputMsg("");
+    } catch (err) {
+      setInputName(input.running ? input.label : null);
+      setInputMsg(`Input failed: ${err && err.message ? err.message : err}`);
+    }
+  }
+  function closeInput() {
+    inputRef.current?.close();
+    setInputName(null);
+  }
+  const pickInputFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (file) openInput("file", file);
+  };
+  const dropInputFile = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (file) openInput("file", file);
+  };
+
+  // Preset library editing; built-ins are never modified, only copied
+  const isUserPreset = !!userPresets[preset];
+  const allTags = Array.from(new Set(Object.values(presets).flatMap((p) => p.tags || []))).sort();
+  const visiblePresets = Object.keys(presets).filter((k) => !tagFilter || (presets[k].tags || []).includes(tagFilter) || k === preset);
 
-  // Live param updates while running
   useEffect(() => {
-    if (!acRef.current) return;
-    if (gRef.current) gRef.current.gain.linearRampToValueAtTime(clamp(gain, 0, 1), acRef.current.currentTime + 0.05);
-    if (panRef.current) panRef.current.pan.linearRampToValueAtTime(clamp(pan, -1, 1), acRef.current.currentTime + 0.05);
-    if (lOscRef.current && rOscRef.current) {
-      const leftFreq = Math.max(1, baseHz - beatHz / 2);
-      const rightFreq = Math.max(1, baseHz + beatHz / 2);
-      lOscRef.current.frequency.exponentialRampToValueAtTime(Math.max(1, leftFreq), acRef.current.currentTime + 0.15);
-      rOscRef.current.frequency.exponentialRampToValueAtTime(Math.max(1, rightFreq), acRef.current.currentTime + 0.15);
-      lOscRef.current.type = wave as OscillatorType;
-      rOscRef.current.type = wave as OscillatorType;
+    setPresetEditName(isUserPreset ? preset : "");
+    setPresetTags((presets[preset]?.tags || []).join(", "));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [preset]);
+
+  const persistPresets = (next) => {
+    setUserPresets(next);
+    save("userPresets", JSON.stringify(next));
+  };
+  const knobPreset = () => ({ base: baseHz, beat: beatHz, wave, pan, tags: parseTags(presetTags) });
+  const freeName = (name) => uniqueName(name, presets);
+
+  const savePresetAs = () => {
+    const want = presetEditName.trim() || "My preset";
+    const name = builtinPresets[want] || userPresets[want] ? freeName(want) : want;
+    persistPresets({ ...userPresets, [name]: knobPreset() });
+    setPreset(name);
+    setLibMsg(`Saved “${name}”`);
+  };
+  const updatePreset = () => {
+    if (!isUserPreset) return;
+    persistPresets({ ...userPresets, [preset]: knobPreset() });
+    setLibMsg(`Updated “${preset}”`);
+  };
+  const renamePreset = () => {
+    const name = presetEditName.trim();
+    if (!isUserPreset || !name || name === preset) return;
+    if (presets[name]) return setLibMsg(`“${name}” already exists`);
+    const next = {};
+    for (const [k, v] of Object.entries(userPresets)) next[k === preset ? name : k] = v;
+    persistPresets(next);
+    setPreset(name);
+    setLibMsg(`Renamed to “${name}”`);
+  };
+  const duplicatePreset = () => {
+    const src = presets[preset];
+    if (!src) return;
+    const name = freeName(`${preset} copy`);
+    persistPresets({ ...userPresets, [name]: { ...src, tags: [...(src.tags || [])] } });
+    setPreset(name);
+    setLibMsg(`Duplicated as “${name}”`);
+  };
+  const deletePreset = () => {
+    if (!isUserPreset) return;
+    const next = { ...userPresets };
+    delete next[preset];
+    persistPresets(next);
+    setPreset(Object.keys(builtinPresets)[0]);
+    setLibMsg(`Deleted “${preset}”`);
+  };
+
+  // Preset packs: the user's presets and sessions as one versioned JSON file
+  const exportPack = () => {
+    downloadJson("field-signal-presets.json", { kind: PACK_KIND, version: PACK_VERSION, presets: userPresets, sessions: userSessions });
+  };
+  const importPack = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const pack = validatePack(JSON.parse(await file.text()));
+      const presetsIn = mergeImported(userPresets, builtinPresets, pack.presets);
+      persistPresets(presetsIn.next);
+      const sessionsIn = mergeImported(userSessions, builtinSessions, pack.sessions);
+      setUserSessions(sessionsIn.next);
+      save("sessions", JSON.stringify(sessionsIn.next));
+      const renamed = [...presetsIn.renamed, ...sessionsIn.renamed];
+      setLibMsg(
+        `Imported ${Object.keys(pack.presets).length} preset(s), ${Object.keys(pack.sessions).length} session(s)` +
+          (renamed.length ? `; renamed ${renamed.join(", ")}` : "")
+      );
+    } catch (err) {
+      setLibMsg(`Import failed: ${err && err.message ? err.message : err}`);
     }
-  }, [baseHz, beatHz, gain, wave, pan]);
-
-  function teardown() {
-    if (rafRef.current) cancelAnimationFrame(rafRef.current);
-    rafRef.current = null;
-    try { lOscRef.current?.stop(); } catch {}
-    try { rOscRef.current?.stop(); } catch {}
-    lOscRef.current?.disconnect();
-    rOscRef.current?.disconnect();
-    gRef.current?.disconnect();
-    panRef.current?.disconnect();
-    analyserRef.current?.disconnect();
-    acRef.current?.close();
-    lOscRef.current = null;
-    rOscRef.current = null;
-    gRef.current = null;
-    panRef.current = null;
-    analyserRef.current = null;
-    acRef.current = null;
-  }
+  };
+
+  // Offline export: the selected session, or the knobs for `duration` seconds,
+  // rendered through OfflineAudioContext with the parameters embedded as metadata
+  const exportAudio = async () => {
+    const plan = sessionName && draft.stages.length ? draft : null;
+    const seconds = plan ? FieldSignalGraph.sessionLength(plan) : duration;
+    if (!(seconds > 0)) return setRenderMsg("Pick a session or set a session length to export.");
+    const engine = engineRef.current;
+    if (!engine) return;
+    const settings = engine.settings(plan);
+    setRendering(true);
+    setRenderMsg(`Rendering ${fmtTime(seconds)}…`);
+    try {
+      const buffer = await engine.render(plan);
+      const title = plan ? sessionName : preset;
+      const meta = { title: `Field Signal • ${title}`, comment: JSON.stringify(settings), date: new Date().toISOString().slice(0, 10) };
+      const bytes = audioFormat === "flac" ? FieldSignalGraph.encodeFlac(buffer, meta) : FieldSignalGraph.encodeWav(buffer, meta);
+      const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "signal";
+      downloadBlob(`field-signal-${slug}.${audioFormat}`, new Blob([bytes], { type: audioFormat === "flac" ? "audio/flac" : "audio/wav" }));
+      setRenderMsg(`Exported ${fmtTime(seconds)} as ${audioFormat.toUpperCase()}`);
+    } catch (err) {
+      setRenderMsg(`Export failed: ${err && err.message ? err.message : err}`);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  // Session editing
+  const pickSession = (name) => {
+    setSessionName(name);
+    setDraftName(name);
+    setDraft(name && sessions[name] ? cloneSession(sessions[name]) : emptySession());
+  };
+  const setStage = (i, patch) =>
+    setDraft((d) => ({ ...d, stages: d.stages.map((st, k) => (k === i ? { ...st, ...patch } : st)) }));
+  const addStage = () =>
+    setDraft((d) => ({ ...d, stages: [...d.stages, { baseHz, beatHz, gain, wave, pan, ramp: d.stages.length ? 30 : 0, hold: 60, curve: "linear" }] }));
+  const removeStage = (i) => setDraft((d) => ({ ...d, stages: d.stages.filter((_, k) => k !== i) }));
+  const saveSession = () => {
+    const name = draftName.trim();
+    if (!name || !draft.stages.length) return;
+    const next = { ...userSessions, [name]: cloneSession(draft) };
+    setUserSessions(next);
+    save("sessions", JSON.stringify(next));
+    setSessionName(name);
+  };
+  const deleteSession = () => {
+    if (!userSessions[sessionName]) return;
+    const next = { ...userSessions };
+    delete next[sessionName];
+    setUserSessions(next);
+    save("sessions", JSON.stringify(next));
+    pickSession(builtinSessions[sessionName] ? sessionName : "");
+  };
 
   function drawOscilloscope() {
-    const analyser = analyserRef.current;
     const canvas = canvasRef.current;
-    const dataArray = dataArrayRef.current;
-    if (!analyser || !canvas || !dataArray) return;
-
-    const ctx = canvas.getContext("2d");
+    const ctx = canvas?.getContext("2d");
     if (!ctx) return;
-
     const W = canvas.width;
     const H = canvas.height;
 
     const draw = () => {
       rafRef.current = requestAnimationFrame(draw);
-      analyser.getByteTimeDomainData(dataArray);
-
+      // An open input wins over the engine
+      const engine = engineRef.current;
+      const input = inputRef.current;
+      const src = input?.running ? input : engine?.running && engine.ac ? engine : null;
       ctx.clearRect(0, 0, W, H);
       // Frame
       ctx.lineWidth = 2;
       ctx.strokeStyle = "#0ea5e9"; // Tailwind sky-500
       ctx.strokeRect(1, 1, W - 2, H - 2);
-
-      // Wave
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      const sliceWidth = W / dataArray.length;
-      let x = 0;
-      for (let i = 0; i < dataArray.length; i++) {
-        const v = dataArray[i] / 128.0;
-        const y = (v * H) / 2;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-        x += sliceWidth;
+      if (!src) return;
+
+      const chans = src.channels;
+      const rate = src === input ? input.rate : engine.ac.sampleRate;
+      ScopeInput.readChannels(chans);
+      const { view: v, trigLevel: level, timebase: tb } = scopeRef.current;
+      if (v === "spectrum") {
+        // Markers: the labelled tones, or wherever the session automation is right now
+        const t = src === engine ? engine.tones() : null;
+        ScopeInput.drawSpectrum(ctx, W, H, chans, rate, t ? [t.left, t.right] : []);
+      } else if (v === "xy") {
+        ScopeInput.drawXY(ctx, W, H, chans, rate, { timebase: tb });
+      } else {
+        ScopeInput.drawTime(ctx, W, H, chans, rate, { timebase: tb, level });
       }
-      ctx.stroke();
     };
     draw();
   }
@@ -210,6 +369,24 @@ export default function FieldSignalApp() {
   // UI helpers
   const left = Math.max(1, baseHz - beatHz / 2).toFixed(2);
   const right = Math.max(1, baseHz + beatHz / 2).toFixed(2);
+  const active = GENERATORS.filter((k) => mix[k] > 0);
+  const setLevel = (k, v) => setMix((m) => ({ ...m, [k]: clamp(v, 0, 1) }));
+
+  // Planned time at high level: stage gains above the one whose sine hits
+  // SAFETY.highDbfs RMS; nothing counts if the ceiling already sits below it.
+  const loudGain = FieldSignalGraph.dbToGain(SAFETY.highDbfs) * Math.SQRT2;
+  const plannedLoud = maxDb <= SAFETY.highDbfs ? 0 : FieldSignalGraph.exposure(draft, loudGain);
+
+  // Measured vs labelled tones. Only a steady binaural-only mix has one tone per
+  // ear; sessions move and the other generators put both tones in both ears.
+  const verifiable = !progress && mix.binaural > 0 && !mix.monaural && !mix.isochronic;
+  const expect = FieldSignalGraph.binaural(baseHz, beatHz);
+  const near = (a, b) => a != null && Math.abs(a - b) <= TONE_TOLERANCE;
+  const check = !measured || !verifiable || measured.left == null || measured.right == null ? "n/a"
+    : near(measured.left, expect.left) && near(measured.right, expect.right) && near(Math.abs(measured.right - measured.left), expect.right - expect.left) ? "ok" : "off";
+  const checkNote = check === "n/a"
+    ? "Verification needs a steady binaural-only mix (no session running)"
+    : `Expected L ${fmtHz(expect.left)} • R ${fmtHz(expect.right)} • beat ${fmtHz(expect.right - expect.left)} (±${TONE_TOLERANCE} Hz)`;
 
   return (
     <div className="min-h-screen w-full bg-slate-950 text-slate-100 flex items-center justify-center p-4">
@@ -217,12 +394,29 @@ export default function FieldSignalApp() {
         <header className="p-5 border-b border-slate-800 flex items-center justify-between">
           <h1 className="text-xl sm:text-2xl font-semibold tracking-tight">Field Signal • <span className="text-sky-400">Lymph Node Relax</span></h1>
           <div className="flex items-center gap-3">
+            <select
+              className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs"
+              value={audioFormat}
+              onChange={(e) => setAudioFormat(e.target.value)}
+              aria-label="Export format"
+            >
+              <option value="wav">WAV</option>
+              <option value="flac">FLAC</option>
+            </select>
+            <button
+              onClick={exportAudio}
+              disabled={rendering}
+              className="px-3 py-2 rounded-xl text-sm bg-slate-800 hover:bg-slate-700 disabled:opacity-40"
+              title="Render the selected session (or the knobs for the session length) to a file"
+            >
+              {rendering ? "Rendering…" : "Export audio"}
+            </button>
             <button
-              onClick={() => setIsOn(v => !v)}
+              onClick={() => (isOn ? stop() : start())}
               className={`px-4 py-2 rounded-xl font-medium transition active:scale-95 ${isOn ? "bg-rose-500 hover:bg-rose-600" : "bg-emerald-500 hover:bg-emerald-600"}`}
               aria-pressed={isOn}
             >
-              {isOn ? "Stop" : "Start"}
+              {stopping ? "Fading…" : isOn ? "Stop" : "Start"}
             </button>
           </div>
         </header>
@@ -231,10 +425,56 @@ export default function FieldSignalApp() {
           {/* Scope */}
           <div className="col-span-1">
             <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-3">
-              <canvas ref={canvasRef} width={600} height={200} className="w-full h-[200px] rounded-xl" />
+              <canvas ref={canvasRef} width={600} height={200} className="w-full h-[200px] rounded-xl" onDragOver={(e) => e.preventDefault()} onDrop={dropInputFile} />
+              <div className="mt-2 flex items-center justify-between text-xs">
+                <div className="flex gap-1">
+                  {["scope", "xy", "spectrum"].map(v => (
+                    <button key={v} onClick={() => setView(v)} className={`px-2 py-0.5 rounded-lg ${view === v ? "bg-sky-600" : "bg-slate-800 hover:bg-slate-700"}`}>{v}</button>
+                  ))}
+                </div>
+                {measured && (
+                  <span className={check === "ok" ? "text-emerald-400" : check === "off" ? "text-rose-400" : "text-slate-400"} title={checkNote}>
+                    Measured L {fmtHz(measured.left)} • R {fmtHz(measured.right)} • beat {measured.left != null && measured.right != null ? fmtHz(Math.abs(measured.right - measured.left)) : "–"}
+                    {check === "ok" ? " ✓" : check === "off" ? " ⚠" : ""}
+                  </span>
+                )}
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                <button onClick={() => (inputName === "microphone" ? closeInput() : openInput("mic"))} className={`px-2 py-0.5 rounded-lg ${inputName === "microphone" ? "bg-sky-600" : "bg-slate-800 hover:bg-slate-700"}`}>Mic</button>
+                <button onClick={() => inputFileRef.current?.click()} className="px-2 py-0.5 rounded-lg bg-slate-800 hover:bg-slate-700" title="Or drop an audio file on the scope">File</button>
+                <input ref={inputFileRef} type="file" accept="audio/*" onChange={pickInputFile} className="hidden" />
+                {inputName && <button onClick={closeInput} className="px-2 py-0.5 rounded-lg bg-slate-800 hover:bg-slate-700">Off</button>}
+                <label className="flex items-center gap-1 text-slate-400" title="Trigger level (rising edge, left channel)">
+                  Trig
+                  <input type="range" min={-1} max={1} step={0.01} value={trigLevel} onChange={(e) => setTrigLevel(parseFloat(e.target.value))} className="w-20" />
+                </label>
+                <select className="bg-slate-900 border border-slate-700 rounded-lg px-1 py-0.5" value={timebase} onChange={(e) => setTimebase(parseFloat(e.target.value))} aria-label="Timebase">
+                  {ScopeInput.TIMEBASES.map(tb => <option key={tb} value={tb}>{tb} ms/div</option>)}
+                </select>
+                <span className="text-slate-400 truncate">{inputName ? `Input: ${inputName}` : "Input: engine"}</span>
+              </div>
+              {inputMsg && <div className="mt-1 text-xs text-rose-400">{inputMsg}</div>}
+              {meter && (
+                <div className="mt-2 text-xs" title={`Ceiling ${maxDb} dBFS (limiter); loud = RMS above ${SAFETY.highDbfs} dBFS`}>
+                  <div className="relative h-2 rounded bg-slate-800 overflow-hidden">
+                    <div className={`h-2 ${meter.rms > SAFETY.highDbfs ? "bg-amber-500" : "bg-emerald-500"}`} style={{ width: `${meterPct(meter.rms)}%` }} />
+                    <div className="absolute top-0 h-2 w-0.5 bg-slate-200" style={{ left: `${meterPct(meter.peak)}%` }} />
+                    <div className="absolute top-0 h-2 w-0.5 bg-rose-500" style={{ left: `${meterPct(maxDb)}%` }} />
+                  </div>
+                  <div className="mt-1 flex justify-between text-slate-400">
+                    <span>RMS {fmtDb(meter.rms)} • peak {fmtDb(meter.peak)}</span>
+                    <span>loud {fmtTime(meter.exposure)}</span>
+                  </div>
+                </div>
+              )}
+              {meter && meter.exposure > SAFETY.exposureLimit && (
+                <div className="mt-2 rounded-lg bg-amber-500/15 border border-amber-500/40 px-2 py-1 text-xs text-amber-300">
+                  Over {fmtTime(SAFETY.exposureLimit)} above {SAFETY.highDbfs} dBFS this run. Take a break or lower Intensity / Max Output.
+                </div>
+              )}
               <div className="mt-3 text-xs text-slate-400 flex items-center justify-between">
-                <span>Left: {left} Hz • Right: {right} Hz</span>
-                <span>Wave: {wave}</span>
+                <span>{mix.isochronic > 0 && !mix.binaural && !mix.monaural ? `Pulse: ${fmt(beatHz)} Hz on ${fmt(baseHz)} Hz` : `Left: ${left} Hz • Right: ${right} Hz`}</span>
+                <span>{active.length ? active.map((k) => (k === "noise" ? `${noiseColor} noise` : k)).join(" + ") : "silent"} • {wave}</span>
               </div>
             </div>
           </div>
@@ -243,16 +483,66 @@ export default function FieldSignalApp() {
           <div className="col-span-1 space-y-5">
             {/* Preset */}
             <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-4">
-              <label className="text-sm text-slate-300">Preset</label>
+              <div className="flex items-center justify-between">
+                <label className="text-sm text-slate-300">Preset</label>
+                {allTags.length > 0 && (
+                  <select className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-0.5 text-xs" value={tagFilter} onChange={(e) => setTagFilter(e.target.value)}>
+                    <option value="">All tags</option>
+                    {allTags.map(t => <option key={t} value={t}>#{t}</option>)}
+                  </select>
+                )}
+              </div>
               <select
                 className="mt-2 w-full bg-slate-900 border border-slate-700 rounded-xl px-3 py-2"
                 value={preset}
                 onChange={(e) => setPreset(e.target.value)}
               >
-                {Object.keys(presets).map(k => (
-                  <option key={k} value={k}>{k}</option>
-                ))}
+                <optgroup label="Built-in">
+                  {visiblePresets.filter(k => builtinPresets[k] && !userPresets[k]).map(k => (
+                    <option key={k} value={k}>{k}</option>
+                  ))}
+                </optgroup>
+                {visiblePresets.some(k => userPresets[k]) && (
+                  <optgroup label="My presets">
+                    {visiblePresets.filter(k => userPresets[k]).map(k => (
+                      <option key={k} value={k}>{k}</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
+              {(presets[preset]?.tags || []).length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {presets[preset].tags.map(t => <span key={t} className="text-[11px] px-2 py-0.5 rounded-full bg-slate-800 text-slate-300">#{t}</span>)}
+                </div>
+              )}
+
+              <div className="mt-3 grid grid-cols-2 gap-2 text-xs">
+                <input
+                  className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1"
+                  placeholder={isUserPreset ? "Name" : "New preset name"}
+                  value={presetEditName}
+                  onChange={(e) => setPresetEditName(e.target.value)}
+                />
+                <input
+                  className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1"
+                  placeholder="tags, comma separated"
+                  value={presetTags}
+                  onChange={(e) => setPresetTags(e.target.value)}
+                />
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                <button onClick={savePresetAs} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">Save as new</button>
+                <button onClick={updatePreset} disabled={!isUserPreset} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-40">Update</button>
+                <button onClick={renamePreset} disabled={!isUserPreset} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-40">Rename</button>
+                <button onClick={duplicatePreset} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">Duplicate</button>
+                <button onClick={deletePreset} disabled={!isUserPreset} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-40">Delete</button>
+                <span className="flex-1" />
+                <button onClick={exportPack} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">Export</button>
+                <button onClick={() => packFileRef.current?.click()} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">Import</button>
+                <input ref={packFileRef} type="file" accept="application/json,.json" onChange={importPack} className="hidden" />
+              </div>
+              {libMsg && <div className="mt-2 text-xs text-slate-400">{libMsg}</div>}
+              {!isUserPreset && <div className="mt-1 text-[11px] text-slate-500">Built-in presets are read-only; duplicate one to edit it.</div>}
             </div>
 
             {/* Base Frequency */}
@@ -287,6 +577,9 @@ export default function FieldSignalApp() {
               step={0.01}
             />
 
+            {/* Output ceiling (limiter) */}
+            <Knob label="Max Output" value={maxDb} setValue={setMaxDb} min={-30} max={0} step={1} suffix=" dBFS" />
+
             {/* Wave & Pan */}
             <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-4 grid grid-cols-1 gap-4">
               <div>
@@ -294,9 +587,9 @@ export default function FieldSignalApp() {
                 <select
                   className="mt-2 w-full bg-slate-900 border border-slate-700 rounded-xl px-3 py-2"
                   value={wave}
-                  onChange={(e) => setWave(e.target.value as OscillatorType)}
+                  onChange={(e) => setWave(e.target.value)}
                 >
-                  {(["sine","triangle","square","sawtooth"]) as OscillatorType[]).map(w => <option key={w} value={w}>{w}</option>)}
+                  {WAVES.map(w => <option key={w} value={w}>{w}</option>)}
                 </select>
               </div>
               <div>
@@ -314,6 +607,42 @@ export default function FieldSignalApp() {
               </div>
             </div>
 
+            {/* Generators */}
+            <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <label className="text-sm text-slate-300">Generators</label>
+                <div className="flex gap-1 text-xs">
+                  {GENERATORS.map(k => (
+                    <button
+                      key={k}
+                      onClick={() => setLevel(k, mix[k] > 0 ? 0 : 0.5)}
+                      className={`px-2 py-0.5 rounded-lg ${mix[k] > 0 ? "bg-sky-600 hover:bg-sky-500" : "bg-slate-800 hover:bg-slate-700"}`}
+                      aria-pressed={mix[k] > 0}
+                    >
+                      {k}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {GENERATORS.filter(k => mix[k] > 0).map(k => (
+                <div key={k} className="grid grid-cols-[5.5rem_1fr_2.5rem] items-center gap-2 text-xs">
+                  <span className="text-slate-400">{k}</span>
+                  <input type="range" min={0} max={1} step={0.01} value={mix[k]} onChange={(e) => setLevel(k, parseFloat(e.target.value))} className="w-full" />
+                  <span className="text-slate-200 text-right">{fmt(mix[k])}</span>
+                </div>
+              ))}
+              {mix.noise > 0 && (
+                <select
+                  className="w-full bg-slate-900 border border-slate-700 rounded-xl px-3 py-1 text-sm"
+                  value={noiseColor}
+                  onChange={(e) => setNoiseColor(e.target.value)}
+                >
+                  {FieldSignalGraph.NOISE_COLORS.map((c) => <option key={c} value={c}>{c} noise</option>)}
+                </select>
+              )}
+              <div className="text-[11px] text-slate-500">Binaural needs headphones; monaural and isochronic beats work on speakers. Levels mix before Intensity.</div>
+            </div>
+
             {/* Duration */}
             <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-4">
               <label className="text-sm text-slate-300">Session Length (0 = unlimited)</label>
@@ -328,26 +657,93 @@ export default function FieldSignalApp() {
               />
               <div className="text-xs text-slate-400 mt-1">{duration === 0 ? "Unlimited" : `${duration}s`}</div>
             </div>
+
+            {/* Fades */}
+            <Knob label="Fade In" value={fadeIn} setValue={setFadeIn} min={SAFETY.minFadeIn} max={30} step={0.5} suffix="s" />
+            <Knob label="Fade Out" value={fadeOut} setValue={setFadeOut} min={0} max={60} step={0.5} suffix="s" />
           </div>
         </div>
 
+        {renderMsg && <div className="px-5 -mt-3 mb-3 text-xs text-slate-400">{renderMsg}</div>}
+
+        {/* Session timeline */}
+        <section className="mx-5 mb-5 rounded-2xl bg-slate-950/60 border border-slate-800 p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-sm text-slate-300">Session</label>
+            <select
+              className="bg-slate-900 border border-slate-700 rounded-xl px-3 py-1 text-sm"
+              value={sessionName}
+              onChange={(e) => pickSession(e.target.value)}
+              disabled={isOn}
+            >
+              <option value="">Off (play the knobs)</option>
+              {Object.keys(sessions).map(k => (
+                <option key={k} value={k}>{k}{userSessions[k] ? " *" : ""}</option>
+              ))}
+            </select>
+            <input
+              className="bg-slate-900 border border-slate-700 rounded-xl px-3 py-1 text-sm w-40"
+              placeholder="Session name"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+            />
+            <button onClick={saveSession} disabled={!draftName.trim() || !draft.stages.length} className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40">Save</button>
+            <button onClick={deleteSession} disabled={!userSessions[sessionName]} className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40">Delete</button>
+            <span className="text-xs text-slate-400">Total {fmtTime(FieldSignalGraph.sessionLength(draft))}</span>
+            {plannedLoud > SAFETY.exposureLimit && (
+              <span className="text-xs text-amber-300" title={`Stage gain above ${fmt(loudGain)} (≈ ${SAFETY.highDbfs} dBFS RMS for a sine)`}>
+                ⚠ {fmtTime(plannedLoud)} at high level
+              </span>
+            )}
+          </div>
+
+          {progress && (
+            <div className="text-xs text-sky-300">
+              Stage {progress.stage + 1}/{draft.stages.length} • {fmtTime(progress.elapsed)} / {fmtTime(progress.total)}
+              <div className="mt-1 h-1.5 rounded bg-slate-800"><div className="h-1.5 rounded bg-sky-500" style={{ width: `${Math.min(100, (100 * progress.elapsed) / Math.max(1, progress.total))}%` }} /></div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-[repeat(9,minmax(0,1fr))_auto] gap-2 text-xs items-center">
+            {["Base Hz", "Beat Hz", "Gain", "Wave", "Pan", "Ramp s", "Curve", "Hold s", ""].map((h, i) => <span key={i} className="text-slate-400">{h}</span>)}
+            <span />
+            {draft.stages.map((st, i) => (
+              <React.Fragment key={i}>
+                <NumCell value={st.baseHz} min={20} max={1200} step={1} onChange={(v) => setStage(i, { baseHz: v })} />
+                <NumCell value={st.beatHz} min={0} max={40} step={0.1} onChange={(v) => setStage(i, { beatHz: v })} />
+                <NumCell value={st.gain} min={0} max={1} step={0.01} onChange={(v) => setStage(i, { gain: v })} />
+                <select className="bg-slate-900 border border-slate-700 rounded px-1 py-0.5" value={st.wave} onChange={(e) => setStage(i, { wave: e.target.value })}>
+                  {WAVES.map(w => <option key={w} value={w}>{w}</option>)}
+                </select>
+                <NumCell value={st.pan} min={-1} max={1} step={0.01} onChange={(v) => setStage(i, { pan: v })} />
+                <NumCell value={st.ramp} min={0} max={3600} step={1} onChange={(v) => setStage(i, { ramp: v })} disabled={i === 0} />
+                <select className="bg-slate-900 border border-slate-700 rounded px-1 py-0.5" value={st.curve} disabled={i === 0} onChange={(e) => setStage(i, { curve: e.target.value })}>
+                  <option value="linear">linear</option>
+                  <option value="exponential">exp</option>
+                </select>
+                <NumCell value={st.hold} min={0} max={7200} step={1} onChange={(v) => setStage(i, { hold: v })} />
+                <span className={progress && progress.stage === i ? "text-sky-300" : "text-slate-500"}>#{i + 1}</span>
+                <button onClick={() => removeStage(i)} className="px-2 rounded bg-slate-800 hover:bg-slate-700">✕</button>
+              </React.Fragment>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-xs">
+            <button onClick={addStage} disabled={isOn} className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40">+ Stage from knobs</button>
+            <label className="text-slate-400">Fade in <NumCell value={draft.fadeIn} min={SAFETY.minFadeIn} max={120} step={0.5} onChange={(v) => setDraft((d) => ({ ...d, fadeIn: v }))} /> s</label>
+            <label className="text-slate-400">Fade out <NumCell value={draft.fadeOut} min={0} max={300} step={0.5} onChange={(v) => setDraft((d) => ({ ...d, fadeOut: v }))} /> s</label>
+            <span className="text-slate-500">Ramps run into each stage; changes apply on the next Start.</span>
+          </div>
+        </section>
+
         <footer className="px-5 pb-5 text-[11px] text-slate-400">
-          Use with reasonable volume. Audio signals here are for relaxation and focus only, not medical treatment.
+          Use with reasonable volume: output is capped at {maxDb} dBFS and always fades in over at least {SAFETY.minFadeIn}s. Audio signals here are for relaxation and focus only, not medical treatment.
         </footer>
       </div>
     </div>
   );
 }
 
-function Knob({ label, value, setValue, min, max, step, suffix }: {
-  label: string;
-  value: number;
-  setValue: (v: number) => void;
-  min: number;
-  max: number;
-  step: number;
-  suffix?: string;
-}) {
+function Knob({ label, value, setValue, min, max, step, suffix }) {
   return (
     <div className="rounded-2xl bg-slate-950/60 border border-slate-800 p-4">
       <div className="flex items-center justify-between">
@@ -367,21 +763,194 @@ function Knob({ label, value, setValue, min, max, step, suffix }: {
   );
 }
 
+function NumCell({ value, min, max, step, onChange, disabled }) {
+  return (
+    <input
+      type="number"
+      className="w-full min-w-[3.5rem] bg-slate-900 border border-slate-700 rounded px-1 py-0.5 disabled:opacity-40"
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      disabled={disabled}
+      onChange={(e) => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) onChange(clamp(v, min, max)); }}
+    />
+  );
+}
+
+// Preset library. Built-ins are read-only defaults (non-medical, relaxation/intention
+// tags only); user presets and packs share the same shape.
+/** @typedef {{ base: number; beat: number; wave?: OscillatorType; pan?: number; tags?: string[] }} Preset */
+
+const builtinPresets = {
+  "Lymph Node Relax": { base: 174, beat: 4, wave: "sine", pan: 0, tags: ["relax"] },
+  "Sinus Drain": { base: 222, beat: 5, wave: "sine", pan: 0, tags: ["relax"] },
+  "Muscle Calm": { base: 110, beat: 8, wave: "triangle", pan: 0, tags: ["relax"] },
+  "Deep Focus": { base: 432, beat: 10, wave: "sawtooth", pan: 0, tags: ["focus"] },
+  "Sleep Aid": { base: 144, beat: 3, wave: "sine", pan: -0.1, tags: ["sleep"] },
+};
+
+const WAVES = FieldSignalGraph.WAVES;
+const SAFETY = FieldSignalGraph.SAFETY;
+const GENERATORS = FieldSignalGraph.GENERATORS;
+const PACK_KIND = "fieldsig-preset-pack";
+const PACK_VERSION = 1;
+
+// Checks an imported pack against the schema; throws with the offending path.
+function validatePack(data) {
+  if (!data || typeof data !== "object") throw new Error("not a JSON object");
+  if (data.kind !== PACK_KIND) throw new Error(`kind must be "${PACK_KIND}"`);
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error("version must be a positive integer");
+  if (data.version > PACK_VERSION) throw new Error(`pack version ${data.version} is newer than this app supports (${PACK_VERSION})`);
+  const num = (v, lo, hi, path) => {
+    if (typeof v !== "number" || !Number.isFinite(v) || v < lo || v > hi) throw new Error(`${path} must be a number in [${lo}, ${hi}]`);
+    return v;
+  };
+  const wave = (v, path) => {
+    if (!WAVES.includes(v)) throw new Error(`${path} must be one of ${WAVES.join(", ")}`);
+    return v;
+  };
+  const map = (v, path) => {
+    if (v == null) return {};
+    if (typeof v !== "object" || Array.isArray(v)) throw new Error(`${path} must be an object keyed by name`);
+    return v;
+  };
+
+  const presets = {};
+  for (const [name, p] of Object.entries(map(data.presets, "presets"))) {
+    const path = `presets["${name}"]`;
+    if (!name.trim()) throw new Error("preset names must not be empty");
+    if (!p || typeof p !== "object") throw new Error(`${path} must be an object`);
+    const out = { base: num(p.base, 20, 1200, `${path}.base`), beat: num(p.beat, 0, 40, `${path}.beat`) };
+    if (p.wave != null) out.wave = wave(p.wave, `${path}.wave`);
+    if (p.pan != null) out.pan = num(p.pan, -1, 1, `${path}.pan`);
+    if (p.tags != null) {
+      if (!Array.isArray(p.tags) || p.tags.some((t) => typeof t !== "string")) throw new Error(`${path}.tags must be an array of strings`);
+      out.tags = parseTags(p.tags.join(","));
+    }
+    presets[name] = out;
+  }
+
+  const sessions = {};
+  for (const [name, s] of Object.entries(map(data.sessions, "sessions"))) {
+    const path = `sessions["${name}"]`;
+    if (!s || !Array.isArray(s.stages) || !s.stages.length) throw new Error(`${path}.stages must be a non-empty array`);
+    sessions[name] = {
+      fadeIn: num(s.fadeIn ?? 0, 0, 600, `${path}.fadeIn`),
+      fadeOut: num(s.fadeOut ?? 0, 0, 600, `${path}.fadeOut`),
+      stages: s.stages.map((st, i) => {
+        const sp = `${path}.stages[${i}]`;
+        if (st.curve != null && st.curve !== "linear" && st.curve !== "exponential") throw new Error(`${sp}.curve must be "linear" or "exponential"`);
+        return {
+          baseHz: num(st.baseHz, 20, 1200, `${sp}.baseHz`),
+          beatHz: num(st.beatHz, 0, 40, `${sp}.beatHz`),
+          gain: num(st.gain, 0, 1, `${sp}.gain`),
+          wave: wave(st.wave ?? "sine", `${sp}.wave`),
+          pan: num(st.pan ?? 0, -1, 1, `${sp}.pan`),
+          ramp: num(st.ramp ?? 0, 0, 86400, `${sp}.ramp`),
+          hold: num(st.hold, 0, 86400, `${sp}.hold`),
+          curve: st.curve || "linear",
+        };
+      }),
+    };
+  }
+  return { presets, sessions };
+}
+
+function parseTags(text) {
+  return Array.from(new Set(text.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean)));
+}
+function uniqueName(name, taken) {
+  if (!taken[name]) return name;
+  let k = 2;
+  while (taken[`${name} (${k})`]) k++;
+  return `${name} (${k})`;
+}
+// Imports never replace anything: a name taken by a built-in or by a different
+// user entry gets a suffix ("Calm (2)"); an identical entry is left as it is.
+// Returns the merged map and the renames as “from” → “to” strings.
+function mergeImported(own, builtins, incoming) {
+  const next = { ...own };
+  const renamed = [];
+  for (const [k, v] of Object.entries(incoming)) {
+    if (next[k] && JSON.stringify(next[k]) === JSON.stringify(v)) continue;
+    const name = uniqueName(k, { ...builtins, ...next });
+    if (name !== k) renamed.push(`“${k}” → “${name}”`);
+    next[name] = v;
+  }
+  return { next, renamed };
+}
+function downloadJson(name, data) {
+  downloadBlob(name, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+}
+function downloadBlob(name, blob) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// Measured peaks must sit within this of the labels (glides settle in 150 ms)
+const TONE_TOLERANCE = 0.5;
+
+// Generators layered by field_signal_graph.js; the mix is one level per generator.
+/** @typedef {"binaural" | "monaural" | "isochronic" | "noise"} Generator */
+/** @typedef {Record<Generator, number>} Mix */
+
+// Session timelines (scheduled by field_signal_graph.js). Stage i ramps from stage
+// i−1's values over `ramp` seconds (the first stage starts at its values), then holds.
+/** @typedef {{ baseHz: number; beatHz: number; gain: number; wave: OscillatorType; pan: number; ramp: number; hold: number; curve: "linear" | "exponential" }} Stage */
+/** @typedef {{ fadeIn: number; fadeOut: number; stages: Stage[] }} Session */
+
+const builtinSessions = {
+  "Wind Down (20 min)": {
+    fadeIn: 10,
+    fadeOut: 30,
+    stages: [
+      { baseHz: 222, beatHz: 10, gain: 0.35, wave: "sine", pan: 0, ramp: 0, hold: 180, curve: "linear" },
+      { baseHz: 174, beatHz: 6, gain: 0.32, wave: "sine", pan: 0, ramp: 240, hold: 300, curve: "exponential" },
+      { baseHz: 144, beatHz: 3, gain: 0.28, wave: "sine", pan: -0.1, ramp: 240, hold: 240, curve: "exponential" },
+    ],
+  },
+  "Focus Climb (10 min)": {
+    fadeIn: 5,
+    fadeOut: 10,
+    stages: [
+      { baseHz: 174, beatHz: 6, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 60, curve: "linear" },
+      { baseHz: 432, beatHz: 10, gain: 0.33, wave: "triangle", pan: 0, ramp: 180, hold: 360, curve: "linear" },
+    ],
+  },
+};
+
+function emptySession() { return { fadeIn: 5, fadeOut: 10, stages: [] }; }
+function cloneSession(s) { return { ...s, stages: s.stages.map((st) => ({ ...st })) }; }
+
 // storage helpers
-function save(key: string, val: string | number) {
+function save(key, val) {
   try { localStorage.setItem(`fieldsig_${key}`, String(val)); } catch {}
 }
-function loadNum(key: string, fallback: number) {
+function loadNum(key, fallback) {
   try {
     const v = localStorage.getItem(`fieldsig_${key}`);
     return v == null ? fallback : Number(v);
   } catch { return fallback; }
 }
-function loadStr(key: string, fallback: string) {
+function loadStr(key, fallback) {
   try {
     const v = localStorage.getItem(`fieldsig_${key}`);
     return v == null ? fallback : v;
   } catch { return fallback; }
 }
-function clamp(v: number, lo: number, hi: number) { return Math.min(hi, Math.max(lo, v)); }
-function fmt(v: number) { return (Math.round(v * 100) / 100).toString(); }
+function loadJson(key, fallback) {
+  try {
+    const v = localStorage.getItem(`fieldsig_${key}`);
+    return v == null ? fallback : JSON.parse(v);
+  } catch { return fallback; }
+}
+function clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
+function fmtDb(v) { return Number.isFinite(v) ? `${v.toFixed(1)} dBFS` : "−∞ dBFS"; }
+function meterPct(db) { return Number.isFinite(db) ? clamp((db + 60) / 60, 0, 1) * 100 : 0; }
+function fmtHz(v) { return v == null ? "–" : `${v.toFixed(2)} Hz`; }
+function fmt(v) { return (Math.round(v * 100) / 100).toString(); }
+function fmtTime(sec) { const s = Math.round(sec); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`; }
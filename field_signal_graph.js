@@ -0,0 +1,808 @@
+// Field Signal audio graph — the WebAudio wiring behind FieldSignalApp, shared by
+// live playback (AudioContext) and offline export (OfflineAudioContext), plus
+// WAV/FLAC encoders and FFT helpers for checking rendered buffers. No React or
+// DOM dependency, so scripts/render_audio.js can use it under Node.
+//
+//   left osc  (base − beat/2) ─┬─ ChannelMerger ─ binaural level ─┐
+//   right osc (base + beat/2) ─┼──── (L+R)/2 ──── monaural level ─┤
+//                              │                                  ├─ StereoPanner ─ gain ─ fade ─ limiter ─ trim ─ dest
+//   carrier (base) × gate ← pulse LFO (beat) ── isochronic level ─┤
+//   looped noise buffer (white/pink/brown) ──────── noise level ──┘
+//
+// Every generator is always built and started; the mix levels decide what is
+// heard, so switching generators never rewires a running graph.
+(function (root) {
+  const WAVES = ["sine", "triangle", "square", "sawtooth"];
+  const GENERATORS = ["binaural", "monaural", "isochronic", "noise"];
+  const NOISE_COLORS = ["white", "pink", "brown"];
+  const DEFAULT_MIX = { binaural: 1, monaural: 0, isochronic: 0, noise: 0 };
+
+  // Safe-listening limits. dBFS is not SPL, so these are conservative proxies:
+  // - maxDb: default output ceiling enforced by the limiter
+  // - minFadeIn: every start fades in over at least this many seconds
+  // - gainRise: seconds any intensity increase takes, live or between stages
+  // - highDbfs / exposureLimit: time spent above highDbfs (RMS) beyond
+  //   exposureLimit seconds earns a warning
+  const SAFETY = { maxDb: -6, minFadeIn: 2, gainRise: 1, highDbfs: -12, exposureLimit: 30 * 60 };
+
+  function binaural(baseHz, beatHz) {
+    return { left: Math.max(1, baseHz - beatHz / 2), right: Math.max(1, baseHz + beatHz / 2) };
+  }
+
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  // Linear gain ↔ dBFS. A sine of amplitude a has RMS a / √2, so the gain whose
+  // sine sits at `db` RMS is dbToGain(db) * Math.SQRT2 (exposure() thresholds).
+  const gainToDb = (v) => (v > 0 ? 20 * Math.log10(v) : -Infinity);
+  const dbToGain = (db) => Math.pow(10, db / 20);
+
+  // Fills in missing generators with DEFAULT_MIX and clamps levels to [0, 1].
+  function mixLevels(mix) {
+    const out = {};
+    for (const k of GENERATORS) out[k] = clamp(mix && typeof mix[k] === "number" ? mix[k] : DEFAULT_MIX[k], 0, 1);
+    return out;
+  }
+
+  // Isochronic gate shape: a square wave built from odd harmonics with Lanczos
+  // sigma smoothing, so the pulses switch fast without clicking.
+  function pulseWave(ac) {
+    const n = 16;
+    const real = new Float32Array(n);
+    const imag = new Float32Array(n);
+    for (let k = 1; k < n; k += 2) {
+      const sigma = Math.sin((Math.PI * k) / n) / ((Math.PI * k) / n);
+      imag[k] = (4 / (Math.PI * k)) * sigma;
+    }
+    return ac.createPeriodicWave(real, imag);
+  }
+
+  // Stereo noise loop (channels decorrelated). Pink uses Paul Kellet's filter,
+  // brown a leaky integrator; the loop seam is levelled out and peaks normalised to 1.
+  function noiseBuffer(ac, color, seconds = 4) {
+    const n = Math.round(seconds * ac.sampleRate);
+    const buf = ac.createBuffer(2, n, ac.sampleRate);
+    for (let c = 0; c < 2; c++) {
+      const d = buf.getChannelData(c);
+      let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0, brown = 0;
+      for (let i = 0; i < n; i++) {
+        const w = Math.random() * 2 - 1;
+        if (color === "pink") {
+          b0 = 0.99886 * b0 + w * 0.0555179;
+          b1 = 0.99332 * b1 + w * 0.0750759;
+          b2 = 0.969 * b2 + w * 0.153852;
+          b3 = 0.8665 * b3 + w * 0.3104856;
+          b4 = 0.55 * b4 + w * 0.5329522;
+          b5 = -0.7616 * b5 - w * 0.016898;
+          d[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+          b6 = w * 0.115926;
+        } else if (color === "brown") {
+          brown = (brown + 0.02 * w) / 1.02;
+          d[i] = brown;
+        } else d[i] = w;
+      }
+      const step = (d[n - 1] - d[0]) / (n - 1);
+      let peak = 0;
+      for (let i = 0; i < n; i++) {
+        d[i] -= step * i;
+        peak = Math.max(peak, Math.abs(d[i]));
+      }
+      for (let i = 0; i < n; i++) d[i] /= peak || 1;
+    }
+    return buf;
+  }
+
+  function noiseSource(ac, color) {
+    const src = ac.createBufferSource();
+    src.buffer = noiseBuffer(ac, NOISE_COLORS.includes(color) ? color : "pink");
+    src.loop = true;
+    return src;
+  }
+
+  // DynamicsCompressorNode adds automatic makeup gain of 0.6 × the gain it takes
+  // off a full-scale input (spec), which would lift quiet signals past the
+  // ceiling; `trim` divides it back out so maxDb really is the maximum.
+  const LIMIT_RATIO = 20;
+  function makeupTrim(maxDb) {
+    return dbToGain(0.6 * maxDb * (1 - 1 / LIMIT_RATIO));
+  }
+
+  // params: { baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb }; mix holds
+  // a 0–1 level per GENERATORS entry (default: binaural only) and maxDb is the
+  // limiter ceiling in dBFS. The fade gain starts silent; callers shape it with applyFades().
+  function buildSignalGraph(ac, params, dest = ac.destination) {
+    const { left, right } = binaural(params.baseHz, params.beatHz);
+    const wave = params.wave || "sine";
+    const mix = mixLevels(params.mix);
+    const level = (k) => {
+      const node = ac.createGain();
+      node.gain.value = mix[k];
+      return node;
+    };
+    const levels = { binaural: level("binaural"), monaural: level("monaural"), isochronic: level("isochronic"), noise: level("noise") };
+
+    const l = ac.createOscillator();
+    l.type = wave;
+    l.frequency.value = left;
+    const r = ac.createOscillator();
+    r.type = wave;
+    r.frequency.value = right;
+
+    // Binaural: one tone per ear
+    const merger = ac.createChannelMerger(2);
+    l.connect(merger, 0, 0); // left
+    r.connect(merger, 0, 1); // right
+    merger.connect(levels.binaural);
+
+    // Monaural: both tones summed, so the beat is in the air rather than the head
+    const mono = ac.createGain();
+    mono.gain.value = 0.5;
+    l.connect(mono);
+    r.connect(mono);
+    mono.connect(levels.monaural);
+
+    // Isochronic: carrier at base, amplitude-gated 0–1 at the beat rate
+    const carrier = ac.createOscillator();
+    carrier.type = wave;
+    carrier.frequency.value = Math.max(1, params.baseHz);
+    const gate = ac.createGain();
+    gate.gain.value = 0.5;
+    const lfo = ac.createOscillator();
+    lfo.setPeriodicWave(pulseWave(ac));
+    lfo.frequency.value = Math.max(0, params.beatHz);
+    const depth = ac.createGain();
+    depth.gain.value = 0.5;
+    lfo.connect(depth).connect(gate.gain);
+    carrier.connect(gate).connect(levels.isochronic);
+
+    const pan = ac.createStereoPanner();
+    pan.pan.value = clamp(params.pan || 0, -1, 1);
+    const gain = ac.createGain();
+    gain.gain.value = clamp(params.gain == null ? 0.35 : params.gain, 0, 1);
+    const fade = ac.createGain();
+    fade.gain.value = 0;
+
+    // Near-brickwall compressor: nothing leaves the graph much above maxDb
+    const maxDb = clamp(params.maxDb == null ? SAFETY.maxDb : params.maxDb, -60, 0);
+    const limiter = ac.createDynamicsCompressor();
+    limiter.threshold.value = maxDb;
+    limiter.knee.value = 0;
+    limiter.ratio.value = LIMIT_RATIO;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.25;
+    const trim = ac.createGain();
+    trim.gain.value = makeupTrim(maxDb);
+
+    for (const k of GENERATORS) levels[k].connect(pan);
+    pan.connect(gain).connect(fade).connect(limiter).connect(trim).connect(dest);
+
+    const g = {
+      ac,
+      l,
+      r,
+      carrier,
+      lfo,
+      noise: noiseSource(ac, params.noiseColor),
+      noiseColor: params.noiseColor || "pink",
+      levels,
+      merger,
+      pan,
+      gain,
+      fade,
+      limiter,
+      trim,
+      output: trim,
+      started: false,
+      start(t = 0) {
+        for (const s of [l, r, carrier, lfo, g.noise]) s.start(t);
+        g.started = true;
+      },
+      stop(t) {
+        for (const s of [l, r, carrier, lfo, g.noise]) {
+          try {
+            s.stop(t);
+          } catch (e) {
+            // already stopped
+          }
+        }
+      },
+      disconnect() {
+        for (const n of [l, r, carrier, lfo, g.noise, merger, mono, gate, depth, pan, gain, fade, limiter, trim]) n.disconnect();
+        for (const k of GENERATORS) levels[k].disconnect();
+      },
+    };
+    g.noise.connect(levels.noise);
+    return g;
+  }
+
+  // Ramps `param` from wherever it is at t to `to` by `end`. Pending automation
+  // is dropped and the current value pinned at t first; an unanchored ramp would
+  // start from the last scheduled event instead and jump.
+  function glide(param, to, t, end, exponential) {
+    const from = param.value;
+    param.cancelScheduledValues(t);
+    param.setValueAtTime(from, t);
+    if (exponential && from > 0 && to > 0) param.exponentialRampToValueAtTime(to, end);
+    else param.linearRampToValueAtTime(to, end);
+  }
+
+  // Live edits to a running graph. Only the keys present in `params` change:
+  // tones glide over 150 ms, levels over 50 ms (intensity rises over
+  // SAFETY.gainRise), and a new noise colour swaps in a fresh looped source
+  // (buffer sources cannot be re-filled).
+  function setParams(g, params, t) {
+    const has = (k) => params[k] != null;
+    if (has("gain")) {
+      const to = clamp(params.gain, 0, 1);
+      glide(g.gain.gain, to, t, t + (to > g.gain.gain.value ? SAFETY.gainRise : 0.05));
+    }
+    if (has("maxDb")) {
+      const maxDb = clamp(params.maxDb, -60, 0);
+      g.limiter.threshold.setTargetAtTime(maxDb, t, 0.02);
+      g.trim.gain.setTargetAtTime(makeupTrim(maxDb), t, 0.02);
+    }
+    if (has("pan")) glide(g.pan.pan, clamp(params.pan, -1, 1), t, t + 0.05);
+    if (has("baseHz") && has("beatHz")) {
+      const { left, right } = binaural(params.baseHz, params.beatHz);
+      glide(g.l.frequency, left, t, t + 0.15, true);
+      glide(g.r.frequency, right, t, t + 0.15, true);
+      glide(g.carrier.frequency, Math.max(1, params.baseHz), t, t + 0.15, true);
+      glide(g.lfo.frequency, Math.max(0, params.beatHz), t, t + 0.15);
+    }
+    if (has("wave")) g.l.type = g.r.type = g.carrier.type = params.wave;
+    if (has("mix")) {
+      const mix = mixLevels(params.mix);
+      for (const k of GENERATORS) glide(g.levels[k].gain, mix[k], t, t + 0.05);
+    }
+    if (has("noiseColor") && params.noiseColor !== g.noiseColor) {
+      const old = g.noise;
+      g.noise = noiseSource(g.ac, params.noiseColor);
+      g.noise.connect(g.levels.noise);
+      g.noiseColor = params.noiseColor;
+      if (!g.started) return old.disconnect();
+      g.noise.start(t);
+      old.onended = () => old.disconnect();
+      old.stop(t);
+    }
+  }
+
+  // Fade envelope: 0 → 1 over fadeIn (at least SAFETY.minFadeIn) from t0; if
+  // total > 0, back to 0 by t0 + total.
+  function applyFades(param, t0, total, fadeIn, fadeOut) {
+    const rise = Math.max(SAFETY.minFadeIn, fadeIn || 0);
+    param.setValueAtTime(0, t0);
+    param.linearRampToValueAtTime(1, t0 + rise);
+    if (total > 0) {
+      param.setValueAtTime(1, Math.max(t0 + rise, t0 + total - (fadeOut || 0)));
+      param.linearRampToValueAtTime(0, t0 + total);
+    }
+  }
+
+  // Session timelines: { fadeIn, fadeOut, stages: [{ baseHz, beatHz, gain, wave, pan, ramp, hold, curve }] }.
+  // Stage i ramps from stage i−1's values over `ramp` seconds (the first stage
+  // starts at its values), then holds for `hold` seconds.
+  function stageStarts(s) {
+    const out = [];
+    let t = 0;
+    s.stages.forEach((st, i) => {
+      out.push(t);
+      t += (i ? st.ramp : 0) + st.hold;
+    });
+    return out;
+  }
+
+  function sessionLength(s) {
+    return s.stages.reduce((t, st, i) => t + (i ? st.ramp : 0) + st.hold, 0);
+  }
+
+  // Moves `param` from `from` to `to` over [t, t + dur]; exponential ramps need
+  // positive endpoints, so they fall back to linear across zero.
+  function rampParam(param, from, to, t, dur, curve) {
+    param.setValueAtTime(from, t);
+    if (dur <= 0) return param.setValueAtTime(to, t);
+    if (curve === "exponential" && from > 0 && to > 0) param.exponentialRampToValueAtTime(to, t + dur);
+    else param.linearRampToValueAtTime(to, t + dur);
+  }
+
+  // Writes the whole session onto the graph's AudioParams from t0 (sample-accurate).
+  // Wave changes are not automatable; `at(time, fn)` runs them — setTimeout live,
+  // suspend()/resume() offline. Returns the session length in seconds.
+  function scheduleSession(s, g, t0, at) {
+    const first = s.stages[0];
+    const f0 = binaural(first.baseHz, first.beatHz);
+    g.l.frequency.setValueAtTime(f0.left, t0);
+    g.r.frequency.setValueAtTime(f0.right, t0);
+    g.carrier.frequency.setValueAtTime(Math.max(1, first.baseHz), t0);
+    g.lfo.frequency.setValueAtTime(Math.max(0, first.beatHz), t0);
+    g.gain.gain.setValueAtTime(clamp(first.gain, 0, 1), t0);
+    g.pan.pan.setValueAtTime(clamp(first.pan, -1, 1), t0);
+    g.l.type = g.r.type = g.carrier.type = first.wave;
+    let t = t0 + first.hold;
+    for (let i = 1; i < s.stages.length; i++) {
+      const prev = s.stages[i - 1];
+      const st = s.stages[i];
+      const a = binaural(prev.baseHz, prev.beatHz);
+      const b = binaural(st.baseHz, st.beatHz);
+      rampParam(g.l.frequency, a.left, b.left, t, st.ramp, st.curve);
+      rampParam(g.r.frequency, a.right, b.right, t, st.ramp, st.curve);
+      rampParam(g.carrier.frequency, Math.max(1, prev.baseHz), Math.max(1, st.baseHz), t, st.ramp, st.curve);
+      rampParam(g.lfo.frequency, Math.max(0, prev.beatHz), Math.max(0, st.beatHz), t, st.ramp, st.curve);
+      const rise = st.gain > prev.gain ? Math.max(st.ramp, SAFETY.gainRise) : st.ramp;
+      rampParam(g.gain.gain, clamp(prev.gain, 0, 1), clamp(st.gain, 0, 1), t, rise, st.curve);
+      rampParam(g.pan.pan, clamp(prev.pan, -1, 1), clamp(st.pan, -1, 1), t, st.ramp, "linear");
+      if (st.wave !== prev.wave && at) {
+        at(t, () => {
+          g.l.type = g.r.type = g.carrier.type = st.wave;
+        });
+      }
+      t += st.ramp + st.hold;
+    }
+    return t - t0;
+  }
+
+  // Seconds of a session whose stage gain sits above `gain` (ramps count the
+  // fraction spent above it). A pre-start estimate; the meter measures the real thing.
+  function exposure(s, gain) {
+    let secs = 0;
+    s.stages.forEach((st, i) => {
+      if (i) {
+        const a = s.stages[i - 1].gain;
+        const b = st.gain;
+        if (a > gain && b > gain) secs += st.ramp;
+        else if (a > gain || b > gain) secs += (st.ramp * (Math.max(a, b) - gain)) / Math.abs(b - a);
+      }
+      if (st.gain > gain) secs += st.hold;
+    });
+    return secs;
+  }
+
+  // RMS and peak of a sample block, in dBFS.
+  function loudness(samples) {
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return { rms: gainToDb(Math.sqrt(sum / (samples.length || 1))), peak: gainToDb(peak) };
+  }
+
+  const RENDER_QUANTUM = 128; // frames; OfflineAudioContext suspends on these boundaries
+
+  // Renders either { params, seconds, fadeIn, fadeOut } or { session, mix, noiseColor, maxDb }
+  // to a stereo AudioBuffer of exactly the requested length. opts.OfflineAudioContext lets
+  // Node pass an implementation (e.g. node-web-audio-api).
+  function renderOffline(spec, opts = {}) {
+    const Ctx = opts.OfflineAudioContext || root.OfflineAudioContext || root.webkitOfflineAudioContext;
+    if (!Ctx) return Promise.reject(new Error("OfflineAudioContext is not available"));
+    const rate = opts.sampleRate || 44100;
+    const session = spec.session && spec.session.stages && spec.session.stages.length ? spec.session : null;
+    const seconds = session ? sessionLength(session) : spec.seconds;
+    if (!(seconds > 0)) return Promise.reject(new Error("nothing to render: set a session length or pick a session"));
+
+    const length = Math.round(seconds * rate);
+    const ac = new Ctx(2, length, rate);
+    const params = session ? { ...session.stages[0], mix: spec.mix, noiseColor: spec.noiseColor, maxDb: spec.maxDb } : spec.params;
+    const g = buildSignalGraph(ac, params, ac.destination);
+    // suspend() works in whole render quanta and rejects a second suspend in the
+    // same quantum or one at or past the end, so wave switches are grouped by
+    // quantum (the last one holds anything later) and those at 0 run up front.
+    const byFrame = new Map();
+    if (session) {
+      const last = Math.floor((length - 1) / RENDER_QUANTUM) * RENDER_QUANTUM;
+      scheduleSession(session, g, 0, (t, fn) => {
+        const frame = Math.min(last, Math.floor((t * rate) / RENDER_QUANTUM) * RENDER_QUANTUM);
+        if (!byFrame.has(frame)) byFrame.set(frame, []);
+        byFrame.get(frame).push(fn);
+      });
+    }
+    (byFrame.get(0) || []).forEach((fn) => fn());
+    byFrame.delete(0);
+    const switches = [...byFrame].map(([frame, fns]) =>
+      ac.suspend(frame / rate).then(() => {
+        try {
+          fns.forEach((fn) => fn());
+        } finally {
+          ac.resume();
+        }
+      })
+    );
+    applyFades(g.fade.gain, 0, seconds, session ? session.fadeIn : spec.fadeIn, session ? session.fadeOut : spec.fadeOut);
+    g.start(0);
+    return Promise.all([ac.startRendering(), ...switches]).then(([buffer]) => buffer);
+  }
+
+  // --- Encoders -------------------------------------------------------------
+  // Both take an AudioBuffer-like { numberOfChannels, sampleRate, length,
+  // getChannelData(c) } and write 16-bit PCM; `meta` is { title, comment, date }.
+
+  function pcm16(buffer) {
+    const out = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const src = buffer.getChannelData(c);
+      const dst = new Int16Array(src.length);
+      for (let i = 0; i < src.length; i++) {
+        const v = clamp(src[i], -1, 1);
+        dst[i] = v < 0 ? Math.round(v * 32768) : Math.round(v * 32767);
+      }
+      out.push(dst);
+    }
+    return out;
+  }
+
+  const ascii = (s) => Array.from(new TextEncoder().encode(s));
+
+  // RIFF/WAVE with a LIST/INFO chunk: INAM = title, ICMT = comment (the
+  // parameters as JSON), ICRD = date, ISFT = software.
+  function encodeWav(buffer, meta = {}) {
+    const chans = pcm16(buffer);
+    const nc = chans.length;
+    const n = buffer.length;
+    const info = [];
+    const tag = (id, text) => {
+      if (!text) return;
+      const data = ascii(text).concat(0);
+      if (data.length % 2) data.push(0);
+      info.push(...ascii(id), ...u32le(data.length), ...data);
+    };
+    tag("INAM", meta.title);
+    tag("ICMT", meta.comment);
+    tag("ICRD", meta.date);
+    tag("ISFT", "Field Signal");
+    const list = info.length ? [...ascii("LIST"), ...u32le(4 + info.length), ...ascii("INFO"), ...info] : [];
+
+    const dataLen = n * nc * 2;
+    const bytes = new Uint8Array(44 + list.length + dataLen);
+    const dv = new DataView(bytes.buffer);
+    bytes.set(ascii("RIFF"), 0);
+    dv.setUint32(4, 36 + list.length + dataLen, true);
+    bytes.set(ascii("WAVEfmt "), 8);
+    dv.setUint32(16, 16, true);
+    dv.setUint16(20, 1, true); // PCM
+    dv.setUint16(22, nc, true);
+    dv.setUint32(24, buffer.sampleRate, true);
+    dv.setUint32(28, buffer.sampleRate * nc * 2, true);
+    dv.setUint16(32, nc * 2, true);
+    dv.setUint16(34, 16, true);
+    bytes.set(list, 36);
+    let o = 36 + list.length;
+    bytes.set(ascii("data"), o);
+    dv.setUint32(o + 4, dataLen, true);
+    o += 8;
+    for (let i = 0; i < n; i++) {
+      for (let c = 0; c < nc; c++, o += 2) dv.setInt16(o, chans[c][i], true);
+    }
+    return bytes;
+  }
+
+  // 16-bit PCM WAV → AudioBuffer-like (plus `meta` from LIST/INFO), for checking
+  // exports (scripts/render_audio.js). Assumes the data chunk follows the header chunks.
+  function decodeWav(bytes) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const id = (o) => String.fromCharCode(bytes[o], bytes[o + 1], bytes[o + 2], bytes[o + 3]);
+    if (id(0) !== "RIFF" || id(8) !== "WAVE") throw new Error("not a RIFF/WAVE file");
+    let fmt = null;
+    const meta = {};
+    const INFO = { INAM: "title", ICMT: "comment", ICRD: "date" };
+    for (let o = 12; o + 8 <= bytes.length; ) {
+      const size = dv.getUint32(o + 4, true);
+      if (id(o) === "fmt ") fmt = { nc: dv.getUint16(o + 10, true), rate: dv.getUint32(o + 12, true), bits: dv.getUint16(o + 22, true) };
+      if (id(o) === "LIST" && id(o + 8) === "INFO") {
+        for (let q = o + 12; q + 8 <= o + 8 + size; ) {
+          const len = dv.getUint32(q + 4, true);
+          if (INFO[id(q)]) meta[INFO[id(q)]] = new TextDecoder().decode(bytes.subarray(q + 8, q + 8 + len)).replace(/\0+$/, "");
+          q += 8 + len + (len % 2);
+        }
+      }
+      if (id(o) === "data") {
+        if (!fmt || fmt.bits !== 16) throw new Error("only 16-bit PCM WAV is supported");
+        const n = Math.floor(size / (2 * fmt.nc));
+        const chans = Array.from({ length: fmt.nc }, () => new Float32Array(n));
+        for (let i = 0, p = o + 8; i < n; i++) {
+          for (let c = 0; c < fmt.nc; c++, p += 2) chans[c][i] = dv.getInt16(p, true) / 32768;
+        }
+        return { numberOfChannels: fmt.nc, sampleRate: fmt.rate, length: n, getChannelData: (c) => chans[c], meta };
+      }
+      o += 8 + size + (size % 2);
+    }
+    throw new Error("WAV has no data chunk");
+  }
+
+  function u32le(v) {
+    return [v & 255, (v >>> 8) & 255, (v >>> 16) & 255, (v >>> 24) & 255];
+  }
+
+  // MSB-first bit writer for FLAC. `acc` holds the n (< 8) bits not yet flushed,
+  // so a group of up to 24 bits still fits a 32-bit shift.
+  class BitWriter {
+    constructor() {
+      this.bytes = [];
+      this.acc = 0;
+      this.n = 0;
+    }
+    // The low `count` bits of `value`; wider fields (STREAMINFO's 36-bit sample
+    // count) go in 24-bit pieces.
+    bits(value, count) {
+      if (count > 24) {
+        this.bits(Math.floor(value / 0x1000000), count - 24);
+        count = 24;
+      }
+      this.acc = (this.acc << count) | (value & ((1 << count) - 1));
+      this.n += count;
+      while (this.n >= 8) {
+        this.n -= 8;
+        this.bytes.push((this.acc >>> this.n) & 0xff);
+      }
+      this.acc &= (1 << this.n) - 1;
+    }
+    // Two's complement in `count` (≤ 24) bits; bits() keeps only the low ones.
+    signed(value, count) {
+      this.bits(value, count);
+    }
+    unary(q) {
+      for (; q > 24; q -= 24) this.bits(0, 24);
+      this.bits(1, q + 1);
+    }
+    align() {
+      if (this.n) this.bits(0, 8 - this.n);
+    }
+  }
+
+  const CRC8 = new Uint8Array(256);
+  const CRC16 = new Uint16Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) c = c & 0x80 ? ((c << 1) ^ 0x07) & 0xff : (c << 1) & 0xff;
+    CRC8[i] = c;
+    let d = i << 8;
+    for (let k = 0; k < 8; k++) d = d & 0x8000 ? ((d << 1) ^ 0x8005) & 0xffff : (d << 1) & 0xffff;
+    CRC16[i] = d;
+  }
+  const crc8 = (bytes, from, to) => {
+    let c = 0;
+    for (let i = from; i < to; i++) c = CRC8[c ^ bytes[i]];
+    return c;
+  };
+  const crc16 = (bytes, from, to) => {
+    let c = 0;
+    for (let i = from; i < to; i++) c = ((c << 8) & 0xffff) ^ CRC16[(c >> 8) ^ bytes[i]];
+    return c;
+  };
+
+  // Fixed linear predictors of order 0–4 (FLAC §9.2.5).
+  const FIXED = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+  function fixedResidual(x, order) {
+    const c = FIXED[order];
+    const r = new Int32Array(x.length - order);
+    for (let i = order; i < x.length; i++) {
+      let p = 0;
+      for (let k = 0; k < order; k++) p += c[k] * x[i - 1 - k];
+      r[i - order] = x[i] - p;
+    }
+    return r;
+  }
+
+  function riceParam(u) {
+    let best = 0;
+    let bestBits = Infinity;
+    for (let k = 0; k <= 14; k++) {
+      let bits = 0;
+      for (let i = 0; i < u.length; i++) bits += (u[i] >>> k) + 1 + k;
+      if (bits < bestBits) {
+        bestBits = bits;
+        best = k;
+      }
+    }
+    return best;
+  }
+
+  function writeSubframe(w, x) {
+    let order = 0;
+    let res = null;
+    let best = Infinity;
+    for (let o = 0; o <= Math.min(4, x.length - 1); o++) {
+      const r = fixedResidual(x, o);
+      let sum = 0;
+      for (let i = 0; i < r.length; i++) sum += Math.abs(r[i]);
+      if (sum < best) {
+        best = sum;
+        order = o;
+        res = r;
+      }
+    }
+    w.bits(0, 1);
+    w.bits(0b001000 | order, 6); // SUBFRAME_FIXED
+    w.bits(0, 1); // no wasted bits
+    for (let i = 0; i < order; i++) w.signed(x[i], 16);
+    const u = Array.from(res, (v) => (v >= 0 ? 2 * v : -2 * v - 1));
+    const k = riceParam(u);
+    w.bits(0, 2); // RICE, 4-bit parameters
+    w.bits(0, 4); // partition order 0
+    w.bits(k, 4);
+    for (const v of u) {
+      w.unary(v >>> k);
+      w.bits(v, k);
+    }
+  }
+
+  function utf8Number(n) {
+    if (n < 0x80) return [n];
+    const out = [];
+    let bytes = 1;
+    while (n >= Math.pow(2, 5 * bytes + 6)) bytes++;
+    for (let i = 0; i < bytes; i++) {
+      out.unshift(0x80 | (n & 0x3f));
+      n = Math.floor(n / 64);
+    }
+    out.unshift(((0xff00 >> (bytes + 1)) & 0xff) | n);
+    return out;
+  }
+
+  // FLAC with fixed-predictor subframes and a VORBIS_COMMENT block carrying
+  // TITLE, DESCRIPTION (the parameters as JSON), DATE and ENCODER.
+  function encodeFlac(buffer, meta = {}) {
+    const chans = pcm16(buffer);
+    const nc = chans.length;
+    const n = buffer.length;
+    const rate = buffer.sampleRate;
+    const BLOCK = 4096;
+    const out = [...ascii("fLaC")];
+
+    const si = new BitWriter();
+    si.bits(BLOCK, 16);
+    si.bits(BLOCK, 16);
+    si.bits(0, 24); // min/max frame size unknown
+    si.bits(0, 24);
+    si.bits(rate, 20);
+    si.bits(nc - 1, 3);
+    si.bits(15, 5); // 16 bits per sample
+    si.bits(n, 36);
+    for (let i = 0; i < 16; i++) si.bits(0, 8); // MD5 not computed
+    out.push(0x00, 0, 0, 34, ...si.bytes);
+
+    const comments = [["TITLE", meta.title], ["DESCRIPTION", meta.comment], ["DATE", meta.date], ["ENCODER", "Field Signal"]].filter((c) => c[1]);
+    const vendor = ascii("Field Signal");
+    const vc = [...u32le(vendor.length), ...vendor, ...u32le(comments.length)];
+    for (const [k, v] of comments) {
+      const entry = ascii(`${k}=${v}`);
+      vc.push(...u32le(entry.length), ...entry);
+    }
+    out.push(0x80 | 4, (vc.length >> 16) & 255, (vc.length >> 8) & 255, vc.length & 255, ...vc);
+
+    const parts = [Uint8Array.from(out)];
+    for (let start = 0, frame = 0; start < n; start += BLOCK, frame++) {
+      const size = Math.min(BLOCK, n - start);
+      const w = new BitWriter();
+      w.bits(0xfff8, 16); // sync, fixed blocksize
+      w.bits(0b0111, 4); // blocksize: 16-bit (size − 1) follows
+      w.bits(0b0000, 4); // sample rate from STREAMINFO
+      w.bits(nc === 2 ? 0b0001 : nc - 1, 4); // independent channels
+      w.bits(0b100, 3); // 16 bits per sample
+      w.bits(0, 1);
+      for (const b of utf8Number(frame)) w.bits(b, 8);
+      w.bits(size - 1, 16);
+      w.bits(crc8(w.bytes, 0, w.bytes.length), 8);
+      for (let c = 0; c < nc; c++) writeSubframe(w, chans[c].subarray(start, start + size));
+      w.align();
+      const crc = crc16(w.bytes, 0, w.bytes.length);
+      w.bits(crc, 16);
+      parts.push(Uint8Array.from(w.bytes));
+    }
+
+    const total = parts.reduce((s, p) => s + p.length, 0);
+    const bytes = new Uint8Array(total);
+    let o = 0;
+    for (const p of parts) {
+      bytes.set(p, o);
+      o += p.length;
+    }
+    return bytes;
+  }
+
+  // --- Analysis -------------------------------------------------------------
+
+  // In-place radix-2 FFT; re/im lengths must be a power of two.
+  function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = (-2 * Math.PI) / len;
+      for (let i = 0; i < n; i += len) {
+        for (let k = 0; k < len / 2; k++) {
+          const wr = Math.cos(ang * k);
+          const wi = Math.sin(ang * k);
+          const a = i + k;
+          const b = a + len / 2;
+          const xr = re[b] * wr - im[b] * wi;
+          const xi = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - xr;
+          im[b] = im[a] - xi;
+          re[a] += xr;
+          im[a] += xi;
+        }
+      }
+    }
+  }
+
+  // Hann-windowed magnitude spectrum of the largest power-of-two window
+  // (≤ opts.size, default 65536) taken from the middle of `samples`.
+  function spectrum(samples, sampleRate, opts = {}) {
+    let n = 1;
+    while (n * 2 <= Math.min(samples.length, opts.size || 65536)) n *= 2;
+    const off = Math.floor((samples.length - n) / 2);
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let i = 0; i < n; i++) re[i] = samples[off + i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+    fft(re, im);
+    const mags = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) mags[i] = Math.hypot(re[i], im[i]);
+    return { mags, binHz: sampleRate / n };
+  }
+
+  // Strongest bin of `mags` in [minHz, maxHz], refined by parabolic interpolation.
+  // Works on linear magnitudes or dB (AnalyserNode data); null if nothing is finite.
+  function peakBin(mags, binHz, minHz, maxHz) {
+    const lo = Math.max(1, Math.floor((minHz || 0) / binHz));
+    const hi = Math.min(mags.length - 2, Math.ceil((maxHz || binHz * mags.length) / binHz));
+    let k = lo;
+    for (let i = lo; i <= hi; i++) if (mags[i] > mags[k]) k = i;
+    const a = mags[k - 1];
+    const b = mags[k];
+    const c = mags[k + 1];
+    if (!Number.isFinite(b)) return null;
+    const curve = a - 2 * b + c;
+    const shift = Number.isFinite(a) && Number.isFinite(c) && curve ? (0.5 * (a - c)) / curve : 0;
+    return (k + clamp(shift, -0.5, 0.5)) * binHz;
+  }
+
+  // Strongest frequency in [minHz, maxHz] of a sample block.
+  function peakFrequency(samples, sampleRate, opts = {}) {
+    const { mags, binHz } = spectrum(samples, sampleRate, opts);
+    return peakBin(mags, binHz, opts.minHz, opts.maxHz || sampleRate / 2);
+  }
+
+  // Same for AnalyserNode.getFloatFrequencyData() output (frequencyBinCount dB values).
+  function peakFromDb(db, sampleRate, opts = {}) {
+    return peakBin(db, sampleRate / (2 * db.length), opts.minHz, opts.maxHz || sampleRate / 2);
+  }
+
+  const api = {
+    WAVES,
+    GENERATORS,
+    NOISE_COLORS,
+    DEFAULT_MIX,
+    SAFETY,
+    binaural,
+    mixLevels,
+    noiseBuffer,
+    buildSignalGraph,
+    setParams,
+    applyFades,
+    stageStarts,
+    sessionLength,
+    rampParam,
+    scheduleSession,
+    exposure,
+    gainToDb,
+    dbToGain,
+    loudness,
+    renderOffline,
+    encodeWav,
+    decodeWav,
+    encodeFlac,
+    fft,
+    spectrum,
+    peakBin,
+    peakFrequency,
+    peakFromDb,
+  };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.FieldSignalGraph = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,127 @@
+/* Animated GIF encoder (CSP‑safe external JS) */
+// Minimal GIF89a writer for canvas exports: one fixed 6×7×6 colour cube as the
+// global palette (good enough for the scope/branch visuals), LZW-compressed
+// frames, looping forever. Frames are RGBA pixel arrays (ImageData.data).
+// createWriter() takes them one at a time, so a long capture never holds more
+// than the current frame and the compressed output.
+(function(root){
+  const R = 6, G = 7, B = 6;
+
+  function palette(){
+    const p = new Uint8Array(256*3);
+    let i = 0;
+    for(let r=0; r<R; r++) for(let g=0; g<G; g++) for(let b=0; b<B; b++){
+      p[i++] = Math.round(r*255/(R-1)); p[i++] = Math.round(g*255/(G-1)); p[i++] = Math.round(b*255/(B-1));
+    }
+    return p;
+  }
+
+  // Maps RGBA onto the colour cube, compositing alpha over `bg` ([r, g, b]).
+  function indexPixels(rgba, bg){
+    const n = rgba.length >> 2, out = new Uint8Array(n);
+    for(let i=0, j=0; i<n; i++, j+=4){
+      const a = rgba[j+3]/255;
+      const r = rgba[j]*a + bg[0]*(1-a), g = rgba[j+1]*a + bg[1]*(1-a), b = rgba[j+2]*a + bg[2]*(1-a);
+      out[i] = Math.round(r*(R-1)/255)*G*B + Math.round(g*(G-1)/255)*B + Math.round(b*(B-1)/255);
+    }
+    return out;
+  }
+
+  // Byte sink that doubles its Uint8Array as it fills.
+  function byteBuffer(initial=1 << 16){
+    let buf = new Uint8Array(initial), len = 0;
+    const ensure = (n) => {
+      if(len + n <= buf.length) return;
+      let size = buf.length*2;
+      while(size < len + n) size *= 2;
+      const next = new Uint8Array(size); next.set(buf.subarray(0, len)); buf = next;
+    };
+    return {
+      push(...bs){ ensure(bs.length); for(const b of bs) buf[len++] = b; },
+      pushBytes(bs){ ensure(bs.length); buf.set(bs, len); len += bs.length; },
+      bytes(){ return buf.subarray(0, len); },
+      reset(){ len = 0; },
+      get length(){ return len; }
+    };
+  }
+
+  function lzw(indices, minCode, bytes){
+    const clear = 1 << minCode, eoi = clear + 1;
+    let size = minCode + 1, next = eoi + 1, dict = new Map();
+    let cur = 0, bits = 0;
+    const emit = (code) => {
+      cur |= code << bits; bits += size;
+      while(bits >= 8){ bytes.push(cur & 255); cur >>>= 8; bits -= 8; }
+    };
+    emit(clear);
+    let prefix = indices[0];
+    for(let i=1; i<indices.length; i++){
+      const k = indices[i], key = prefix*256 + k;
+      const hit = dict.get(key);
+      if(hit !== undefined){ prefix = hit; continue; }
+      emit(prefix);
+      if(next < 4096){
+        dict.set(key, next++);
+        if(next > (1 << size) && size < 12) size++;
+      }else{
+        emit(clear);
+        dict = new Map(); next = eoi + 1; size = minCode + 1;
+      }
+      prefix = k;
+    }
+    emit(prefix); emit(eoi);
+    if(bits > 0) bytes.push(cur & 255);
+  }
+
+  // Streaming writer: addFrame(rgba) compresses each width×height frame as it
+  // arrives; finish() returns the file. delayMs per frame.
+  function createWriter(width, height, opts={}){
+    const delay = Math.max(2, Math.round((opts.delayMs || 50)/10));
+    const bg = opts.background || [0, 0, 0];
+    const out = byteBuffer(), data = byteBuffer();
+    const u16 = (v) => out.push(v & 255, (v >> 8) & 255);
+    const str = (s) => { for(let i=0; i<s.length; i++) out.push(s.charCodeAt(i)); };
+    let done = false, count = 0;
+
+    str('GIF89a'); u16(width); u16(height);
+    out.push(0xF7, 0, 0);
+    out.pushBytes(palette());
+    out.push(0x21, 0xFF, 0x0B); str('NETSCAPE2.0'); out.push(3, 1); u16(0); out.push(0);
+
+    return {
+      addFrame(rgba){
+        if(done) throw new Error('GIF already finished');
+        if(rgba.length !== width*height*4) throw new Error(`frame has ${rgba.length/4} pixels, expected ${width}×${height}`);
+        out.push(0x21, 0xF9, 4, 0x04); u16(delay); out.push(0, 0);
+        out.push(0x2C); u16(0); u16(0); u16(width); u16(height); out.push(0);
+        data.reset();
+        lzw(indexPixels(rgba, bg), 8, data);
+        out.push(8);
+        const d = data.bytes();
+        for(let i=0; i<d.length; i+=255){
+          const block = d.subarray(i, i+255);
+          out.push(block.length); out.pushBytes(block);
+        }
+        out.push(0);
+        count++;
+      },
+      finish(){
+        if(!done){ out.push(0x3B); done = true; }
+        return out.bytes();
+      },
+      get frames(){ return count; },
+      get size(){ return out.length; }
+    };
+  }
+
+  // frames: array of RGBA arrays, all width×height.
+  function encode(frames, width, height, opts={}){
+    const gif = createWriter(width, height, opts);
+    for(const rgba of frames) gif.addFrame(rgba);
+    return gif.finish();
+  }
+
+  const api = { encode, createWriter };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.GifEncoder = api;
+})(typeof self !== 'undefined' ? self : this);
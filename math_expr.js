@@ -0,0 +1,217 @@
+// Safe math expressions — tokenizer → recursive-descent parser → AST → closures.
+// Nothing is passed to eval/Function; only the names below can be referenced, so
+// user-typed curves (DualUniverseCanvas) cannot reach globals.
+//
+//   expr    := sum
+//   sum     := product (("+" | "-") product)*
+//   product := unary (("*" | "/" | "%") unary)*
+//   unary   := ("-" | "+") unary | power
+//   power   := primary (("^" | "**") unary)?          (right-associative; -x^2 = -(x^2))
+//   primary := number | name | name "(" args ")" | "(" expr ")"
+//
+// compile(src, vars) returns f(scope) for the allowed variable names (default x, t)
+// and throws an Error with `.pos` (character offset) for anything invalid.
+(function (root) {
+  const FUNCS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    exp: Math.exp,
+    log: Math.log,
+    ln: Math.log,
+    log10: Math.log10,
+    log2: Math.log2,
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    sign: Math.sign,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow,
+    hypot: Math.hypot,
+  };
+  const ARITY = { atan2: [2, 2], pow: [2, 2], min: [1, Infinity], max: [1, Infinity], hypot: [1, Infinity] };
+  const CONSTS = { pi: Math.PI, "π": Math.PI, tau: 2 * Math.PI, e: Math.E };
+  const own = (obj, k) => Object.prototype.hasOwnProperty.call(obj, k);
+
+  function fail(msg, pos) {
+    const err = new Error(`${msg} at ${pos + 1}`);
+    err.pos = pos;
+    return err;
+  }
+
+  function tokenize(src) {
+    const tokens = [];
+    const re = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_π][A-Za-z_0-9]*)|(\*\*|[-+*/%^(),])/y;
+    let i = 0;
+    for (;;) {
+      while (i < src.length && /\s/.test(src[i])) i++;
+      if (i >= src.length) break;
+      re.lastIndex = i;
+      const m = re.exec(src);
+      if (!m) throw fail(`unexpected "${src[i]}"`, i);
+      if (m[1] != null) tokens.push({ type: "num", value: parseFloat(m[1]), pos: i });
+      else if (m[2] != null) tokens.push({ type: "name", value: m[2], pos: i });
+      else tokens.push({ type: "op", value: m[3], pos: i });
+      i = re.lastIndex;
+    }
+    tokens.push({ type: "end", value: "", pos: src.length });
+    return tokens;
+  }
+
+  function parse(src) {
+    const tokens = tokenize(String(src));
+    let k = 0;
+    const peek = () => tokens[k];
+    const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+    const expect = (op) => {
+      if (!isOp(op)) throw fail(peek().type === "end" ? `expected "${op}"` : `expected "${op}" but found "${peek().value}"`, peek().pos);
+      return tokens[k++];
+    };
+
+    const sum = () => {
+      let node = product();
+      while (isOp("+", "-")) {
+        const op = tokens[k++].value;
+        node = { type: "bin", op, a: node, b: product() };
+      }
+      return node;
+    };
+    const product = () => {
+      let node = unary();
+      while (isOp("*", "/", "%")) {
+        const op = tokens[k++].value;
+        node = { type: "bin", op, a: node, b: unary() };
+      }
+      return node;
+    };
+    const unary = () => {
+      if (isOp("-", "+")) {
+        const op = tokens[k++].value;
+        const arg = unary();
+        return op === "-" ? { type: "neg", arg } : arg;
+      }
+      return power();
+    };
+    const power = () => {
+      const base = primary();
+      if (isOp("^", "**")) {
+        k++;
+        return { type: "bin", op: "^", a: base, b: unary() };
+      }
+      return base;
+    };
+    const primary = () => {
+      const tok = tokens[k++];
+      if (tok.type === "num") return { type: "num", value: tok.value };
+      if (tok.type === "name") {
+        if (isOp("(")) {
+          if (!own(FUNCS, tok.value)) throw fail(`unknown function "${tok.value}"`, tok.pos);
+          k++;
+          const args = [];
+          if (!isOp(")")) {
+            args.push(sum());
+            while (isOp(",")) {
+              k++;
+              args.push(sum());
+            }
+          }
+          expect(")");
+          const [lo, hi] = ARITY[tok.value] || [1, 1];
+          if (args.length < lo || args.length > hi) throw fail(`${tok.value}() takes ${lo === hi ? lo : `${lo}+`} argument${lo === 1 && hi === 1 ? "" : "s"}`, tok.pos);
+          return { type: "call", name: tok.value, args };
+        }
+        return { type: "name", name: tok.value, pos: tok.pos };
+      }
+      if (tok.type === "op" && tok.value === "(") {
+        const node = sum();
+        expect(")");
+        return node;
+      }
+      throw fail(tok.type === "end" ? "unexpected end of expression" : `unexpected "${tok.value}"`, tok.pos);
+    };
+
+    if (peek().type === "end") throw fail("empty expression", 0);
+    const ast = sum();
+    if (peek().type !== "end") throw fail(`unexpected "${peek().value}"`, peek().pos);
+    return ast;
+  }
+
+  const BIN = {
+    "+": (a, b) => a + b,
+    "-": (a, b) => a - b,
+    "*": (a, b) => a * b,
+    "/": (a, b) => a / b,
+    "%": (a, b) => a % b,
+    "^": (a, b) => Math.pow(a, b),
+  };
+
+  // AST → closure tree over a scope object ({ x, t }).
+  function build(node, vars) {
+    switch (node.type) {
+      case "num": {
+        const v = node.value;
+        return () => v;
+      }
+      case "name": {
+        if (vars.includes(node.name)) {
+          const name = node.name;
+          return (s) => s[name];
+        }
+        if (own(CONSTS, node.name)) {
+          const v = CONSTS[node.name];
+          return () => v;
+        }
+        throw fail(`unknown name "${node.name}" (use ${vars.join(", ")}, pi, tau, e)`, node.pos);
+      }
+      case "neg": {
+        const f = build(node.arg, vars);
+        return (s) => -f(s);
+      }
+      case "bin": {
+        const op = BIN[node.op];
+        const a = build(node.a, vars);
+        const b = build(node.b, vars);
+        return (s) => op(a(s), b(s));
+      }
+      case "call": {
+        const fn = FUNCS[node.name];
+        const args = node.args.map((n) => build(n, vars));
+        if (args.length === 1) {
+          const a = args[0];
+          return (s) => fn(a(s));
+        }
+        return (s) => fn(...args.map((a) => a(s)));
+      }
+      default:
+        throw new Error(`unknown node ${node.type}`);
+    }
+  }
+
+  function compile(src, vars = ["x", "t"]) {
+    return build(parse(src), vars);
+  }
+
+  // Non-throwing form for UI validation: { fn } or { error, pos }.
+  function check(src, vars) {
+    try {
+      return { fn: compile(src, vars) };
+    } catch (err) {
+      return { error: err.message, pos: err.pos };
+    }
+  }
+
+  const api = { FUNCS: Object.keys(FUNCS), CONSTS: Object.keys(CONSTS), tokenize, parse, compile, check };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.MathExpr = api;
+})(typeof self !== "undefined" ? self : this);
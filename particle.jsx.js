@@ -0,0 +1,13 @@
+import React from 'react';
+
+// A glowing sphere for the three.js scenes: BinaryCosmicUI's hydrogen/oxygen
+// particles and CouplingMapScene's qubits. A selected particle is drawn larger
+// and brighter.
+export default function Particle({ position, color, selected = false, onClick }) {
+  return (
+    <mesh position={position} scale={selected ? 1.5 : 1} onClick={onClick}>
+      <sphereGeometry args={[0.2, 32, 32]} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={selected ? 1.2 : 0.7} />
+    </mesh>
+  );
+}
@@ -0,0 +1,305 @@
+// QSim — a small state-vector simulator for the catalog visuals (up to MAX_QUBITS
+// qubits), runnable in the browser and under Node. Amplitudes live in one
+// Float64Array of interleaved re, im pairs; basis index bit k is qubit k, so the
+// bitstring of index i reads qubit n−1 … 0 left to right (visualizer.js's order,
+// and QVis.render() takes toQVis(state) directly). Measurement and sampling draw
+// from seeded_rng.js streams, so a circuit with a seed always gives the same counts.
+//
+// Circuit JSON (circuits/*.json):
+//   { "kind": "qsim-circuit", "machine": "ring-8", "label": "GHZ", "qubits": 8,
+//     "seed": "ring-8", "shots": 1024,
+//     "ops": [{ "gate": "h", "qubits": [0] }, { "gate": "cx", "qubits": [0, 1] },
+//             { "gate": "rz", "qubits": [2], "params": ["pi/4"] }, { "gate": "measure", "qubits": [2] }] }
+// Controlled gates list their controls first. Params are numbers or math_expr.js
+// expressions over pi/tau/e. "measure" collapses mid-circuit; "shots" samples the
+// final state without collapsing it.
+(function (root) {
+  const isNode = typeof module === "object" && module.exports;
+  const SeededRng = isNode ? require("./seeded_rng.js") : root.SeededRng;
+  const MathExpr = isNode ? require("./math_expr.js") : root.MathExpr;
+
+  const CIRCUIT_KIND = "qsim-circuit";
+  const MAX_QUBITS = 16;
+  const MAX_SHOTS = 100000;
+  const S = Math.SQRT1_2;
+
+  // ---- gate matrices: [re, im] entries, row-major ---------------------------------
+
+  const c = (re, im = 0) => [re, im];
+  const expi = (a) => [Math.cos(a), Math.sin(a)];
+
+  // One-qubit gates: name → (params) → 2×2 matrix [[m00, m01], [m10, m11]].
+  const ONE = {
+    id: () => [[c(1), c(0)], [c(0), c(1)]],
+    x: () => [[c(0), c(1)], [c(1), c(0)]],
+    y: () => [[c(0), c(0, -1)], [c(0, 1), c(0)]],
+    z: () => [[c(1), c(0)], [c(0), c(-1)]],
+    h: () => [[c(S), c(S)], [c(S), c(-S)]],
+    s: () => [[c(1), c(0)], [c(0), c(0, 1)]],
+    sdg: () => [[c(1), c(0)], [c(0), c(0, -1)]],
+    t: () => [[c(1), c(0)], [c(0), expi(Math.PI / 4)]],
+    tdg: () => [[c(1), c(0)], [c(0), expi(-Math.PI / 4)]],
+    sx: () => [[c(0.5, 0.5), c(0.5, -0.5)], [c(0.5, -0.5), c(0.5, 0.5)]],
+    rx: (t) => [[c(Math.cos(t / 2)), c(0, -Math.sin(t / 2))], [c(0, -Math.sin(t / 2)), c(Math.cos(t / 2))]],
+    ry: (t) => [[c(Math.cos(t / 2)), c(-Math.sin(t / 2))], [c(Math.sin(t / 2)), c(Math.cos(t / 2))]],
+    rz: (t) => [[expi(-t / 2), c(0)], [c(0), expi(t / 2)]],
+    p: (l) => [[c(1), c(0)], [c(0), expi(l)]],
+    u: (t, p, l) => {
+      const co = Math.cos(t / 2);
+      const si = Math.sin(t / 2);
+      const a = expi(l);
+      const b = expi(p);
+      const ab = expi(p + l);
+      return [[c(co), c(-si * a[0], -si * a[1])], [c(si * b[0], si * b[1]), c(co * ab[0], co * ab[1])]];
+    },
+    // Trapped-ion natives (IonQ convention)
+    gpi: (p) => [[c(0), expi(-p)], [expi(p), c(0)]],
+    gpi2: (p) => [[c(S), c(-S * Math.sin(p), -S * Math.cos(p))], [c(-S * Math.sin(-p), -S * Math.cos(-p)), c(S)]],
+  };
+
+  // Controlled gates: name → [controls, one-qubit gate applied to the last qubit].
+  const CONTROLLED = {
+    cx: [1, "x"],
+    cy: [1, "y"],
+    cz: [1, "z"],
+    ch: [1, "h"],
+    cp: [1, "p"],
+    cry: [1, "ry"],
+    crz: [1, "rz"],
+    ccx: [2, "x"],
+  };
+
+  // Two-qubit gates as 4×4 matrices over |q1 q0⟩ with q0 = qubits[0] (index bit 0).
+  const TWO = {
+    swap: () => perm4([0, 2, 1, 3]),
+    iswap: () => {
+      const m = zero4();
+      m[0][0] = c(1);
+      m[1][2] = c(0, 1);
+      m[2][1] = c(0, 1);
+      m[3][3] = c(1);
+      return m;
+    },
+    rzz: (t) => {
+      const m = zero4();
+      [0, 1, 2, 3].forEach((k) => (m[k][k] = expi((k === 0 || k === 3 ? -t : t) / 2)));
+      return m;
+    },
+    // Mølmer–Sørensen at full entangling angle: MS(0, 0)|00⟩ = (|00⟩ − i|11⟩)/√2
+    ms: (p0 = 0, p1 = 0) => {
+      const m = zero4();
+      const sum = expi(-(p0 + p1));
+      const dif = expi(-(p0 - p1));
+      for (let k = 0; k < 4; k++) m[k][k] = c(S);
+      m[0][3] = c(S * sum[1], -S * sum[0]); // −i·e^{−i(φ0+φ1)}/√2
+      m[3][0] = c(-S * sum[1], -S * sum[0]); // −i·e^{i(φ0+φ1)}/√2
+      m[1][2] = c(S * dif[1], -S * dif[0]);
+      m[2][1] = c(-S * dif[1], -S * dif[0]);
+      return m;
+    },
+  };
+
+  const ARITY = { measure: 1, barrier: 0, ...Object.fromEntries(Object.keys(ONE).map((g) => [g, 1])), ...Object.fromEntries(Object.keys(TWO).map((g) => [g, 2])), ...Object.fromEntries(Object.entries(CONTROLLED).map(([g, [n]]) => [g, n + 1])) };
+  const PARAMS = { rx: 1, ry: 1, rz: 1, p: 1, u: 3, gpi: 1, gpi2: 1, cp: 1, cry: 1, crz: 1, rzz: 1, ms: 2 };
+  const GATES = Object.keys(ARITY);
+
+  function zero4() {
+    return Array.from({ length: 4 }, () => Array.from({ length: 4 }, () => c(0)));
+  }
+  function perm4(p) {
+    const m = zero4();
+    p.forEach((j, i) => (m[i][j] = c(1)));
+    return m;
+  }
+
+  // ---- state ----------------------------------------------------------------------
+
+  /** |0…0⟩ on n qubits. @returns {{ qubits: number, amps: Float64Array }} */
+  function createState(n) {
+    if (!Number.isInteger(n) || n < 1 || n > MAX_QUBITS) throw new Error(`qubits must be an integer 1–${MAX_QUBITS}`);
+    const amps = new Float64Array(2 << n);
+    amps[0] = 1;
+    return { qubits: n, amps };
+  }
+
+  // m (2×2) on `target` for every basis pair whose `controls` are all 1.
+  function apply1(st, m, target, controls = []) {
+    const a = st.amps;
+    const bit = 1 << target;
+    const cmask = controls.reduce((k, q) => k | (1 << q), 0);
+    const [[m00, m01], [m10, m11]] = m;
+    for (let i = 0; i < a.length >> 1; i++) {
+      if (i & bit || (i & cmask) !== cmask) continue;
+      const j = i | bit;
+      const r0 = a[2 * i], i0 = a[2 * i + 1], r1 = a[2 * j], i1 = a[2 * j + 1];
+      a[2 * i] = m00[0] * r0 - m00[1] * i0 + m01[0] * r1 - m01[1] * i1;
+      a[2 * i + 1] = m00[0] * i0 + m00[1] * r0 + m01[0] * i1 + m01[1] * r1;
+      a[2 * j] = m10[0] * r0 - m10[1] * i0 + m11[0] * r1 - m11[1] * i1;
+      a[2 * j + 1] = m10[0] * i0 + m10[1] * r0 + m11[0] * i1 + m11[1] * r1;
+    }
+  }
+
+  // m (4×4 over |q1 q0⟩) on qubits q0, q1.
+  function apply2(st, m, q0, q1) {
+    const a = st.amps;
+    const b0 = 1 << q0;
+    const b1 = 1 << q1;
+    const re = new Float64Array(4);
+    const im = new Float64Array(4);
+    for (let i = 0; i < a.length >> 1; i++) {
+      if (i & b0 || i & b1) continue;
+      const idx = [i, i | b0, i | b1, i | b0 | b1];
+      for (let k = 0; k < 4; k++) {
+        re[k] = a[2 * idx[k]];
+        im[k] = a[2 * idx[k] + 1];
+      }
+      for (let r = 0; r < 4; r++) {
+        let sr = 0;
+        let si = 0;
+        for (let k = 0; k < 4; k++) {
+          const [mr, mi] = m[r][k];
+          sr += mr * re[k] - mi * im[k];
+          si += mr * im[k] + mi * re[k];
+        }
+        a[2 * idx[r]] = sr;
+        a[2 * idx[r] + 1] = si;
+      }
+    }
+  }
+
+  /**
+   * Applies one gate in place. `qubits` lists controls first for controlled gates.
+   * @param {{ qubits: number, amps: Float64Array }} st
+   * @param {string} gate
+   * @param {number[]} qubits
+   * @param {number[]} [params]
+   */
+  function applyGate(st, gate, qubits, params = []) {
+    // own keys only: a gate named "toString" or "__proto__" is unknown, not inherited
+    if (Object.hasOwn(ONE, gate)) apply1(st, ONE[gate](...params), qubits[0]);
+    else if (Object.hasOwn(CONTROLLED, gate)) {
+      const [n, base] = CONTROLLED[gate];
+      apply1(st, ONE[base](...params), qubits[n], qubits.slice(0, n));
+    } else if (Object.hasOwn(TWO, gate)) apply2(st, TWO[gate](...params), qubits[0], qubits[1]);
+    else throw new Error(`unknown gate "${gate}"`);
+  }
+
+  function probabilities(st) {
+    const a = st.amps;
+    const p = new Float64Array(a.length >> 1);
+    for (let i = 0; i < p.length; i++) p[i] = a[2 * i] * a[2 * i] + a[2 * i + 1] * a[2 * i + 1];
+    return p;
+  }
+
+  const bitstring = (i, n) => i.toString(2).padStart(n, "0");
+
+  /** Measures one qubit, collapsing and renormalizing the state; returns 0 or 1. */
+  function measure(st, qubit, rng) {
+    const a = st.amps;
+    const bit = 1 << qubit;
+    let p1 = 0;
+    for (let i = 0; i < a.length >> 1; i++) if (i & bit) p1 += a[2 * i] * a[2 * i] + a[2 * i + 1] * a[2 * i + 1];
+    const result = rng() < p1 ? 1 : 0;
+    const k = 1 / Math.sqrt(result ? p1 : 1 - p1);
+    for (let i = 0; i < a.length >> 1; i++) {
+      const keep = (i & bit ? 1 : 0) === result;
+      a[2 * i] = keep ? a[2 * i] * k : 0;
+      a[2 * i + 1] = keep ? a[2 * i + 1] * k : 0;
+    }
+    return result;
+  }
+
+  /** Samples `shots` full-register outcomes without collapsing: { bitstring: count }. */
+  function sample(st, shots, rng) {
+    const p = probabilities(st);
+    const cdf = new Float64Array(p.length);
+    let acc = 0;
+    for (let i = 0; i < p.length; i++) cdf[i] = acc += p[i];
+    const counts = {};
+    for (let s = 0; s < shots; s++) {
+      const u = rng() * acc;
+      let lo = 0;
+      let hi = cdf.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (cdf[mid] > u) hi = mid;
+        else lo = mid + 1;
+      }
+      const key = bitstring(lo, st.qubits);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // ---- circuits -------------------------------------------------------------------
+
+  function param(v, where) {
+    if (typeof v === "number" && Number.isFinite(v)) return v;
+    if (typeof v !== "string") throw new Error(`${where}: must be a number or an expression string`);
+    let value;
+    try {
+      value = MathExpr.compile(v, [])({});
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+    if (!Number.isFinite(value)) throw new Error(`${where}: "${v}" is not a finite number`);
+    return value;
+  }
+
+  /**
+   * Checks a circuit and resolves its params; throws an Error naming the bad path.
+   * @returns {{ qubits: number, seed: string, shots: number, ops: { gate: string, qubits: number[], params: number[] }[] }}
+   */
+  function compileCircuit(circuit) {
+    if (!circuit || typeof circuit !== "object") throw new Error("circuit must be an object");
+    if (circuit.kind !== CIRCUIT_KIND) throw new Error(`kind: expected "${CIRCUIT_KIND}"`);
+    const n = circuit.qubits;
+    if (!Number.isInteger(n) || n < 1 || n > MAX_QUBITS) throw new Error(`qubits: must be an integer 1–${MAX_QUBITS}`);
+    const shots = circuit.shots == null ? 0 : circuit.shots;
+    if (!Number.isInteger(shots) || shots < 0 || shots > MAX_SHOTS) throw new Error(`shots: must be an integer 0–${MAX_SHOTS}`);
+    if (!Array.isArray(circuit.ops)) throw new Error("ops: must be a list");
+    const ops = circuit.ops.map((op, i) => {
+      const at = `ops[${i}]`;
+      if (!op || typeof op.gate !== "string" || !Object.hasOwn(ARITY, op.gate)) throw new Error(`${at}.gate: unknown gate ${JSON.stringify(op && op.gate)}`);
+      const qs = op.qubits || [];
+      const arity = ARITY[op.gate];
+      if (op.gate === "barrier" ? !Array.isArray(qs) : !Array.isArray(qs) || qs.length !== arity) throw new Error(`${at}.qubits: ${op.gate} takes ${arity} qubit(s)`);
+      qs.forEach((q, k) => {
+        if (!Number.isInteger(q) || q < 0 || q >= n) throw new Error(`${at}.qubits[${k}]: must be a qubit 0–${n - 1}`);
+      });
+      if (new Set(qs).size !== qs.length) throw new Error(`${at}.qubits: repeats a qubit`);
+      const ps = op.params || [];
+      const want = Object.hasOwn(PARAMS, op.gate) ? PARAMS[op.gate] : 0;
+      if (!Array.isArray(ps) || (op.gate === "ms" ? ps.length > want : ps.length !== want)) throw new Error(`${at}.params: ${op.gate} takes ${want} param(s)`);
+      return { gate: op.gate, qubits: qs, params: ps.map((v, k) => param(v, `${at}.params[${k}]`)) };
+    });
+    return { qubits: n, seed: circuit.seed == null ? "" : String(circuit.seed), shots, ops };
+  }
+
+  /**
+   * Runs a circuit from |0…0⟩. opts.seed overrides the circuit's seed.
+   * @returns {{ state: { qubits: number, amps: Float64Array }, measurements: { op: number, qubit: number, result: 0 | 1 }[], counts: Record<string, number> | null }}
+   */
+  function run(circuit, opts = {}) {
+    const plan = compileCircuit(circuit);
+    const rng = SeededRng.create(opts.seed != null ? opts.seed : plan.seed);
+    const measureRng = rng.fork("measure");
+    const st = createState(plan.qubits);
+    const measurements = [];
+    plan.ops.forEach((op, i) => {
+      if (op.gate === "barrier") return;
+      if (op.gate === "measure") measurements.push({ op: i, qubit: op.qubits[0], result: measure(st, op.qubits[0], measureRng) });
+      else applyGate(st, op.gate, op.qubits, op.params);
+    });
+    return { state: st, measurements, counts: plan.shots ? sample(st, plan.shots, rng.fork("shots")) : null };
+  }
+
+  /** The state as a QVis.render() input. */
+  function toQVis(st, meta = {}) {
+    return { machine: meta.machine || "", label: meta.label || "", qubits: st.qubits, amplitudes: st.amps };
+  }
+
+  const api = { CIRCUIT_KIND, MAX_QUBITS, GATES, createState, applyGate, probabilities, measure, sample, bitstring, compileCircuit, run, toQVis };
+  if (isNode) module.exports = api;
+  else root.QSim = api;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,93 @@
+/* Infinity × Watson Demo — Lissajous scope as stereo audio (CSP‑safe external JS) */
+// The ScopeRender trace as sound: X on the left channel, Y on the right, with f1/f2
+// scaled into the audible range (HZ_PER_UNIT Hz per scope unit), so a hardware
+// oscilloscope in XY mode fed from the line out draws the same figure. A graph
+// module for SignalEngine (buildSignalGraph / setParams, like field_signal_graph.js):
+//
+//   left  = sin(2π·f1·k·τ + phase)          PeriodicWave carries the phase offset
+//   right = −cos(phase) · sin(2π·f2·k·τ)    gain node; negated because canvas Y points down
+//
+// Both oscillators start together so τ is shared. A new f1/f2/phase crossfades to
+// a fresh pair started at one instant; gliding the old pair would shear the figure.
+(function(root){
+  const Graph = typeof module === 'object' && module.exports ? require('./field_signal_graph.js') : root.FieldSignalGraph;
+
+  const HZ_PER_UNIT = 110;      // f1 1.2 → 132 Hz, f2 2.3 → 253 Hz
+  const NOISE_LEVEL = 0.03;     // scope noise 0.8 (Jam) → ~−32 dBFS hiss, like the few-px jitter
+  const XFADE = 0.02;           // seconds
+  const DEFAULTS = { f1: 1.2, f2: 2.3, phase: Math.PI/3, noise: 0, gain: 0.3, muted: false };
+
+  // sin(θ + φ) = cos φ · sin θ + sin φ · cos θ — unnormalised so the amplitude stays 1.
+  function phasedSine(ac, phi){
+    return ac.createPeriodicWave(new Float32Array([0, Math.sin(phi)]), new Float32Array([0, Math.cos(phi)]), { disableNormalization: true });
+  }
+
+  // One oscillator pair for { f1, f2, phase }, each behind its own level for crossfades.
+  function voice(ac, p, merger){
+    const l = ac.createOscillator(), r = ac.createOscillator();
+    l.setPeriodicWave(phasedSine(ac, p.phase));
+    l.frequency.value = p.f1 * HZ_PER_UNIT;
+    r.frequency.value = p.f2 * HZ_PER_UNIT;
+    const x = ac.createGain(), y = ac.createGain();
+    x.gain.value = 1; y.gain.value = -Math.cos(p.phase);
+    l.connect(x).connect(merger, 0, 0);
+    r.connect(y).connect(merger, 0, 1);
+    return {
+      l, r, x, y,
+      start(t){ l.start(t); r.start(t); },
+      stop(t){ try{ l.stop(t); r.stop(t); }catch(_){ /* never started */ } },
+      disconnect(){ for(const n of [l, r, x, y]) n.disconnect(); }
+    };
+  }
+
+  function buildSignalGraph(ac, params, dest){
+    const p = Object.assign({}, DEFAULTS, params);
+    const merger = ac.createChannelMerger(2);
+    const gain = ac.createGain(); gain.gain.value = p.muted ? 0 : p.gain;
+    const fade = ac.createGain(); fade.gain.value = 0;
+    merger.connect(gain).connect(fade).connect(dest);
+
+    const noise = ac.createBufferSource();
+    noise.buffer = Graph.noiseBuffer(ac, 'white'); noise.loop = true;
+    const noiseGain = ac.createGain(); noiseGain.gain.value = p.noise * NOISE_LEVEL;
+    noise.connect(noiseGain).connect(gain);
+
+    const v = voice(ac, p, merger);
+    const g = {
+      ac, params: p, voice: v, l: v.l, r: v.r, merger, gain, fade, noise, noiseGain, output: fade, started: false, retired: [],
+      start(t = 0){ g.voice.start(t); noise.start(t); g.started = true; },
+      stop(t){ g.voice.stop(t); try{ noise.stop(t); }catch(_){ /* never started */ } },
+      disconnect(){
+        g.voice.disconnect(); g.retired.forEach((o) => o.disconnect());
+        for(const n of [merger, gain, fade, noise, noiseGain]) n.disconnect();
+      }
+    };
+    return g;
+  }
+
+  // Live edits: gain/mute and noise glide; a new figure crossfades to a new pair.
+  function setParams(g, params, t){
+    const prev = g.params, p = Object.assign({}, prev, params);
+    g.params = p;
+    g.gain.gain.setTargetAtTime(p.muted ? 0 : p.gain, t, 0.02);
+    g.noiseGain.gain.setTargetAtTime(p.noise * NOISE_LEVEL, t, 0.05);
+    if(p.f1 === prev.f1 && p.f2 === prev.f2 && p.phase === prev.phase) return;
+
+    const old = g.voice, v = voice(g.ac, p, g.merger);
+    g.voice = v; g.l = v.l; g.r = v.r;
+    if(!g.started){ old.disconnect(); return; }
+    const at = t + 0.01;
+    v.start(at);
+    v.x.gain.setValueAtTime(0, at); v.x.gain.linearRampToValueAtTime(1, at + XFADE);
+    v.y.gain.setValueAtTime(0, at); v.y.gain.linearRampToValueAtTime(-Math.cos(p.phase), at + XFADE);
+    old.x.gain.setValueAtTime(old.x.gain.value, at); old.x.gain.linearRampToValueAtTime(0, at + XFADE);
+    old.y.gain.setValueAtTime(old.y.gain.value, at); old.y.gain.linearRampToValueAtTime(0, at + XFADE);
+    old.stop(at + XFADE);
+    g.retired.push(old);
+    old.l.onended = () => { old.disconnect(); g.retired = g.retired.filter((o) => o !== old); };
+  }
+
+  const api = { HZ_PER_UNIT, DEFAULTS, buildSignalGraph, setParams };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.ScopeAudio = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,54 @@
+/* Infinity × Watson Demo — text ⇄ Lissajous codec (CSP‑safe external JS) */
+// Each UTF‑8 byte of a phrase becomes one scope segment: the high nibble picks f1,
+// the low nibble picks f2, and phase alternates between two values so repeated
+// bytes ("ll") stay separable. decode() takes the per-frame {f1, f2, phase}
+// stream recorded off the scope (segments held for any number of frames,
+// small jitter allowed) and recovers the phrase.
+(function(root){
+  const F1_BASE = 0.8, F2_BASE = 1.4, STEP = 0.1;
+  const PHASES = [Math.PI/3, 2*Math.PI/3];
+
+  function encode(text){
+    const bytes = new TextEncoder().encode(String(text));
+    const segs = [];
+    for(let i=0; i<bytes.length; i++){
+      const b = bytes[i];
+      segs.push({ f1: F1_BASE + (b >> 4)*STEP, f2: F2_BASE + (b & 15)*STEP, phase: PHASES[i % 2] });
+    }
+    return segs;
+  }
+
+  // Expands segments into the frame stream the scope animates through.
+  function frames(segs, perSegment=3){
+    const out = [];
+    for(const s of segs) for(let k=0; k<perSegment; k++) out.push({ f1: s.f1, f2: s.f2, phase: s.phase });
+    return out;
+  }
+
+  function nibble(v, base){
+    const n = Math.round((v - base)/STEP);
+    return n < 0 || n > 15 ? -1 : n;
+  }
+  function parity(phase){
+    return Math.abs(phase - PHASES[0]) <= Math.abs(phase - PHASES[1]) ? 0 : 1;
+  }
+
+  function decode(stream){
+    const bytes = [];
+    let last = null;
+    for(const p of stream){
+      const hi = nibble(p.f1, F1_BASE), lo = nibble(p.f2, F2_BASE), par = parity(p.phase);
+      if(hi < 0 || lo < 0) throw new Error('frame out of codec range: f1=' + p.f1 + ', f2=' + p.f2);
+      const key = par*256 + (hi << 4 | lo);
+      if(key === last) continue;
+      if(last !== null && par === Math.floor(last/256)) throw new Error('missing segment before byte ' + bytes.length);
+      bytes.push(hi << 4 | lo);
+      last = key;
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+  }
+
+  const api = { encode, frames, decode, F1_BASE, F2_BASE, STEP, PHASES };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.ScopeCodec = api;
+})(typeof self !== 'undefined' ? self : this);
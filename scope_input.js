@@ -0,0 +1,232 @@
+/* Infinity × Watson Demo — scope input: microphone / line-in / audio files (CSP‑safe external JS) */
+// Real signals for the scopes. ScopeInput opens a getUserMedia stream or an audio
+// file, upmixes it to stereo and taps each channel with an analyser; the draw
+// functions then paint a triggered time-domain trace, an XY (left vs right) figure
+// or a log-frequency spectrum. They take ChannelProbe lists ({ analyser, freq,
+// time }), so SignalEngine.channels draw the same way as an input.
+//
+//   const input = new ScopeInput();
+//   await input.openMic();            // or input.openFile(file)
+//   input.read();                     // once per frame
+//   ScopeInput.drawTime(ctx, w, h, input.channels, input.rate, { timebase: 2, level: 0 });
+(function(root){
+  const FFT_SIZE = 16384;            // ~340 ms of history at 48 kHz: a full sweep plus room to find the trigger
+  const TIMEBASES = [0.5, 1, 2, 5, 10, 20];   // ms per division
+  const DIVS = 10;                   // horizontal divisions
+  const HYSTERESIS = 0.02;           // the trigger re-arms only after the signal drops this far below the level
+  const COLORS = ['#38bdf8', '#fb7185'];      // left, right
+  const GRID = 'rgba(148,163,184,0.18)';
+
+  const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
+
+  function defaultContext(){
+    const Ctx = root.AudioContext || root.webkitAudioContext;
+    if(!Ctx) throw new Error('Web Audio is not available here');
+    return new Ctx();
+  }
+
+  class ScopeInput {
+    constructor(opts = {}){
+      this.createContext = opts.createContext || defaultContext;
+      this.fftSize = opts.fftSize || FFT_SIZE;
+      this.ac = null;
+      this.source = null;
+      this.stream = null;
+      this.channels = [];
+      this.label = '';       // 'microphone' or the file name
+      this.nodes = [];
+    }
+
+    get running(){ return !!this.source; }
+    get rate(){ return this.ac ? this.ac.sampleRate : 0; }
+
+    // Live input with the browser's voice processing off, so levels and phase are
+    // the signal's own. Not monitored (no feedback through speakers).
+    async openMic(){
+      const md = root.navigator && root.navigator.mediaDevices;
+      if(!md || !md.getUserMedia) throw new Error('microphone input needs getUserMedia (https or localhost)');
+      const stream = await md.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false, channelCount: 2 } });
+      this.close();
+      this.stream = stream;
+      const ac = this._context();
+      this._attach(ac.createMediaStreamSource(stream), false);
+      this.label = 'microphone';
+    }
+
+    // Decodes a dropped or picked file and loops it, audible, through the taps.
+    async openFile(file){
+      const bytes = await file.arrayBuffer();
+      this.close();
+      const ac = this._context();
+      let buffer;
+      try{ buffer = await ac.decodeAudioData(bytes); }
+      catch(_){ this.close(); throw new Error('cannot decode ' + file.name + ' as audio'); }
+      const src = ac.createBufferSource();
+      src.buffer = buffer; src.loop = true;
+      this._attach(src, true);
+      src.start();
+      this.label = file.name;
+    }
+
+    // Refreshes every channel's time and frequency data; call once per frame.
+    read(){ readChannels(this.channels); }
+
+    close(){
+      if(this.source){
+        try{ if(this.source.stop) this.source.stop(); }catch(_){ /* never started */ }
+      }
+      if(this.stream) this.stream.getTracks().forEach((tr) => tr.stop());
+      this.nodes.forEach((n) => n.disconnect());
+      if(this.ac && this.ac.close) this.ac.close();
+      this.ac = this.source = this.stream = null;
+      this.nodes = []; this.channels = []; this.label = '';
+    }
+
+    _context(){
+      this.ac = this.createContext();
+      if(this.ac.resume) this.ac.resume();
+      return this.ac;
+    }
+
+    // source → stereo (mono feeds both sides) → splitter → one analyser per channel
+    _attach(source, monitor){
+      const ac = this.ac;
+      const stereo = ac.createGain();
+      stereo.channelCount = 2; stereo.channelCountMode = 'explicit'; stereo.channelInterpretation = 'speakers';
+      const splitter = ac.createChannelSplitter(2);
+      source.connect(stereo).connect(splitter);
+      if(monitor) stereo.connect(ac.destination);
+      this.channels = [0, 1].map((ch) => {
+        const a = ac.createAnalyser();
+        a.fftSize = this.fftSize;
+        a.smoothingTimeConstant = 0.6;
+        splitter.connect(a, ch);
+        return { analyser: a, freq: new Float32Array(a.frequencyBinCount), time: new Float32Array(a.fftSize) };
+      });
+      this.source = source;
+      this.nodes = [source, stereo, splitter, ...this.channels.map((c) => c.analyser)];
+    }
+  }
+
+  function readChannels(chans){
+    for(const c of chans){
+      c.analyser.getFloatTimeDomainData(c.time);
+      c.analyser.getFloatFrequencyData(c.freq);
+    }
+  }
+
+  // First index in [from, to) where `samples` crosses `level` on the given slope,
+  // after having been HYSTERESIS beyond it the other way; -1 if none.
+  function triggerIndex(samples, level, slope = 'rising', from = 0, to = samples.length){
+    const s = slope === 'falling' ? -1 : 1, lv = s * level;
+    let armed = false;
+    for(let i = from; i < to; i++){
+      const v = s * samples[i];
+      if(v < lv - HYSTERESIS) armed = true;
+      else if(armed && v >= lv) return i;
+    }
+    return -1;
+  }
+
+  // The samples one sweep shows: timebase × DIVS, at most half the buffer so the
+  // trigger has the other half to search. Untriggered sweeps show the newest data.
+  function sweep(samples, rate, opts = {}){
+    const len = samples.length;
+    const n = clamp(Math.round((opts.timebase || 2) / 1000 * DIVS * rate), 2, Math.floor(len/2));
+    const at = triggerIndex(samples, opts.level || 0, opts.slope, 1, len - n);
+    return { start: at < 0 ? len - n : at, n, triggered: at >= 0 };
+  }
+
+  function grid(c, w, h, cols, rows){
+    c.lineWidth = 1;
+    c.strokeStyle = GRID;
+    c.beginPath();
+    for(let i=1; i<cols; i++){ const x = Math.round(w*i/cols) + 0.5; c.moveTo(x,0); c.lineTo(x,h); }
+    for(let j=1; j<rows; j++){ const y = Math.round(h*j/rows) + 0.5; c.moveTo(0,y); c.lineTo(w,y); }
+    c.stroke();
+  }
+
+  // Both channels over one sweep, triggered on the left one; full scale is ±1.
+  // Returns { triggered } so callers can show the trigger state.
+  function drawTime(c, w, h, chans, rate, opts = {}){
+    grid(c, w, h, DIVS, 8);
+    if(!chans.length || !rate) return { triggered: false };
+    const { start, n, triggered } = sweep(chans[0].time, rate, opts);
+    const level = opts.level || 0, y = (v) => h/2 * (1 - clamp(v, -1.1, 1.1));
+    chans.forEach((ch, k) => {
+      c.strokeStyle = COLORS[k];
+      c.lineWidth = 1.5;
+      c.beginPath();
+      for(let i=0; i<n; i++){
+        const x = i/(n - 1) * w;
+        if(i === 0) c.moveTo(x, y(ch.time[start + i])); else c.lineTo(x, y(ch.time[start + i]));
+      }
+      c.stroke();
+    });
+    c.setLineDash([4, 4]);
+    c.strokeStyle = triggered ? 'rgba(250,204,21,0.7)' : 'rgba(250,204,21,0.3)';
+    c.beginPath(); c.moveTo(0, y(level)); c.lineTo(w, y(level)); c.stroke();
+    c.setLineDash([]);
+    c.font = '10px sans-serif';
+    c.fillStyle = '#64748b';
+    c.fillText((opts.timebase || 2) + ' ms/div • trig ' + level.toFixed(2) + ' ' + (opts.slope === 'falling' ? '↓' : '↑') + (triggered ? '' : ' (free run)'), 4, h - 4);
+    return { triggered };
+  }
+
+  // Left on X, right on Y (up), as a hardware scope in XY mode draws it. The
+  // timebase sets how much history makes up the figure.
+  function drawXY(c, w, h, chans, rate, opts = {}){
+    grid(c, w, h, 8, 8);
+    if(chans.length < 2 || !rate) return;
+    const L = chans[0].time, R = chans[1].time;
+    const n = clamp(Math.round((opts.timebase || 2) / 1000 * DIVS * rate), 2, L.length);
+    const cx = w/2, cy = h/2, A = Math.min(w, h)/2 * 0.9;
+    c.strokeStyle = 'rgba(94,234,212,0.75)';
+    c.lineWidth = 1.4;
+    c.beginPath();
+    for(let i = L.length - n; i < L.length; i++){
+      const x = cx + A * clamp(L[i], -1.1, 1.1), y = cy - A * clamp(R[i], -1.1, 1.1);
+      if(i === L.length - n) c.moveTo(x, y); else c.lineTo(x, y);
+    }
+    c.stroke();
+  }
+
+  // Both channels' dB spectra on a log-frequency axis (20 Hz – Nyquist), with
+  // optional dashed markers at frequencies they should contain (one per channel).
+  function drawSpectrum(c, w, h, chans, rate, marks = []){
+    const f0 = 20, f1 = rate/2;
+    const fx = (f) => w * Math.log(f/f0) / Math.log(f1/f0);
+    c.font = '10px sans-serif';
+    c.lineWidth = 1;
+    for(const f of [50, 100, 200, 500, 1000, 2000, 5000, 10000]){
+      c.strokeStyle = '#1e293b';
+      c.beginPath(); c.moveTo(fx(f), 0); c.lineTo(fx(f), h); c.stroke();
+      c.fillStyle = '#64748b';
+      c.fillText(f >= 1000 ? f/1000 + 'k' : String(f), fx(f) + 2, h - 4);
+    }
+    chans.forEach((ch, k) => {
+      const { minDecibels: lo, maxDecibels: hi } = ch.analyser;
+      const binHz = rate / (2 * ch.freq.length);
+      const first = Math.max(1, Math.ceil(f0/binHz));
+      c.strokeStyle = COLORS[k];
+      c.lineWidth = 1.5;
+      c.beginPath();
+      for(let i = first; i < ch.freq.length; i++){
+        const y = h * (1 - clamp((ch.freq[i] - lo)/(hi - lo), 0, 1));
+        if(i === first) c.moveTo(fx(i*binHz), y); else c.lineTo(fx(i*binHz), y);
+      }
+      c.stroke();
+    });
+    c.setLineDash([4, 4]);
+    marks.forEach((f, k) => {
+      if(!(f > 0)) return;
+      c.strokeStyle = COLORS[k];
+      c.beginPath(); c.moveTo(fx(f), 0); c.lineTo(fx(f), h); c.stroke();
+    });
+    c.setLineDash([]);
+  }
+
+  Object.assign(ScopeInput, { FFT_SIZE, TIMEBASES, DIVS, readChannels, triggerIndex, sweep, drawTime, drawXY, drawSpectrum });
+  if(typeof module === 'object' && module.exports) module.exports = ScopeInput;
+  else root.ScopeInput = ScopeInput;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,55 @@
+/* Infinity × Watson Demo — Lissajous scope renderer (CSP‑safe external JS) */
+// The drawing math behind app.js drawFrame(), free of DOM and requestAnimationFrame
+// so scripts/render_frames.js can render identical frames under Node.
+(function(root){
+  const Rng = typeof module === 'object' && module.exports ? require('./seeded_rng.js') : root.SeededRng;
+
+  const DEFAULT_STATE = { f1: 1.2, f2: 2.3, phase: Math.PI/3, noise: 0, jam: false, glow: false, t: 0, seed: '' };
+
+  // Per-sample noise for a frame, keyed by (seed, frame) so any frame can be
+  // redrawn on its own.
+  function noise(seed, frame){ return Rng.create(seed + '/noise/' + frame); }
+
+  // Paints one frame for state s = { f1, f2, phase, noise, jam, glow, t } onto any
+  // 2D context (the live canvas, an export canvas, CanvasExport.SvgContext or
+  // node-canvas). `nz` supplies the noise samples in [0, 1).
+  function paint(c, w, h, s, nz){
+    c.clearRect(0,0,w,h);
+
+    // grid
+    c.globalCompositeOperation = 'source-over';
+    c.lineWidth = 1;
+    c.strokeStyle = 'rgba(148,163,184,0.18)';
+    c.beginPath();
+    for(let x=0; x<w; x+=50){ c.moveTo(x,0); c.lineTo(x,h); }
+    for(let y=0; y<h; y+=40){ c.moveTo(0,y); c.lineTo(w,y); }
+    c.stroke();
+
+    // trace
+    const cx = w/2, cy = h/2, A = Math.min(w,h)/3.0;
+    c.lineWidth = s.glow ? 2 : 1.4;
+    c.strokeStyle = s.glow ? 'rgba(94,234,212,0.85)' : 'rgba(94,234,212,0.75)';
+    c.shadowBlur = s.glow ? 18 : 0;
+    c.shadowColor = 'rgba(94,234,212,0.8)';
+    c.beginPath();
+    let first=true;
+    const steps = 1400;
+    for(let i=0;i<steps;i++){
+      const tt = s.t + i/steps * (s.jam ? 14 : 8);
+      const x = cx + A * Math.sin(2*Math.PI*s.f1*tt + s.phase) + (nz()-0.5)*s.noise*4;
+      const y = cy + A * Math.sin(2*Math.PI*s.f2*tt) * Math.cos(s.phase) + (nz()-0.5)*s.noise*4;
+      if(first){ c.moveTo(x,y); first=false; } else { c.lineTo(x,y); }
+    }
+    c.stroke();
+
+    // dot
+    c.fillStyle = 'rgba(96,165,250,0.9)';
+    const xd = cx + A*Math.sin(2*Math.PI*s.f1*s.t + s.phase);
+    const yd = cy + A*Math.sin(2*Math.PI*s.f2*s.t)*Math.cos(s.phase);
+    c.beginPath(); c.arc(xd, yd, s.glow?3.2:2.2, 0, Math.PI*2); c.fill();
+  }
+
+  const api = { paint, noise, DEFAULT_STATE };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.ScopeRender = api;
+})(typeof self !== 'undefined' ? self : this);
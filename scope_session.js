@@ -0,0 +1,72 @@
+/* Infinity × Watson Demo — scope session recorder (CSP‑safe external JS) */
+// A session is a JSON timeline of control changes and chat lines. Every event
+// carries the drawFrame() index it landed on (relative to `begin`) plus wall-clock
+// ms, and control events carry a full scope state snapshot (including the rng
+// seed), so replay can re-apply them on exactly the same frame. `begin.at` keeps
+// the absolute frame recording started on, since per-frame noise is keyed to it.
+(function(root){
+  const VERSION = 1;
+  const KIND = 'watson-scope-session';
+
+  function createRecorder(now=()=>Date.now()){
+    let events = [], t0 = now(), f0 = 0;
+    return {
+      begin(frame, state){
+        events = []; t0 = now(); f0 = frame;
+        events.push({ frame: 0, ms: 0, type: 'begin', at: frame, state: Object.assign({}, state) });
+      },
+      record(frame, type, state, data){
+        const ev = { frame: Math.max(0, frame - f0), ms: Math.round(now() - t0), type };
+        if(state) ev.state = Object.assign({}, state);
+        events.push(Object.assign(ev, data));
+      },
+      toJSON(meta){
+        return Object.assign({ version: VERSION, kind: KIND, createdAt: new Date().toISOString() }, meta, { events: events.slice() });
+      },
+      get length(){ return events.length; }
+    };
+  }
+
+  function parse(input){
+    const s = typeof input === 'string' ? JSON.parse(input) : input;
+    if(!s || s.kind !== KIND) throw new Error('not a ' + KIND + ' file');
+    if(s.version !== VERSION) throw new Error('unsupported session version ' + s.version);
+    if(!Array.isArray(s.events) || !s.events.length || s.events[0].type !== 'begin') throw new Error('session has no begin event');
+    let last = 0;
+    for(const ev of s.events){
+      if(!Number.isInteger(ev.frame) || ev.frame < last) throw new Error('events out of frame order at ' + ev.type);
+      last = ev.frame;
+    }
+    return s;
+  }
+
+  // Hands out the events due on or before an absolute frame, in recorded order.
+  function createPlayer(session){
+    const ev = session.events;
+    const start = ev[0].at || 0;
+    let i = 0;
+    return {
+      start,
+      due(frame){
+        const out = [];
+        while(i < ev.length && start + ev[i].frame <= frame) out.push(ev[i++]);
+        return out;
+      },
+      get done(){ return i >= ev.length; },
+      get frames(){ return ev[ev.length - 1].frame; }
+    };
+  }
+
+  function download(session, name){
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name || ('scope-session-' + session.createdAt.replace(/[:.]/g, '-') + '.json');
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+  }
+
+  const api = { createRecorder, createPlayer, parse, download, VERSION };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.ScopeSession = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/*
+Compare 2–4 catalog machines side by side and export the comparison as a ledger section.
+
+- Looks the ids up in catalog/index.json and loads their catalog/machines/*.json
+- Builds the same rows as the index.html comparison view (catalog_compare.js),
+  best value per row in bold
+- Prints the Markdown section to stdout and writes nothing, unless --ledger
+  names a ledger directory (normally `--ledger ledger`): then the section goes
+  into DIR/YYYYMMDD.md, with a DIR/index.json entry when the day is new. Running
+  the same comparison of the same entries again that day replaces its section
+  (matched by state hash) instead of adding a second one.
+
+Usage: node scripts/compare_machines.js <id> <id> [<id> [<id>]] [--ledger DIR] [--date 2025-12-20T14:00:45Z]
+*/
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const CatalogCompare = require(path.join(ROOT, "catalog_compare.js"));
+
+const USAGE = [
+  "Usage: node scripts/compare_machines.js <id> <id> [<id> [<id>]] [--ledger DIR] [--date ISO-time]",
+  "  prints the ledger section; --ledger DIR (e.g. ledger) also writes it into DIR/YYYYMMDD.md and DIR/index.json",
+].join("\n");
+
+function parseArgs(argv) {
+  const args = { ids: [], ledger: null, date: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--ledger") args.ledger = argv[++i] || "";
+    else if (a === "--date") args.date = argv[++i];
+    else if (a === "-h" || a === "--help") args.help = true;
+    else args.ids.push(a);
+  }
+  return args;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+
+function loadMachines(ids) {
+  const index = readJson("catalog/index.json");
+  return ids.map((id) => {
+    const e = index.find((x) => x && x.id === id);
+    if (!e) throw new Error(`no machine "${id}" in catalog/index.json`);
+    return readJson(e.file);
+  });
+}
+
+// Writes the section into the day's file in `dir`: replaces the section with the
+// same state hash, else appends. A new day also goes into index.json (oldest
+// first), its file listed as index.html fetches it: <dir name>/YYYYMMDD.md.
+// Returns the file written and whether a section was replaced.
+function writeToLedger(dir, date, section, hash) {
+  const name = path.basename(CatalogCompare.ledgerFile(date));
+  const full = path.join(dir, name);
+  if (fs.existsSync(full)) {
+    const sections = fs.readFileSync(full, "utf8").split(/^(?=## Sweep )/m);
+    const at = sections.findIndex((s) => s.includes(`State hash: ${hash}\n`));
+    if (at >= 0) sections[at] = section;
+    else sections.push(section);
+    fs.writeFileSync(full, sections.map((s) => s.replace(/\s*$/, "\n")).join("\n"));
+    return { file: full, replaced: at >= 0 };
+  }
+  fs.writeFileSync(full, section);
+  const indexFile = path.join(dir, "index.json");
+  const index = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, "utf8")) : [];
+  index.push({ date: path.basename(name, ".md"), file: `${path.basename(path.resolve(dir))}/${name}` });
+  index.sort((a, b) => a.date.localeCompare(b.date));
+  fs.writeFileSync(indexFile, "[\n" + index.map((e) => "  " + JSON.stringify(e)).join(",\n") + "\n]\n");
+  return { file: full, replaced: false };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.ids.length || args.ledger === "" || (args.ledger && args.ledger.startsWith("--"))) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 2);
+  }
+  const date = args.date ? new Date(args.date) : new Date();
+  if (isNaN(date)) throw new Error(`--date: not a time: ${args.date}`);
+  if (args.ledger && !(fs.existsSync(args.ledger) && fs.statSync(args.ledger).isDirectory())) throw new Error(`--ledger: no directory ${args.ledger}`);
+  const machines = loadMachines(args.ids);
+  const hash = CatalogCompare.stateHash(machines);
+  const section = CatalogCompare.toMarkdown(CatalogCompare.compare(machines), { date, hash });
+  process.stdout.write(section);
+  if (args.ledger) {
+    const { file, replaced } = writeToLedger(args.ledger, date, section, hash);
+    console.error(`${replaced ? "replaced the earlier section in" : "wrote"} ${file}`);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`compare_machines: ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/*
+Render FieldSignalApp audio offline under Node and check the binaural split.
+
+- Reads a settings JSON in the same shape the app exports: either
+  { "params": { baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb }, "seconds", "fadeIn", "fadeOut" }
+  or { "session": { fadeIn, fadeOut, stages: [...] }, "mix", "noiseColor", "maxDb" }
+- Renders through field_signal_graph.js (the graph the app plays live) with an
+  OfflineAudioContext from the optional `node-web-audio-api` package (not a
+  dependency here: npm test renders the same graph through test/web_audio_mock.js)
+- Writes WAV (default) or FLAC; --check FFTs each channel and verifies the
+  left/right peaks sit at base ∓ beat/2
+
+Usage: node scripts/render_audio.js settings.json [--out field-signal.wav] [--format wav|flac] [--check]
+       node scripts/render_audio.js --check-file field-signal.wav [--left 172 --right 176]
+  --check-file needs no audio package: it reads a 16-bit WAV exported by the app and
+  takes the expected frequencies from --left/--right or from the embedded parameters.
+*/
+const fs = require("fs");
+const path = require("path");
+
+const FieldSignalGraph = require(path.join(__dirname, "..", "field_signal_graph.js"));
+
+function parseArgs(argv) {
+  const args = { out: null, format: null, check: false, checkFile: null, left: null, right: null, settings: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") args.out = argv[++i];
+    else if (a === "--format") args.format = argv[++i];
+    else if (a === "--check") args.check = true;
+    else if (a === "--check-file") args.checkFile = argv[++i];
+    else if (a === "--left") args.left = parseFloat(argv[++i]);
+    else if (a === "--right") args.right = parseFloat(argv[++i]);
+    else if (a === "-h" || a === "--help") args.help = true;
+    else args.settings = a;
+  }
+  return args;
+}
+
+function audioBackend() {
+  try {
+    return require("node-web-audio-api").OfflineAudioContext;
+  } catch (e) {
+    throw new Error("rendering needs the optional `node-web-audio-api` package (npm i node-web-audio-api)");
+  }
+}
+
+// Expected left/right tones for steady binaural settings. Sessions move, and
+// monaural/isochronic layers put the same tones in both ears, so those are not checked.
+function expected(settings) {
+  if (!settings || !settings.params) return null;
+  const mix = FieldSignalGraph.mixLevels(settings.params.mix);
+  if (!mix.binaural || mix.monaural || mix.isochronic) return null;
+  return FieldSignalGraph.binaural(settings.params.baseHz, settings.params.beatHz);
+}
+
+// Peaks are searched within ±50 Hz of the target so harmonics of non-sine waves do not win.
+function check(buffer, want) {
+  const tol = Math.max(0.25, buffer.sampleRate / 65536);
+  let ok = true;
+  ["left", "right"].forEach((side, c) => {
+    const hz = FieldSignalGraph.peakFrequency(buffer.getChannelData(c), buffer.sampleRate, { minHz: want[side] - 50, maxHz: want[side] + 50 });
+    const pass = Math.abs(hz - want[side]) <= tol;
+    ok = ok && pass;
+    console.log(`${side}: peak ${hz.toFixed(3)} Hz, expected ${want[side].toFixed(3)} Hz ${pass ? "ok" : "MISMATCH"}`);
+  });
+  return ok;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (!args.settings && !args.checkFile)) {
+    console.log("Usage: node scripts/render_audio.js settings.json [--out field-signal.wav] [--format wav|flac] [--check]");
+    console.log("       node scripts/render_audio.js --check-file field-signal.wav [--left Hz --right Hz]");
+    process.exit(args.help ? 0 : 2);
+  }
+
+  if (args.checkFile) {
+    const buffer = FieldSignalGraph.decodeWav(fs.readFileSync(args.checkFile));
+    let want = args.left != null && args.right != null ? { left: args.left, right: args.right } : null;
+    if (!want && buffer.meta.comment) want = expected(JSON.parse(buffer.meta.comment));
+    if (!want) throw new Error("no expected frequencies: pass --left/--right (sessions and mixed generators carry no single split)");
+    if (buffer.meta.title) console.log(`${buffer.meta.title} (${(buffer.length / buffer.sampleRate).toFixed(2)} s)`);
+    process.exit(check(buffer, want) ? 0 : 1);
+  }
+
+  const settings = JSON.parse(fs.readFileSync(args.settings, "utf8"));
+  const format = args.format || (args.out && args.out.endsWith(".flac") ? "flac" : "wav");
+  const out = args.out || `field-signal.${format}`;
+  const buffer = await FieldSignalGraph.renderOffline(settings, { sampleRate: settings.sampleRate || 44100, OfflineAudioContext: audioBackend() });
+  const meta = { title: `Field Signal • ${path.basename(args.settings, ".json")}`, comment: JSON.stringify(settings), date: new Date().toISOString().slice(0, 10) };
+  fs.writeFileSync(out, format === "flac" ? FieldSignalGraph.encodeFlac(buffer, meta) : FieldSignalGraph.encodeWav(buffer, meta));
+  const loud = [0, 1].map((c) => FieldSignalGraph.loudness(buffer.getChannelData(c)));
+  const peak = Math.max(loud[0].peak, loud[1].peak);
+  console.log(`${out} (${(buffer.length / buffer.sampleRate).toFixed(2)} s, ${buffer.sampleRate} Hz, peak ${peak.toFixed(1)} dBFS)`);
+
+  if (args.check) {
+    const want = expected(settings);
+    if (!want) console.log("check skipped: only steady binaural-led mixes have a fixed left/right split");
+    else if (!check(buffer, want)) process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(`render_audio: ${e.message}`);
+  process.exit(1);
+});
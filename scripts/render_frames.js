@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/*
+Render scope / dual-universe / visualizer / coupling-map frames headless under Node.
+
+- Reads a parameter JSON (scene, size, frame count, scene state)
+- Draws with the same modules the browser pages use (scope_render.js,
+  dual_universe_render.js, dual_universe_analysis.js, visualizer.js, coupling_map.js)
+  against an abstract 2D context
+- Writes SVG frames by default; PNG when the optional `canvas` package
+  (node-canvas) is installed
+
+Usage: node scripts/render_frames.js params.json [--out_dir renders] [--format svg|png]
+
+Example params.json:
+  { "scene": "dual-universe", "width": 900, "height": 420, "frames": 3, "fps": 30,
+    "state": { "xMax": 10, "time": 1.5, "speed": 1 } }
+  For dual-universe and dual-universe-divergence, "state" may also be a tree saved from the canvas
+  ("kind": "dual-universe-tree"), optionally with "time" and "speed"; "view"
+  ({ x0, x1, y0, y1 }) zooms the dual-universe scene and "probe" draws the crosshair at that x.
+  For visualizer, a "state" with "amplitudes" (the states/*.json format) or a
+  qsim.js circuit (circuits/*.json) is drawn instead of the idle animation.
+  For coupling-map, "state" is a catalog entry (catalog/machines/*.json), optionally
+  with "selected" (a qubit to ring) and "nodeMetric" ("single_qubit" or "readout").
+*/
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const { SvgContext } = require(path.join(ROOT, "canvas_export.js"));
+const ScopeRender = require(path.join(ROOT, "scope_render.js"));
+const DualUniverseModel = require(path.join(ROOT, "dual_universe_model.js"));
+const DualUniverseRender = require(path.join(ROOT, "dual_universe_render.js"));
+const DualUniverseAnalysis = require(path.join(ROOT, "dual_universe_analysis.js"));
+const Visualizer = require(path.join(ROOT, "visualizer.js"));
+const QSim = require(path.join(ROOT, "qsim.js"));
+const CouplingMap = require(path.join(ROOT, "coupling_map.js"));
+const Catalog = require(path.join(ROOT, "catalog.js"));
+
+const USAGE = "Usage: node scripts/render_frames.js params.json [--out_dir renders] [--format svg|png]";
+const FORMATS = ["svg", "png"];
+
+// A dual-universe "state" as the model takes it: a saved tree as is, a plain
+// { xMax, trace, tree } through the same checks. Throws on a bad tree.
+const universe = (s) => DualUniverseModel.deserialize(s.kind ? s : DualUniverseModel.serialize(s));
+
+// Each scene: (ctx, w, h, state, k) → paints frame k.
+const SCENES = {
+  scope(ctx, w, h, s, k) {
+    const dt = s.dt || 0.016;
+    const state = Object.assign({}, ScopeRender.DEFAULT_STATE, s);
+    state.t += k * dt;
+    ScopeRender.paint(ctx, w, h, state, ScopeRender.noise(state.seed, (s.frame || 0) + k));
+  },
+  "dual-universe"(ctx, w, h, s, k, fps) {
+    const t = (s.time || 0) + (k / fps) * (s.speed == null ? 1 : s.speed);
+    DualUniverseRender.paintScene(ctx, w, h, universe(s), t, { view: s.view, probe: s.probe });
+  },
+  // The sibling-gap chart from the canvas's Junction Analysis panel
+  "dual-universe-divergence"(ctx, w, h, s, k, fps) {
+    const t = (s.time || 0) + (k / fps) * (s.speed == null ? 1 : s.speed);
+    const model = DualUniverseModel.createModel(universe(s));
+    const colors = Object.fromEntries(model.branches.map((b) => [b.id, b.node.color]));
+    DualUniverseRender.paintDivergence(ctx, w, h, model.params.xMax, DualUniverseAnalysis.analyze(model, t), colors);
+  },
+  // A state or circuit JSON draws as Bloch sphere or probability bars; otherwise the idle loop
+  visualizer(ctx, w, h, s, k) {
+    const state = s.kind === QSim.CIRCUIT_KIND ? QSim.toQVis(QSim.run(s).state, s) : s;
+    if (state.amplitudes) Visualizer.paintState(ctx, w, h, Visualizer.normalize(state), s.hue == null ? 200 : s.hue);
+    else Visualizer.paint(ctx, w, h, (s.t || 0) + k * 0.025, s.hue == null ? 200 : s.hue);
+  },
+  "coupling-map"(ctx, w, h, s) {
+    CouplingMap.paint(ctx, w, h, s, { selected: s.selected, nodeMetric: s.nodeMetric });
+  },
+};
+
+// Checks of a scene's "state": name → (state) → problems (empty when it can render).
+function checkUniverse(s) {
+  const errors = [];
+  try {
+    universe(s);
+  } catch (e) {
+    errors.push(`$: ${e.message}`);
+  }
+  for (const k of ["xMax", "trace", "time", "speed", "probe"]) {
+    if (s[k] != null && !Number.isFinite(s[k])) errors.push(`$.${k}: must be a number`);
+  }
+  if (s.view != null) {
+    const v = s.view;
+    if (!["x0", "x1", "y0", "y1"].every((k) => Number.isFinite(v[k]))) errors.push("$.view: must be { x0, x1, y0, y1 } numbers");
+    else if (!(v.x1 > v.x0 && v.y1 > v.y0)) errors.push("$.view: needs x0 < x1 and y0 < y1");
+  }
+  return errors;
+}
+
+// A coupling-map state is a catalog entry, checked as validate_catalog.js would.
+function checkCouplingMap(s) {
+  const { selected, nodeMetric, ...machine } = s;
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, "catalog/schema.json"), "utf8"));
+  const errors = Catalog.validateMachine(machine, schema);
+  if (selected != null && !(Number.isInteger(selected) && selected >= 0 && selected < machine.qubits)) errors.push("$.selected: must be a qubit index");
+  if (nodeMetric != null && !["single_qubit", "readout"].includes(nodeMetric)) errors.push('$.nodeMetric: must be "single_qubit" or "readout"');
+  return errors;
+}
+
+const STATE_CHECKS = {
+  "dual-universe": checkUniverse,
+  "dual-universe-divergence": checkUniverse,
+  "coupling-map": checkCouplingMap,
+};
+
+function usageError(lines) {
+  lines.forEach((l) => console.error(l));
+  console.error(USAGE);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const args = { out_dir: "renders", format: null, params: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out_dir") args.out_dir = argv[++i];
+    else if (a === "--format") args.format = argv[++i];
+    else if (a === "-h" || a === "--help") args.help = true;
+    else args.params = a;
+  }
+  return args;
+}
+
+function pngBackend() {
+  try {
+    return require("canvas");
+  } catch (e) {
+    throw new Error("PNG output needs the optional `canvas` package (npm i canvas); use --format svg");
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.params) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 2);
+  }
+  const p = JSON.parse(fs.readFileSync(args.params, "utf8"));
+  const scene = SCENES[p.scene];
+  if (!scene) throw new Error(`unknown scene "${p.scene}" (expected ${Object.keys(SCENES).join(", ")})`);
+  const w = p.width || 640;
+  const h = p.height || 360;
+  const frames = Math.max(1, p.frames || 1);
+  const fps = p.fps || 30;
+  const format = args.format || p.format || "svg";
+  if (!FORMATS.includes(format)) usageError([`render_frames: unknown format "${format}" (expected ${FORMATS.join(" or ")})`]);
+  const scale = p.scale || 1;
+  const state = p.state || {};
+  const problems = STATE_CHECKS[p.scene] ? STATE_CHECKS[p.scene](state) : [];
+  if (problems.length) usageError([`render_frames: bad "state" for "${p.scene}":`, ...problems.map((e) => `  ${e}`)]);
+
+  fs.mkdirSync(args.out_dir, { recursive: true });
+  const canvasLib = format === "png" ? pngBackend() : null;
+  for (let k = 0; k < frames; k++) {
+    const file = path.join(args.out_dir, `${p.scene}-${String(k).padStart(4, "0")}.${format}`);
+    if (canvasLib) {
+      const c = canvasLib.createCanvas(Math.round(w * scale), Math.round(h * scale));
+      const ctx = c.getContext("2d");
+      ctx.scale(scale, scale);
+      scene(ctx, w, h, state, k, fps);
+      fs.writeFileSync(file, c.toBuffer("image/png"));
+    } else {
+      const ctx = new SvgContext(w, h);
+      scene(ctx, w, h, state, k, fps);
+      fs.writeFileSync(file, ctx.toString());
+    }
+    console.log(file);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`render_frames: ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/*
+Validate the machine catalog under Node with the same rules as the index.html panel.
+
+- Reads catalog/index.json, catalog/schema.json and every listed catalog/machines/*.json
+- Checks each entry with catalog.js (schema, id vs file name, coupling graph vs
+  qubit count and topology kind) and the index for duplicate or mismatched ids
+- Checks that each linked "state" file exists and is a valid QVis state for the
+  same machine and qubit count (visualizer.js), and that each linked "circuit"
+  compiles (qsim.js) and only couples qubits the machine couples
+
+Usage: node scripts/validate_catalog.js [repo-root]
+Exit status 0 when the catalog is clean, 1 with one line per problem otherwise.
+*/
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const Catalog = require(path.join(ROOT, "catalog.js"));
+const QVis = require(path.join(ROOT, "visualizer.js"));
+const QSim = require(path.join(ROOT, "qsim.js"));
+
+function readJson(base, file, errors) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(base, file), "utf8"));
+  } catch (e) {
+    errors.push(`${file}: ${e.code === "ENOENT" ? "missing" : e.message}`);
+    return null;
+  }
+}
+
+// A linked state must load in the visualizer and describe the same machine.
+function checkState(base, m, errors) {
+  if (!m.state) return;
+  const s = readJson(base, m.state, errors);
+  if (!s) return;
+  try {
+    const st = QVis.normalize(s);
+    if (st.qubits !== m.qubits) errors.push(`${m.state}: ${st.qubits} qubit(s), but ${m.id} has ${m.qubits}`);
+    if (st.machine && st.machine !== m.id) errors.push(`${m.state}: machine "${st.machine}", linked from ${m.id}`);
+  } catch (e) {
+    errors.push(`${m.state}: ${e.message}`);
+  }
+}
+
+function checkCircuit(base, m, errors) {
+  if (!m.circuit) return;
+  const c = readJson(base, m.circuit, errors);
+  if (!c) return;
+  try {
+    errors.push(...Catalog.checkCircuit(m, QSim.compileCircuit(c)).map((msg) => `${m.circuit}: ${msg}`));
+    if (c.machine && c.machine !== m.id) errors.push(`${m.circuit}: machine "${c.machine}", linked from ${m.id}`);
+  } catch (e) {
+    errors.push(`${m.circuit}: ${e.message}`);
+  }
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes("-h") || argv.includes("--help")) {
+    console.log("Usage: node scripts/validate_catalog.js [repo-root]");
+    process.exit(0);
+  }
+  const base = argv[0] || ROOT;
+  const errors = [];
+  const schema = readJson(base, "catalog/schema.json", errors);
+  const index = readJson(base, "catalog/index.json", errors);
+  if (!schema || !index) return finish(errors, 0);
+
+  const machines = {};
+  for (const e of Array.isArray(index) ? index.filter(Catalog.isIndexEntry) : []) {
+    const m = readJson(base, e.file, errors);
+    if (m) machines[e.file] = m;
+  }
+  errors.push(...Catalog.validateCatalog(index, machines, schema).filter((msg) => !/was not loaded$/.test(msg)));
+  for (const m of Object.values(machines)) {
+    checkState(base, m, errors);
+    checkCircuit(base, m, errors);
+  }
+  finish(errors, Object.keys(machines).length);
+}
+
+function finish(errors, count) {
+  if (errors.length) {
+    errors.forEach((e) => console.error(e));
+    console.error(`validate_catalog: ${errors.length} problem(s)`);
+    process.exit(1);
+  }
+  console.log(`catalog ok: ${count} machine(s)`);
+}
+
+main();
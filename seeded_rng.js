@@ -0,0 +1,38 @@
+/* Infinity × Watson Demo — seeded randomness (CSP‑safe external JS) */
+// create(seed) returns a function yielding floats in [0, 1) from a mulberry32
+// stream keyed by an FNV‑1a hash of the seed string. fork(label) derives an
+// independent stream, so e.g. chat choices don't shift when the scope draws more.
+(function(root){
+  function hash(str){
+    let h = 0x811c9dc5;
+    for(let i=0; i<str.length; i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+    return h >>> 0;
+  }
+
+  function create(seed){
+    const s = String(seed);
+    let a = hash(s);
+    const next = () => {
+      a = (a + 0x6D2B79F5) | 0;
+      let r = Math.imul(a ^ a >>> 15, 1 | a);
+      r = r + Math.imul(r ^ r >>> 7, 61 | r) ^ r;
+      return ((r ^ r >>> 14) >>> 0) / 4294967296;
+    };
+    next.seed = s;
+    next.range = (lo=0, hi=1) => lo + next()*(hi - lo);
+    next.pick = (arr) => arr[Math.floor(next()*arr.length)];
+    next.fork = (label) => create(s + '/' + label);
+    return next;
+  }
+
+  // Short shareable seed, e.g. "k3x9q2".
+  function randomSeed(){
+    const c = typeof crypto !== 'undefined' && crypto.getRandomValues ? crypto : null;
+    const n = c ? c.getRandomValues(new Uint32Array(1))[0] : Math.floor(Math.random()*4294967296);
+    return n.toString(36);
+  }
+
+  const api = { create, randomSeed, hash };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.SeededRng = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,304 @@
+// SignalEngine — the framework-free Field Signal player. Owns the AudioContext,
+// the field_signal_graph.js graph, the scope and per-ear analysers, session
+// timers and the loudness meter, and reports through events, so FieldSignalApp
+// and plain pages share one audio core. The AudioContext comes from an
+// injectable factory, which is also how graph construction runs against a mock.
+// The graph is injectable too: anything with FieldSignalGraph's
+// buildSignalGraph(ac, params, dest) / setParams(g, params, t) shape whose graph
+// has fade, start, stop and disconnect (app.js plays ScopeAudio this way).
+//
+//   const engine = new SignalEngine({ params: { baseHz: 174, beatHz: 4 } });
+//   engine.on("meter", (m) => console.log(m.left, m.right, m.rms));
+//   engine.schedule(session); // optional timeline for the next start()
+//   engine.start();
+//   engine.setParams({ gain: 0.3 });
+//   engine.stop(); // fades out over fadeOut, then tears down
+//
+// Events (listener gets one argument):
+//   "state"    "running" | "stopping" | "stopped"
+//   "progress" { stage, elapsed, total } while a session runs, 4×/s
+//   "meter"    { left, right, rms, peak, exposure } 4×/s: measured per-ear
+//              peaks in Hz (null when silent), louder-ear RMS/peak in dBFS and
+//              seconds above SAFETY.highDbfs this run
+(function (root) {
+  const FieldSignalGraph = typeof module === "object" && module.exports ? require("./field_signal_graph.js") : root.FieldSignalGraph;
+  const { SAFETY } = FieldSignalGraph;
+
+  /**
+   * @typedef {"sine" | "triangle" | "square" | "sawtooth"} Wave
+   * @typedef {{ binaural: number, monaural: number, isochronic: number, noise: number }} Mix
+   * @typedef {{ baseHz: number, beatHz: number, gain: number, wave: Wave, pan: number,
+   *   mix: Mix, noiseColor: "white" | "pink" | "brown", maxDb: number,
+   *   duration: number, fadeIn: number, fadeOut: number }} SignalParams
+   *   duration 0 plays until stop(); fades and duration are in seconds.
+   * @typedef {{ baseHz: number, beatHz: number, gain: number, wave: Wave, pan: number,
+   *   ramp: number, hold: number, curve: "linear" | "exponential" }} Stage
+   * @typedef {{ fadeIn: number, fadeOut: number, stages: Stage[] }} Session
+   * @typedef {{ analyser: AnalyserNode, freq: Float32Array, time: Float32Array }} ChannelProbe
+   * @typedef {{ buildSignalGraph: (ac: BaseAudioContext, params: object, dest: AudioNode) => any,
+   *   setParams: (g: any, params: object, t: number) => void }} GraphModule
+   * @typedef {{ createContext?: () => AudioContext, graph?: GraphModule, params?: Partial<SignalParams> }} EngineOptions
+   */
+
+  /** @type {SignalParams} */
+  const DEFAULTS = {
+    baseHz: 174,
+    beatHz: 4,
+    gain: 0.35,
+    wave: "sine",
+    pan: 0,
+    mix: FieldSignalGraph.DEFAULT_MIX,
+    noiseColor: "pink",
+    maxDb: SAFETY.maxDb,
+    duration: 0,
+    fadeIn: 3,
+    fadeOut: 3,
+  };
+
+  // Knobs a running session owns; setParams() holds them until the session ends.
+  const TONE_KEYS = ["baseHz", "beatHz", "gain", "wave", "pan"];
+  const TICK_MS = 250;
+
+  function defaultContext() {
+    const Ctx = root.AudioContext || root.webkitAudioContext;
+    if (!Ctx) throw new Error("Web Audio is not available here");
+    return new Ctx();
+  }
+
+  class SignalEngine {
+    /** @param {EngineOptions} [opts] */
+    constructor(opts = {}) {
+      this.createContext = opts.createContext || defaultContext;
+      /** @type {GraphModule} */
+      this.graphModule = opts.graph || FieldSignalGraph;
+      /** @type {SignalParams} */
+      this.params = { ...DEFAULTS, ...opts.params };
+      /** @type {Session | null} */
+      this.session = null;
+      /** @type {"running" | "stopping" | "stopped"} */
+      this.state = "stopped";
+      this.ac = null;
+      this.graph = null;
+      /** Scope tap (mono downmix of the output); null while stopped. @type {AnalyserNode | null} */
+      this.analyser = null;
+      /** Per-ear analysers behind a ChannelSplitter. @type {ChannelProbe[]} */
+      this.channels = [];
+      this.splitter = null;
+      this.run = null; // { t0, starts, total, fadeOut } while a session plays
+      this.exposure = 0;
+      this._listeners = {};
+      this._timers = [];
+      this._tickId = null;
+      this._lastTick = null;
+    }
+
+    /**
+     * Subscribes to an event; returns the unsubscribe function.
+     * @param {"state" | "progress" | "meter"} type
+     * @param {(arg: any) => void} fn
+     * @returns {() => void}
+     */
+    on(type, fn) {
+      (this._listeners[type] = this._listeners[type] || []).push(fn);
+      return () => {
+        this._listeners[type] = (this._listeners[type] || []).filter((f) => f !== fn);
+      };
+    }
+
+    emit(type, arg) {
+      (this._listeners[type] || []).slice().forEach((fn) => fn(arg));
+    }
+
+    get running() {
+      return this.state !== "stopped";
+    }
+
+    /**
+     * Sets (or clears with null) the timeline the next start() plays instead of
+     * the steady params (FieldSignalGraph graphs only). Returns its length in seconds.
+     * @param {Session | null} session
+     * @returns {number}
+     */
+    schedule(session) {
+      this.session = session && session.stages && session.stages.length ? session : null;
+      return this.session ? FieldSignalGraph.sessionLength(this.session) : 0;
+    }
+
+    /**
+     * Merges params and applies them live. While a session runs, the tone keys
+     * are stored but left to the timeline; mix, noise and the ceiling always apply.
+     * @param {Partial<SignalParams>} patch
+     */
+    setParams(patch) {
+      Object.assign(this.params, patch);
+      if (!this.graph) return;
+      const live = {};
+      for (const k of Object.keys(patch)) if (!(this.run && TONE_KEYS.includes(k))) live[k] = patch[k];
+      if ("baseHz" in live || "beatHz" in live) {
+        live.baseHz = this.params.baseHz;
+        live.beatHz = this.params.beatHz;
+      }
+      this.graphModule.setParams(this.graph, live, this.ac.currentTime);
+    }
+
+    // Builds the graph and fades in (at least SAFETY.minFadeIn). A scheduled
+    // session runs its whole timeline as AudioParam automation; otherwise
+    // params.duration (0 = unlimited) ends it. Either way the end is a fade.
+    start() {
+      if (this.running) return;
+      const ac = this.createContext();
+      this.ac = ac;
+
+      const analyser = ac.createAnalyser();
+      analyser.fftSize = 2048;
+      analyser.connect(ac.destination);
+      this.analyser = analyser;
+
+      // 16k-point FFTs per ear: ~2.7 Hz bins, refined to well under 0.1 Hz on the peak
+      const splitter = ac.createChannelSplitter(2);
+      analyser.connect(splitter);
+      this.splitter = splitter;
+      this.channels = [0, 1].map((c) => {
+        const a = ac.createAnalyser();
+        a.fftSize = 16384;
+        a.smoothingTimeConstant = 0.6;
+        splitter.connect(a, c);
+        return { analyser: a, freq: new Float32Array(a.frequencyBinCount), time: new Float32Array(a.fftSize) };
+      });
+
+      const p = this.params;
+      const g = this.graphModule.buildSignalGraph(ac, p, analyser);
+      this.graph = g;
+      const t0 = ac.currentTime + 0.05;
+      g.start(t0);
+
+      const plan = this.session;
+      const total = plan ? FieldSignalGraph.scheduleSession(plan, g, t0, (t, fn) => this._at(t, fn)) : p.duration;
+      FieldSignalGraph.applyFades(g.fade.gain, t0, total, plan ? plan.fadeIn : p.fadeIn, plan ? plan.fadeOut : p.fadeOut);
+      this.run = plan ? { t0, starts: FieldSignalGraph.stageStarts(plan), total, fadeOut: plan.fadeOut } : null;
+      if (total > 0) this._at(t0 + total + 0.05, () => this.teardown());
+
+      this.exposure = 0;
+      this._lastTick = null;
+      this._tickId = setInterval(() => this._tick(), TICK_MS);
+      this._setState("running");
+      if (this.run) this.emit("progress", { stage: 0, elapsed: 0, total });
+    }
+
+    /**
+     * Fades out over the current fadeOut, then tears down. A second stop()
+     * while fading (or { fade: false }) cuts immediately.
+     * @param {{ fade?: boolean }} [opts]
+     */
+    stop(opts = {}) {
+      if (!this.running) return;
+      if (this.state === "stopping" || opts.fade === false) return this.teardown();
+      const fadeOut = Math.max(0.01, this.run ? this.run.fadeOut : this.params.fadeOut);
+      const fade = this.graph.fade.gain;
+      const now = this.ac.currentTime;
+      const level = fade.value; // read before cancelling: the automation is what sets it
+      fade.cancelScheduledValues(now);
+      fade.setValueAtTime(level, now);
+      fade.linearRampToValueAtTime(0, now + fadeOut);
+      this._timers.push(setTimeout(() => this.teardown(), fadeOut * 1000 + 50));
+      this._setState("stopping");
+    }
+
+    // Stops every source, drops timers and nodes and closes the context.
+    teardown() {
+      this._timers.forEach((id) => clearTimeout(id));
+      this._timers = [];
+      if (this._tickId != null) clearInterval(this._tickId);
+      this._tickId = null;
+      if (this.graph) {
+        this.graph.stop();
+        this.graph.disconnect();
+      }
+      if (this.analyser) this.analyser.disconnect();
+      if (this.splitter) this.splitter.disconnect();
+      this.channels.forEach((c) => c.analyser.disconnect());
+      if (this.ac && this.ac.close) this.ac.close();
+      this.ac = this.graph = this.analyser = this.splitter = this.run = null;
+      this.channels = [];
+      if (this.state !== "stopped") this._setState("stopped");
+    }
+
+    // Tears down and forgets every listener (component unmount).
+    destroy() {
+      this.teardown();
+      this._listeners = {};
+    }
+
+    /**
+     * Where the tones are right now: the session automation's current values, or
+     * base ∓ beat/2 from the params.
+     * @returns {{ left: number, right: number }}
+     */
+    tones() {
+      if (this.run && this.graph) return { left: this.graph.l.frequency.value, right: this.graph.r.frequency.value };
+      return FieldSignalGraph.binaural(this.params.baseHz, this.params.beatHz);
+    }
+
+    /**
+     * The renderOffline() spec for the current params, or for `session` when
+     * given: what an export of "this" should sound like.
+     * @param {Session | null} [session]
+     */
+    settings(session) {
+      const { baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb, duration, fadeIn, fadeOut } = this.params;
+      if (session && session.stages && session.stages.length) return { session, mix, noiseColor, maxDb };
+      return { params: { baseHz, beatHz, gain, wave, pan, mix, noiseColor, maxDb }, seconds: duration, fadeIn, fadeOut };
+    }
+
+    /**
+     * Renders settings(session) offline to an AudioBuffer.
+     * @param {Session | null} [session]
+     * @param {{ sampleRate?: number, OfflineAudioContext?: any }} [opts]
+     * @returns {Promise<AudioBuffer>}
+     */
+    render(session, opts = {}) {
+      return FieldSignalGraph.renderOffline(this.settings(session), { sampleRate: 44100, ...opts });
+    }
+
+    _at(t, fn) {
+      this._timers.push(setTimeout(fn, Math.max(0, t - this.ac.currentTime) * 1000));
+    }
+
+    _setState(state) {
+      this.state = state;
+      this.emit("state", state);
+    }
+
+    // Measured per-ear peaks (tones top out near 1.2 kHz), loudness and session progress.
+    _tick() {
+      const ac = this.ac;
+      if (!ac) return;
+      const now = ac.currentTime;
+      const dt = this._lastTick == null ? 0 : now - this._lastTick;
+      this._lastTick = now;
+      const ears = this.channels.map((c) => {
+        c.analyser.getFloatFrequencyData(c.freq);
+        c.analyser.getFloatTimeDomainData(c.time);
+        const hz = FieldSignalGraph.peakFromDb(c.freq, ac.sampleRate, { minHz: 10, maxHz: 2000 });
+        const audible = hz != null && c.freq[Math.round((hz * 2 * c.freq.length) / ac.sampleRate)] > c.analyser.minDecibels + 10;
+        return { hz: audible ? hz : null, ...FieldSignalGraph.loudness(c.time) };
+      });
+      const rms = Math.max(...ears.map((e) => e.rms));
+      const peak = Math.max(...ears.map((e) => e.peak));
+      if (rms > SAFETY.highDbfs) this.exposure += dt;
+      this.emit("meter", { left: ears[0].hz, right: ears[1].hz, rms, peak, exposure: this.exposure });
+
+      if (this.run) {
+        const elapsed = Math.max(0, now - this.run.t0);
+        let stage = 0;
+        while (stage + 1 < this.run.starts.length && this.run.starts[stage + 1] <= elapsed) stage++;
+        this.emit("progress", { stage, elapsed, total: this.run.total });
+      }
+    }
+  }
+
+  SignalEngine.DEFAULTS = DEFAULTS;
+
+  if (typeof module === "object" && module.exports) module.exports = SignalEngine;
+  else root.SignalEngine = SignalEngine;
+})(typeof self !== "undefined" ? self : this);
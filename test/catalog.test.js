@@ -0,0 +1,121 @@
+// catalog.js validators on the shipped catalog and on entries broken one way at a
+// time: the schema, the coupling graph against its kind, calibration lengths and
+// catalog/index.json itself.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const Catalog = require("../catalog.js");
+
+const ROOT = path.join(__dirname, "..");
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+const schema = readJson("catalog/schema.json");
+const index = readJson("catalog/index.json");
+const machines = Object.fromEntries(index.map((e) => [e.file, readJson(e.file)]));
+const machine = (id) => structuredClone(machines[`catalog/machines/${id}.json`]);
+
+// `id` with `edit` applied, checked as if loaded from its own file.
+function problems(id, edit) {
+  const m = machine(id);
+  edit(m);
+  return Catalog.validateMachine(m, schema, `catalog/machines/${id}.json`);
+}
+
+test("the shipped catalog is clean", () => {
+  assert.deepEqual(Catalog.validateCatalog(index, machines, schema), []);
+  for (const m of Object.values(machines)) assert.deepEqual(Catalog.checkTopology(m), [], m.id);
+});
+
+test("validateSchema names the path and the rule", () => {
+  assert.deepEqual(problems("ring-8", (m) => (m.colour = "blue")), ['$: unknown field "colour"']);
+  assert.deepEqual(problems("ring-8", (m) => delete m.gates), ['$: missing "gates"']);
+  assert.deepEqual(problems("ring-8", (m) => (m.qubits = "8")), ["$.qubits: must be integer"]);
+  assert.deepEqual(Catalog.validateSchema([1, 1], { type: "array", uniqueItems: true, maxItems: 1 }), ["$: must have at most 1 item(s)", "$: must not repeat items"]);
+  assert.deepEqual(Catalog.validateSchema({ a: -1 }, { type: "object", additionalProperties: { type: "number", minimum: 0 } }), ["$.a: must be ≥ 0"]);
+  assert.deepEqual(Catalog.validateSchema("x", { enum: ["a", "b"] }), ['$: must be one of "a", "b"']);
+});
+
+test("bad couplings are reported edge by edge", () => {
+  assert.deepEqual(problems("ring-8", (m) => (m.topology.edges[2] = [2, 8])), ["$.topology.edges[2]: qubit out of range 0–7"]);
+  assert.deepEqual(problems("ring-8", (m) => (m.topology.edges[3] = [3, 3])), ["$.topology.edges[3]: self-coupling on qubit 3"]);
+  assert.deepEqual(problems("ring-8", (m) => (m.topology.edges[7] = [1, 0])), ["$.topology.edges[7]: duplicate coupling 1–0"]);
+});
+
+test("the edges must be the graph the kind names", () => {
+  // a ring missing its closing edge, with calibration to match
+  assert.deepEqual(
+    problems("ring-8", (m) => {
+      m.topology.edges.pop();
+      m.calibration.two_qubit.pop();
+    }),
+    ["$.topology.edges: not a ring on 8 qubits (1 missing, 0 extra)"]
+  );
+  // a grid with a diagonal added
+  assert.deepEqual(
+    problems("grid-3x3", (m) => {
+      m.topology.edges.push([0, 4]);
+      m.calibration.two_qubit.push(0.01);
+    }),
+    ["$.topology.edges: not a grid on 9 qubits (0 missing, 1 extra)"]
+  );
+  assert.deepEqual(problems("grid-3x3", (m) => (m.topology.cols = 4)), ["$.topology: rows × cols must equal qubits (9)"]);
+  assert.deepEqual(problems("ring-8", (m) => (m.topology.rows = 2)), ['$.topology: rows/cols only apply to "grid"']);
+});
+
+test("a coupling graph in two pieces is refused", () => {
+  // heavy-hex off 27 qubits has no fixed edge list, so only structure is checked:
+  // here two chains, 0–3 and 4–7
+  const cut = problems("ring-8", (m) => {
+    m.topology.kind = "heavy-hex";
+    m.topology.edges = m.topology.edges.filter(([a, b]) => !(a === 3 && b === 4) && !(a === 7 && b === 0));
+    m.calibration.two_qubit.length = 6;
+  });
+  assert.deepEqual(cut, ["$.topology.edges: coupling graph is not connected"]);
+  assert.deepEqual(
+    problems("ring-8", (m) => {
+      m.topology.kind = "heavy-hex";
+      m.topology.edges.push([0, 2], [0, 4]);
+      m.calibration.two_qubit.push(0.01, 0.01);
+    }),
+    ["$.topology.edges: heavy-hex qubits couple to at most 3 neighbours"]
+  );
+});
+
+test("the id must match the file and calibration lists the qubits", () => {
+  assert.deepEqual(problems("ring-8", (m) => (m.id = "ring-9")), ['$.id: "ring-9" does not match the file name catalog/machines/ring-8.json']);
+  assert.deepEqual(problems("ring-8", (m) => m.calibration.readout.pop()), ["$.calibration.readout: need 8 value(s), one per qubit"]);
+  assert.deepEqual(problems("ring-8", (m) => m.calibration.two_qubit.push(0.01)), ["$.calibration.two_qubit: need 8 value(s), one per coupling"]);
+});
+
+test("validateCatalog checks index.json and prefixes each file's problems", () => {
+  const ring = "catalog/machines/ring-8.json";
+  const broken = { ...machines, [ring]: machine("ring-8") };
+  broken[ring].topology.edges[0] = [0, 0];
+  assert.deepEqual(Catalog.validateCatalog(index, broken, schema), [`${ring} $.topology.edges[0]: self-coupling on qubit 0`]);
+
+  assert.deepEqual(Catalog.validateCatalog({}, machines, schema), ["index.json: must be a list of { id, file }"]);
+  const messy = [index[0], null, "ring-8", { id: "ring-8" }, { id: "ring", file: ring }, { id: "ring-8", file: ring }, { id: "x", file: "catalog/machines/x.json" }];
+  assert.deepEqual(Catalog.validateCatalog(messy, machines, schema), [
+    "index.json[1]: must be { id, file }",
+    "index.json[2]: must be { id, file }",
+    "index.json[3]: must be { id, file }",
+    `index.json: ${ring} is indexed as "ring" but has id "ring-8"`,
+    'index.json: duplicate id "ring-8"',
+    "index.json: catalog/machines/x.json is listed but was not loaded",
+  ]);
+});
+
+test("validate_catalog.js reports a malformed index entry instead of crashing", () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+  try {
+    for (const dir of ["catalog", "circuits", "states"]) fs.cpSync(path.join(ROOT, dir), path.join(base, dir), { recursive: true });
+    fs.writeFileSync(path.join(base, "catalog/index.json"), JSON.stringify([...index, null]));
+    const r = spawnSync(process.execPath, [path.join(ROOT, "scripts/validate_catalog.js"), base], { encoding: "utf8", timeout: 30000 });
+    assert.equal(r.status, 1);
+    assert.equal(r.stderr, `index.json[${index.length}]: must be { id, file }\nvalidate_catalog: 1 problem(s)\n`);
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+// CatalogCompare: its own SHA-256 against known values, which cells a row marks
+// best, the ledger section it writes, and compare_machines.js rerun on one day.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const CatalogCompare = require("../catalog_compare.js");
+
+const ROOT = path.join(__dirname, "..");
+const machine = (id) => JSON.parse(fs.readFileSync(path.join(ROOT, "catalog", "machines", `${id}.json`), "utf8"));
+const row = (result, key) => result.rows.find((r) => r.key === key);
+// ring-8 under another id, with `edit` applied
+const variant = (id, edit) => {
+  const m = machine("ring-8");
+  m.id = id;
+  edit(m);
+  return m;
+};
+
+test("stateHash is the SHA-256 of the entries' JSON", () => {
+  // JSON.stringify(123) is "123"
+  assert.equal(CatalogCompare.stateHash(123), "a665a45920422f9d417e4867efdc4fb8a04a1f3fff1fa07e998e86f7f7a27ae3");
+  // lengths either side of the 55/56-byte padding edge and across whole blocks
+  for (const n of [0, 53, 54, 55, 62, 63, 64, 126, 1000]) {
+    const json = JSON.stringify("x".repeat(n));
+    assert.equal(CatalogCompare.stateHash("x".repeat(n)), crypto.createHash("sha256").update(json).digest("hex"), `${json.length} bytes`);
+  }
+  const pair = [machine("ring-8"), machine("grid-3x3")];
+  assert.equal(CatalogCompare.stateHash(pair), crypto.createHash("sha256").update(JSON.stringify(pair)).digest("hex"));
+});
+
+test("ties share the mark and a row of equal values marks none", () => {
+  const same = variant("ring-8-same", () => {});
+  const worse = variant("ring-8-worse", (m) => (m.errors.readout = 0.03));
+  const r = CatalogCompare.compare([machine("ring-8"), worse, same]);
+  assert.deepEqual(row(r, "readout").best, [true, false, true]);
+  for (const key of ["qubits", "couplings", "diameter", "single_qubit", "t1_us", "technology"]) assert.deepEqual(row(r, key).best, [false, false, false], key);
+  // an unknown value never wins, nor counts against the rest being equal
+  const r2 = CatalogCompare.compare([machine("ring-8"), variant("ring-8-untimed", (m) => delete m.coherence)]);
+  assert.deepEqual(row(r2, "t1_us").values, ["90 µs", null]);
+  assert.deepEqual(row(r2, "t1_us").best, [false, false]);
+});
+
+test("diameter is only ranked between machines of one size", () => {
+  const chords = variant("ring-8-chords", (m) => m.topology.edges.push([0, 4], [2, 6]));
+  assert.deepEqual(row(CatalogCompare.compare([machine("ring-8"), chords]), "diameter").best, [false, true]);
+  const mixed = CatalogCompare.compare([machine("ring-8"), machine("all-to-all-11"), machine("single-qubit")]);
+  assert.deepEqual(row(mixed, "diameter").values, ["4", "1", "0"]);
+  assert.deepEqual(row(mixed, "diameter").best, [false, false, false]);
+  assert.deepEqual(row(CatalogCompare.compare([machine("ring-8"), machine("all-to-all-11")]), "diameter").best, [false, false]);
+  // the other rows still rank a lone qubit
+  assert.deepEqual(row(mixed, "single_qubit").best, [false, false, true]);
+});
+
+test("toMarkdown writes one ledger section with the best cells in bold", () => {
+  const machines = [machine("ring-8"), machine("grid-3x3")];
+  const date = new Date("2025-12-20T14:00:45.678Z");
+  const md = CatalogCompare.toMarkdown(CatalogCompare.compare(machines), { date, hash: "abc123" });
+  const lines = md.split("\n");
+  assert.deepEqual(lines.slice(0, 6), ["## Sweep 2025-12-20T14:00:45Z", "", "State hash: abc123", "", "- Repo: quantum-machine-catalog", "- Comparison: ring-8 vs grid-3x3"]);
+  assert.ok(lines.includes("- Qubits: ring-8 8 • **grid-3x3 9**"));
+  assert.ok(lines.includes("- 1q error: **ring-8 0.040%** • grid-3x3 0.050%"));
+  assert.ok(lines.includes("- Diameter (hops): ring-8 4 • grid-3x3 4"));
+  assert.equal(lines.length, 6 + CatalogCompare.ROWS.length + 1);
+  assert.ok(md.endsWith("- Source: ring-8 illustrative • grid-3x3 illustrative\n"));
+  assert.equal(CatalogCompare.ledgerFile(date), "ledger/20251220.md");
+});
+
+test("compare_machines.js replaces its own section on a same-day rerun", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+  const run = (ids, date) =>
+    spawnSync(process.execPath, [path.join(ROOT, "scripts/compare_machines.js"), ...ids, "--ledger", dir, "--date", date], { encoding: "utf8", timeout: 30000 });
+  try {
+    const index = JSON.stringify([{ date: "20251220", file: `${path.basename(dir)}/20251220.md` }]);
+    fs.writeFileSync(path.join(dir, "index.json"), index);
+    fs.writeFileSync(path.join(dir, "20251220.md"), "## Sweep 2025-12-20T09:00:00Z\n\nState hash: 0000\n\n- Repo: quantum-machine-catalog\n");
+
+    const first = run(["ring-8", "grid-3x3"], "2025-12-20T10:00:00Z");
+    assert.equal(first.status, 0, first.stderr);
+    const other = run(["ring-8", "all-to-all-11"], "2025-12-20T11:00:00Z");
+    assert.equal(other.status, 0, other.stderr);
+    const again = run(["ring-8", "grid-3x3"], "2025-12-20T12:00:00Z");
+    assert.equal(again.status, 0, again.stderr);
+    assert.match(again.stderr, /^replaced the earlier section in /);
+
+    const ledger = fs.readFileSync(path.join(dir, "20251220.md"), "utf8");
+    const sweeps = ledger.match(/^## Sweep .*$/gm);
+    assert.deepEqual(sweeps, ["## Sweep 2025-12-20T09:00:00Z", "## Sweep 2025-12-20T12:00:00Z", "## Sweep 2025-12-20T11:00:00Z"]);
+    assert.ok(ledger.includes(again.stdout));
+    assert.equal(fs.readFileSync(path.join(dir, "index.json"), "utf8"), index);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+// CouplingMap on catalog entries: grid and circle layouts, hit-testing the painted
+// nodes, a heavy-hex qubit's couplings, and error shading that includes a zero.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { SvgContext } = require("../canvas_export.js");
+const CouplingMap = require("../coupling_map.js");
+
+const machine = (id) => JSON.parse(fs.readFileSync(path.join(__dirname, "..", "catalog", "machines", `${id}.json`), "utf8"));
+const near = (actual, expected, what) => assert.ok(Math.abs(actual - expected) < 1e-9, `${what}: ${actual} ≉ ${expected}`);
+const nearPoint = (p, q, what) => {
+  near(p[0], q[0], `${what} x`);
+  near(p[1], q[1], `${what} y`);
+};
+
+test("grids lay out by row and column, centred in [−1, 1]", () => {
+  const pts = CouplingMap.layout(machine("grid-3x3"));
+  assert.equal(pts.length, 9);
+  nearPoint(pts[0], [-1, -1], "q0");
+  nearPoint(pts[2], [1, -1], "q2");
+  nearPoint(pts[4], [0, 0], "q4");
+  nearPoint(pts[7], [0, 1], "q7");
+});
+
+test("rings go round a circle from qubit 0 at the top, clockwise on screen", () => {
+  const pts = CouplingMap.layout(machine("ring-8"));
+  nearPoint(pts[0], [0, -1], "q0");
+  nearPoint(pts[2], [1, 0], "q2");
+  nearPoint(pts[4], [0, 1], "q4");
+  nearPoint(pts[6], [-1, 0], "q6");
+  for (const [x, y] of pts) near(Math.hypot(x, y), 1, "radius");
+  nearPoint(CouplingMap.layout(machine("single-qubit"))[0], [0, 0], "single");
+});
+
+test("hitTest finds the painted node under the pointer, and nothing between nodes", () => {
+  const m = machine("grid-3x3");
+  const placed = CouplingMap.paint(new SvgContext(300, 300), 300, 300, m);
+  const [x4, y4] = placed.points[4];
+  assert.equal(CouplingMap.hitTest(placed, x4, y4), 4);
+  assert.equal(CouplingMap.hitTest(placed, x4 + placed.radius, y4), 4);
+  assert.equal(CouplingMap.hitTest(placed, x4 + placed.radius + 5, y4), null);
+  // halfway along the 4–5 coupling
+  const [x5, y5] = placed.points[5];
+  assert.equal(CouplingMap.hitTest(placed, (x4 + x5) / 2, (y4 + y5) / 2), null);
+  assert.equal(CouplingMap.hitTest(placed, -50, -50), null);
+});
+
+test("nodeInfo lists a heavy-hex qubit's couplings with their calibrated errors", () => {
+  const m = machine("heavy-hex-27");
+  const edge = (a, b) => m.topology.edges.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+  const info = CouplingMap.nodeInfo(m, 1);
+  assert.deepEqual(info.couplings, [0, 2, 4].map((q) => ({ qubit: q, two_qubit: m.calibration.two_qubit[edge(1, q)] })));
+  assert.equal(info.single_qubit, m.calibration.single_qubit[1]);
+  assert.equal(info.calibrated, true);
+  // a degree-1 qubit on the edge of the lattice
+  assert.deepEqual(CouplingMap.nodeInfo(m, 0).couplings.map((c) => c.qubit), [1]);
+  const rows = Object.fromEntries(CouplingMap.describe(info));
+  assert.match(rows.couplings, /^0 \(\d+\.\d+%\), 2 \(\d+\.\d+%\), 4 \(\d+\.\d+%\)$/);
+});
+
+test("a zero error shades as the best, not as an invalid colour", () => {
+  const m = machine("ring-8");
+  m.calibration.single_qubit[3] = 0;
+  m.calibration.two_qubit.fill(0);
+  const { nodes, edges } = CouplingMap.colors(m);
+  const best = "hsl(130, 70%, 55%)";
+  assert.equal(nodes[3], best);
+  assert.equal(nodes[m.calibration.single_qubit.indexOf(Math.min(...m.calibration.single_qubit.filter((v) => v > 0)))], best);
+  assert.ok(nodes.every((c) => /^hsl\(\d+, 70%, 55%\)$/.test(c)), nodes.join(" "));
+  assert.deepEqual(edges, new Array(8).fill(best));
+  const ctx = new SvgContext(200, 200);
+  CouplingMap.paint(ctx, 200, 200, m);
+  assert.doesNotMatch(String(ctx), /Infinity|NaN/);
+});
@@ -0,0 +1,91 @@
+// dual_universe_analysis.js against curves with known answers: one-sided
+// derivatives at a kink, sin/cos crossings and gaps, and whole-model junctions.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const A = require("../dual_universe_analysis.js");
+const DualUniverseModel = require("../dual_universe_model.js");
+
+const near = (actual, expected, what, eps = 1e-6) => assert.ok(Math.abs(actual - expected) < eps, `${what}: ${actual} ≉ ${expected}`);
+const { PI, SQRT2 } = Math;
+
+test("derivative looks only to the side it is asked for", () => {
+  near(A.derivative(Math.abs, 0, -1), -1, "|x| from the left");
+  near(A.derivative(Math.abs, 0, 1), 1, "|x| from the right");
+  // a kink where x² meets 3x − 2 at x = 1
+  const f = (x) => (x < 1 ? x * x : 3 * x - 2);
+  near(A.derivative(f, 1, -1), 2, "left of the junction");
+  near(A.derivative(f, 1, 1), 3, "right of the junction");
+  near(A.derivative(Math.sin, 0.7, 1), Math.cos(0.7), "sin′");
+});
+
+test("crossings finds where sin and cos meet, skipping the start", () => {
+  const hits = A.crossings(Math.sin, Math.cos, 0, 10);
+  assert.equal(hits.length, 3);
+  [PI / 4, (5 * PI) / 4, (9 * PI) / 4].forEach((x, k) => near(hits[k], x, `crossing ${k}`, 1e-8));
+  // curves that share their start point only
+  assert.deepEqual(A.crossings((x) => x, (x) => -x, 0, 5), []);
+  assert.equal(A.crossings(Math.sin, Math.cos, PI / 4, 3).length, 0);
+});
+
+test("maxDivergence finds the analytic peak of the gap", () => {
+  const m = A.maxDivergence(Math.sin, Math.cos, 0, PI);
+  near(m.x, (3 * PI) / 4, "x", 1e-5);
+  near(m.d, SQRT2, "d", 1e-9);
+  // a monotone gap peaks at the end of the window
+  assert.deepEqual(A.maxDivergence((x) => 2 * x, (x) => x, 0, 3), { x: 3, d: 3 });
+  const samples = A.distance(Math.sin, Math.cos, 0, PI, 4);
+  assert.equal(samples.length, 5);
+  near(samples[1].d, 0, "d(π/4)");
+});
+
+test("analyze reports slopes, crossings and the gap at each junction", () => {
+  const split = PI / 4;
+  const tree = {
+    id: "base",
+    expr: "x",
+    amp: 1,
+    freq: 1,
+    phase: 0,
+    splitX: split,
+    children: [
+      { id: "u1", expr: "sin(x)", amp: 1, freq: 1, phase: 0 },
+      { id: "u2", expr: "cos(x)", amp: 1, freq: 1, phase: 0 },
+    ],
+  };
+  const model = DualUniverseModel.createModel({ xMax: 10, trace: 10, tree });
+  const [j] = A.analyze(model);
+  assert.equal(A.analyze(model).length, 1);
+  assert.equal(j.id, "base");
+  near(j.x, split, "x");
+  near(j.y, split, "y");
+  assert.equal(j.left.id, "base");
+  near(j.left.slope, 1, "base slope");
+  assert.deepEqual(j.right.map((r) => r.id), ["u1", "u2"]);
+  near(j.right[0].slope, Math.cos(split), "u1 slope");
+  near(j.right[1].slope, -Math.sin(split), "u2 slope");
+
+  // the children differ by sin x − cos x, which returns to zero every π
+  const [pair] = j.pairs;
+  assert.deepEqual([pair.a, pair.b, pair.to], ["u1", "u2", 10]);
+  assert.equal(pair.crossings.length, 2);
+  near(pair.crossings[0], (5 * PI) / 4, "first crossing", 1e-8);
+  near(pair.crossings[1], (9 * PI) / 4, "second crossing", 1e-8);
+  near(pair.max.d, SQRT2, "largest gap", 1e-9);
+  assert.equal(pair.samples.length, 201);
+});
+
+test("analyze follows the built-in shape's slope through time", () => {
+  const tree = DualUniverseModel.DEFAULT_TREE;
+  const model = DualUniverseModel.createModel({ tree });
+  const xMax = model.params.xMax;
+  for (const t of [0, 1.3]) {
+    const [j] = A.analyze(model, t);
+    // d/dx of slope·dx + amp·sin(2π·freq·dx/span + phase + rate·t)
+    const slope = (node, dx, span) => {
+      const w = (2 * PI * node.freq) / span;
+      return (node.slope || 0) + node.amp * w * Math.cos(w * dx + node.phase + (node.rate || 0) * t);
+    };
+    near(j.left.slope, slope(tree, j.x, xMax), `base at t=${t}`, 1e-4);
+    j.right.forEach((r, k) => near(r.slope, slope(tree.children[k], 0, xMax - j.x), `${r.id} at t=${t}`, 1e-4));
+  }
+});
@@ -0,0 +1,55 @@
+// dual_universe_render.js: the zoom/pan window stays within its span limits, and
+// the grid and curve loops end even for a window narrower than float precision.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SvgContext } = require("../canvas_export.js");
+const DualUniverseModel = require("../dual_universe_model.js");
+const R = require("../dual_universe_render.js");
+
+const span = (v) => [v.x1 - v.x0, v.y1 - v.y0];
+const near = (actual, expected, what) => assert.ok(Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)), `${what}: ${actual} ≉ ${expected}`);
+
+test("zoomView zooms about its centre point and stops at the span limits", () => {
+  const v = R.defaultView(10);
+  const z = R.zoomView(v, 5, 0, 0.5);
+  assert.deepEqual(z, { x0: 2.5, x1: 7.5, y0: -1.1, y1: 1.1 });
+
+  // a thousand wheel clicks in either direction
+  let tight = v;
+  let wide = v;
+  for (let i = 0; i < 1000; i++) {
+    tight = R.zoomView(tight, 4, 0.5, Math.exp(-100 * 0.0015));
+    wide = R.zoomView(wide, 4, 0.5, Math.exp(100 * 0.0015));
+  }
+  span(tight).forEach((s, k) => near(s, R.MIN_SPAN, `tight ${k}`));
+  span(wide).forEach((s, k) => near(s, R.MAX_SPAN, `wide ${k}`));
+  // the point under the cursor stays put
+  near((4 - tight.x0) / (tight.x1 - tight.x0), 0.4, "cursor x");
+  near((0.5 - wide.y0) / (wide.y1 - wide.y0), (0.5 + 2.2) / 4.4, "cursor y");
+});
+
+test("panView keeps the span and repairs a collapsed window", () => {
+  assert.deepEqual(R.panView({ x0: 0, x1: 10, y0: -2, y1: 2 }, 1, -1), { x0: 1, x1: 11, y0: -3, y1: 1 });
+  const fixed = R.panView({ x0: 4, x1: 4.0000000000001, y0: 1, y1: 1 }, 0, 0);
+  span(fixed).forEach((s, k) => near(s, R.MIN_SPAN, `span ${k}`));
+  // the collapsed x window had no room for precision; its centre stays close
+  assert.ok(Math.abs((fixed.x0 + fixed.x1) / 2 - 4) < R.MIN_SPAN / 100);
+  near((fixed.y0 + fixed.y1) / 2, 1, "y centre");
+  assert.deepEqual(R.clampView({ x0: 0, x1: 10, y0: -2, y1: 2 }), { x0: 0, x1: 10, y0: -2, y1: 2 });
+});
+
+test("the grid and curves finish on a window below float precision", () => {
+  const { junctions, branches } = DualUniverseModel.createModel({});
+  for (const view of [
+    { x0: 4, x1: 4.0000000000001, y0: -1, y1: 1 },
+    { x0: 4, x1: 4, y0: 0, y1: 0 },
+    { x0: 0, x1: 10, y0: 1e300, y1: Infinity },
+  ]) {
+    const ctx = new SvgContext(300, 200);
+    const map = R.mapFactory(10, 300, 200, 40, view);
+    R.drawGrid(ctx, map, 10, junctions);
+    for (const b of branches) R.drawCurve(ctx, map, (x) => b.y(x, 0), "#fff", b.start, b.end, 10);
+    // at most ~10 grid values per axis, plus the junction label
+    assert.ok(String(ctx).split("<text").length - 1 <= 22, JSON.stringify(view));
+  }
+});
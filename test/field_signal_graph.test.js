@@ -0,0 +1,294 @@
+// Offline renders of the Field Signal graph through test/web_audio_mock.js, the
+// WAV check scripts/render_audio.js runs on them, and live setParams() glides.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const FieldSignalGraph = require("../field_signal_graph.js");
+const { AudioContext, OfflineAudioContext } = require("./web_audio_mock.js");
+
+const RATE = 8000;
+const STEADY = { params: { baseHz: 174, beatHz: 4, gain: 0.35, wave: "sine", pan: 0 }, seconds: 4, fadeIn: 0, fadeOut: 0 };
+
+// A FLAC reader for what encodeFlac writes — STREAMINFO, VORBIS_COMMENT, and
+// frames of FIXED/VERBATIM subframes with Rice residuals — checking both CRCs.
+// → { sampleRate, channels: [Int16Array], comments: { KEY: value } }
+function decodeFlac(bytes) {
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), "fLaC");
+  let pos = 32; // bit position
+  const bits = (n) => {
+    let v = 0;
+    for (let k = 0; k < n; k++, pos++) v = v * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);
+    return v;
+  };
+  const signed = (n) => {
+    const v = bits(n);
+    return v >= 2 ** (n - 1) ? v - 2 ** n : v;
+  };
+  const crc = (from, to, width, poly) => {
+    let c = 0;
+    for (let i = from; i < to; i++) {
+      c ^= bytes[i] << (width - 8);
+      for (let k = 0; k < 8; k++) c = c & (1 << (width - 1)) ? ((c << 1) ^ poly) & (2 ** width - 1) : (c << 1) & (2 ** width - 1);
+    }
+    return c;
+  };
+
+  let info = null;
+  const comments = {};
+  for (let last = 0; !last; ) {
+    last = bits(1);
+    const type = bits(7);
+    const len = bits(24);
+    const start = pos / 8;
+    if (type === 0) {
+      info = { minBlock: bits(16), maxBlock: bits(16) };
+      bits(48);
+      Object.assign(info, { sampleRate: bits(20), channels: bits(3) + 1, bps: bits(5) + 1, samples: bits(36) });
+    } else if (type === 4) {
+      const u32 = (o) => bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+      let o = start + 4 + u32(start); // past the vendor string
+      for (let n = u32(o), k = 0, len; k < n; k++, o += len) {
+        len = 4 + u32(o + 4);
+        const entry = Buffer.from(bytes.subarray(o + 8, o + 4 + len)).toString("utf8");
+        comments[entry.slice(0, entry.indexOf("="))] = entry.slice(entry.indexOf("=") + 1);
+      }
+    }
+    pos = (start + len) * 8;
+  }
+  assert.ok(info, "STREAMINFO");
+  assert.equal(info.bps, 16);
+
+  const channels = Array.from({ length: info.channels }, () => new Int16Array(info.samples));
+  for (let done = 0, frame = 0; done < info.samples; frame++) {
+    const head = pos / 8;
+    assert.equal(bits(16), 0xfff8, `frame ${frame} sync`);
+    assert.equal(bits(4), 0b0111, "16-bit block size");
+    assert.equal(bits(4), 0, "rate from STREAMINFO");
+    const assignment = bits(4);
+    assert.equal(assignment, info.channels - 1, "independent channels");
+    assert.equal(bits(3), 0b100, "16 bits per sample");
+    bits(1);
+    // UTF-8 coded frame number
+    let number = bits(8);
+    const extra = number < 0x80 ? 0 : Math.clz32(~(number << 24)) - 1; // continuation bytes
+    number &= 0xff >> (extra ? extra + 2 : 1);
+    for (let k = 0; k < extra; k++) number = number * 64 + (bits(8) & 0x3f);
+    assert.equal(number, frame, "frame number");
+    const size = bits(16) + 1;
+    const crc8 = crc(head, pos / 8, 8, 0x07);
+    assert.equal(bits(8), crc8, `frame ${frame} CRC-8`);
+
+    for (const out of channels) {
+      assert.equal(bits(1), 0);
+      const type = bits(6);
+      assert.equal(bits(1), 0, "no wasted bits");
+      const x = out.subarray(done, done + size);
+      if (type === 1) {
+        for (let i = 0; i < size; i++) x[i] = signed(16);
+        continue;
+      }
+      assert.equal(type & 0b111000, 0b001000, "FIXED subframe");
+      const order = type & 7;
+      for (let i = 0; i < order; i++) x[i] = signed(16);
+      assert.equal(bits(2), 0, "4-bit Rice parameters");
+      const partitions = 2 ** bits(4);
+      const residual = [];
+      for (let p = 0; p < partitions; p++) {
+        const k = bits(4);
+        const count = size / partitions - (p ? 0 : order);
+        for (let i = 0; i < count; i++) {
+          let q = 0;
+          while (!bits(1)) q++;
+          const u = q * 2 ** k + bits(k);
+          residual.push(u % 2 ? -(u + 1) / 2 : u / 2);
+        }
+      }
+      const c = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]][order];
+      for (let i = order; i < size; i++) {
+        let v = residual[i - order];
+        for (let j = 0; j < order; j++) v += c[j] * x[i - 1 - j];
+        x[i] = v;
+      }
+    }
+    pos = Math.ceil(pos / 8) * 8;
+    const crc16 = crc(head, pos / 8, 16, 0x8005);
+    assert.equal(bits(16), crc16, `frame ${frame} CRC-16`);
+    done += size;
+  }
+  assert.equal(pos / 8, bytes.length, "no trailing bytes");
+  return { sampleRate: info.sampleRate, channels, comments };
+}
+
+const render = (spec) => FieldSignalGraph.renderOffline(spec, { sampleRate: RATE, OfflineAudioContext });
+const peak = (samples, hz) => FieldSignalGraph.peakFrequency(samples, RATE, { minHz: hz - 50, maxHz: hz + 50 });
+
+test("a steady binaural render puts base ∓ beat/2 in each ear", async () => {
+  const buffer = await render(STEADY);
+  assert.equal(buffer.numberOfChannels, 2);
+  assert.equal(buffer.length, 4 * RATE);
+  assert.ok(Math.abs(peak(buffer.getChannelData(0), 172) - 172) < 0.25);
+  assert.ok(Math.abs(peak(buffer.getChannelData(1), 176) - 176) < 0.25);
+});
+
+test("the render fades in from silence", async () => {
+  const buffer = await render(STEADY);
+  const left = buffer.getChannelData(0);
+  assert.equal(left[0], 0);
+  const start = FieldSignalGraph.loudness(left.subarray(0, RATE / 4));
+  const middle = FieldSignalGraph.loudness(left.subarray(2 * RATE, 3 * RATE));
+  assert.ok(start.rms < middle.rms - 12);
+  // at gain 0.35 the limiter is idle and the trim cancels its makeup gain
+  assert.ok(Math.abs(middle.peak - FieldSignalGraph.gainToDb(0.35)) < 0.1);
+});
+
+test("a full-gain render is held near the maxDb ceiling", async () => {
+  const loud = { ...STEADY, params: { ...STEADY.params, gain: 1 } };
+  const peakDb = async (maxDb) => {
+    const buffer = await render({ ...loud, params: { ...loud.params, maxDb } });
+    return FieldSignalGraph.loudness(buffer.getChannelData(0).subarray(2 * RATE, 3 * RATE)).peak;
+  };
+  // without a ceiling the tone reaches full scale
+  assert.ok((await peakDb(0)) > -0.5);
+  // a 20:1 limiter lets through 1/20 of the overshoot: ~0.3 dB above -6 dBFS
+  const limited = await peakDb(FieldSignalGraph.SAFETY.maxDb);
+  assert.ok(limited > FieldSignalGraph.SAFETY.maxDb - 0.5 && limited <= FieldSignalGraph.SAFETY.maxDb + 0.35, `${limited} dBFS`);
+  assert.ok((await peakDb(-20)) <= -20 + 1.05);
+});
+
+test("sessions render their whole timeline and switch waves mid-render", async () => {
+  const stages = [
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 2, curve: "linear" },
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "square", pan: 0, ramp: 0.5, hold: 2, curve: "linear" },
+  ];
+  const buffer = await render({ session: { fadeIn: 0, fadeOut: 0, stages } });
+  assert.equal(buffer.length, 4.5 * RATE);
+  const left = buffer.getChannelData(0);
+  // a square wave spends its time at the extremes, a sine does not
+  const crest = (from, to) => {
+    const block = left.subarray(from * RATE, to * RATE);
+    const { rms, peak: top } = FieldSignalGraph.loudness(block);
+    return top - rms;
+  };
+  assert.ok(crest(1, 2) > 2.5);
+  assert.ok(crest(3, 4) < 0.5);
+});
+
+test("wave switches sharing a render quantum, or at the very end, share one suspend", async () => {
+  const frames = [];
+  class Spy extends OfflineAudioContext {
+    suspend(t) {
+      frames.push(Math.round(t * RATE));
+      return super.suspend(t);
+    }
+  }
+  const stages = [
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 1, curve: "linear" },
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "triangle", pan: 0, ramp: 0, hold: 0, curve: "linear" },
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "square", pan: 0, ramp: 0, hold: 1.5, curve: "linear" },
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 0, curve: "linear" },
+  ];
+  const buffer = await FieldSignalGraph.renderOffline({ session: { fadeIn: 0, fadeOut: 0, stages } }, { sampleRate: RATE, OfflineAudioContext: Spy });
+  assert.equal(buffer.length, 2.5 * RATE);
+  // 1 s is frame 8000, floored to the quantum at 7936; the end switch lands on the last quantum
+  assert.deepEqual(frames, [7936, 19968]);
+  // up to the end switch, the same audio as going straight from sine to square
+  const direct = await render({ session: { fadeIn: 0, fadeOut: 0, stages: [stages[0], { ...stages[2], hold: 1.5 }] } });
+  assert.deepEqual(buffer.getChannelData(0).subarray(0, 19968), direct.getChannelData(0).subarray(0, 19968));
+});
+
+test("a failed suspend rejects the render", async () => {
+  class Refusing extends OfflineAudioContext {
+    suspend() {
+      return Promise.reject(new Error("no suspending here"));
+    }
+  }
+  const stages = [
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 1, curve: "linear" },
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "square", pan: 0, ramp: 0, hold: 1, curve: "linear" },
+  ];
+  await assert.rejects(FieldSignalGraph.renderOffline({ session: { fadeIn: 0, fadeOut: 0, stages } }, { sampleRate: RATE, OfflineAudioContext: Refusing }), /no suspending here/);
+});
+
+test("renderOffline rejects without a context or a length", async () => {
+  await assert.rejects(FieldSignalGraph.renderOffline(STEADY, { sampleRate: RATE }), /OfflineAudioContext is not available/);
+  await assert.rejects(render({ ...STEADY, seconds: 0 }), /nothing to render/);
+});
+
+test("render_audio --check-file passes a rendered WAV and fails a wrong split", async () => {
+  const buffer = await render(STEADY);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "field-signal-"));
+  const file = path.join(dir, "steady.wav");
+  try {
+    fs.writeFileSync(file, FieldSignalGraph.encodeWav(buffer, { title: "steady", comment: JSON.stringify(STEADY) }));
+    const script = path.join(__dirname, "..", "scripts", "render_audio.js");
+    const out = execFileSync(process.execPath, [script, "--check-file", file], { encoding: "utf8" });
+    assert.match(out, /^left: .* expected 172\.000 Hz ok$/m);
+    assert.match(out, /^right: .* expected 176\.000 Hz ok$/m);
+    assert.throws(
+      () => execFileSync(process.execPath, [script, "--check-file", file, "--left", "170", "--right", "178"], { stdio: "pipe" }),
+      (e) => e.status === 1 && /MISMATCH/.test(e.stdout)
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("encodeFlac decodes back to the same 16-bit samples and tags", async () => {
+  const buffer = await render({ ...STEADY, seconds: 1.5 }); // three frames, the last one short
+  const meta = { title: "steady", comment: JSON.stringify(STEADY), date: "2026-10-19" };
+  const flac = decodeFlac(FieldSignalGraph.encodeFlac(buffer, meta));
+  assert.equal(flac.sampleRate, RATE);
+  assert.deepEqual(flac.comments, { TITLE: "steady", DESCRIPTION: meta.comment, DATE: "2026-10-19", ENCODER: "Field Signal" });
+  const wav = FieldSignalGraph.decodeWav(FieldSignalGraph.encodeWav(buffer));
+  for (let c = 0; c < 2; c++) {
+    assert.equal(flac.channels[c].length, buffer.length);
+    assert.deepEqual(flac.channels[c], Int16Array.from(wav.getChannelData(c), (v) => Math.round(v * 32768)));
+  }
+
+  // full-scale edges and noise: large residuals and every predictor order
+  const n = 5000;
+  const edge = new Float32Array(n).map((_, i) => (i % 3 ? 1 : -1));
+  const noise = new Float32Array(n).map((_, i) => Math.sin(i * i) * 0.9);
+  const raw = FieldSignalGraph.encodeFlac({ numberOfChannels: 2, sampleRate: 48000, length: n, getChannelData: (c) => [edge, noise][c] });
+  const back = decodeFlac(raw);
+  assert.deepEqual(back.channels[0], Int16Array.from(edge, (v) => (v < 0 ? -32768 : 32767)));
+  assert.deepEqual(back.channels[1], Int16Array.from(noise, (v) => Math.round(v * (v < 0 ? 32768 : 32767))));
+});
+
+test("setParams glides from the current value even with automation pending", () => {
+  const ac = new AudioContext();
+  const g = FieldSignalGraph.buildSignalGraph(ac, STEADY.params);
+  const params = { gain: g.gain.gain, pan: g.pan.pan, left: g.l.frequency, beat: g.lfo.frequency, noise: g.levels.noise.gain };
+  // a timeline still holding every value until t = 10
+  for (const p of Object.values(params)) {
+    const v = p.value;
+    p.setValueAtTime(v, 0);
+    p.linearRampToValueAtTime(v, 10);
+  }
+  const before = Object.fromEntries(Object.entries(params).map(([k, p]) => [k, p.value]));
+  ac.currentTime = 5;
+  FieldSignalGraph.setParams(g, { gain: 0.1, pan: -0.5, baseHz: 300, beatHz: 8, mix: { binaural: 1, noise: 0.4 } }, 5);
+
+  for (const [k, p] of Object.entries(params)) assert.equal(p.valueAt(5), before[k], k);
+  assert.ok(Math.abs(params.gain.valueAt(5.025) - 0.225) < 1e-9);
+  assert.equal(params.gain.valueAt(5.05), 0.1);
+  assert.equal(params.pan.valueAt(5.05), -0.5);
+  assert.equal(params.noise.valueAt(5.05), 0.4);
+  assert.ok(Math.abs(params.left.valueAt(5.15) - 296) < 1e-9);
+  assert.equal(params.beat.valueAt(5.15), 8);
+  // nothing of the old timeline survives past t
+  for (const p of Object.values(params)) assert.ok(p.events.every((e) => e.time <= 5.15));
+});
+
+test("setParams takes a second before raising the gain", () => {
+  const ac = new AudioContext();
+  const g = FieldSignalGraph.buildSignalGraph(ac, STEADY.params);
+  ac.currentTime = 2;
+  FieldSignalGraph.setParams(g, { gain: 0.6 }, 2);
+  assert.equal(g.gain.gain.valueAt(2), 0.35);
+  assert.ok(g.gain.gain.valueAt(2.05) < 0.4);
+  assert.equal(g.gain.gain.valueAt(2 + FieldSignalGraph.SAFETY.gainRise), 0.6);
+});
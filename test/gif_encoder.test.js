@@ -0,0 +1,103 @@
+// The streaming GIF writer and CanvasExport.gif's size cap. Frames are decoded
+// back with a small LZW reader to check the pixels, not just the framing.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GifEncoder = require('../gif_encoder.js');
+const CanvasExport = require('../canvas_export.js');
+
+// → { width, height, palette, frames: [Uint8Array of palette indices] }
+function decodeGif(bytes){
+  const u16 = (i) => bytes[i] | (bytes[i+1] << 8);
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+  const width = u16(6), height = u16(8);
+  const palette = bytes.subarray(13, 13 + 768);
+  const frames = [];
+  let i = 13 + 768;
+  for(;;){
+    const b = bytes[i++];
+    if(b === 0x3B) break;
+    if(b === 0x21){ i++; while(bytes[i]) i += bytes[i] + 1; i++; continue; }
+    assert.equal(b, 0x2C, 'image descriptor');
+    i += 9;
+    const minCode = bytes[i++];
+    const data = [];
+    while(bytes[i]){ data.push(...bytes.subarray(i + 1, i + 1 + bytes[i])); i += bytes[i] + 1; }
+    i++;
+    frames.push(lzwDecode(data, minCode, width*height));
+  }
+  return { width, height, palette, frames };
+}
+
+function lzwDecode(data, minCode, n){
+  const clear = 1 << minCode, eoi = clear + 1, out = new Uint8Array(n);
+  let size = minCode + 1, dict = [], prev = null, pos = 0, bit = 0;
+  const reset = () => { dict = []; for(let c=0; c<clear; c++) dict[c] = [c]; dict[clear] = dict[eoi] = null; size = minCode + 1; prev = null; };
+  reset();
+  for(;;){
+    let code = 0;
+    for(let k=0; k<size; k++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << k;
+    if(code === clear){ reset(); continue; }
+    if(code === eoi) break;
+    const entry = code < dict.length ? dict[code] : prev.concat(prev[0]);
+    for(const v of entry) out[pos++] = v;
+    if(prev) dict.push(prev.concat(entry[0]));
+    if(dict.length === (1 << size) && size < 12) size++;
+    prev = entry;
+  }
+  assert.equal(pos, n, 'pixel count');
+  return out;
+}
+
+// Frame k: a diagonal ramp over colours that sit exactly on the 6×7×6 palette cube.
+function frame(w, h, k){
+  const rgba = new Uint8ClampedArray(w*h*4);
+  for(let p=0; p<w*h; p++){
+    const v = ((p % w) + Math.floor(p / w) + k) % 6;
+    rgba.set([v*51, Math.round((6 - v)*255/6), v % 2 ? 255 : 0, 255], p*4);
+  }
+  return rgba;
+}
+
+test('streamed frames decode back to their pixels', () => {
+  const w = 61, h = 37;
+  const gif = GifEncoder.createWriter(w, h, { delayMs: 50 });
+  for(let k=0; k<3; k++) gif.addFrame(frame(w, h, k));
+  const out = decodeGif(gif.finish());
+  assert.equal(out.width, w);
+  assert.equal(out.height, h);
+  assert.equal(out.frames.length, 3);
+  out.frames.forEach((idx, k) => {
+    const want = frame(w, h, k);
+    for(let p=0; p<w*h; p++){
+      assert.deepEqual([...out.palette.subarray(idx[p]*3, idx[p]*3 + 3)], [...want.subarray(p*4, p*4 + 3)], `frame ${k} pixel ${p}`);
+    }
+  });
+});
+
+test('encode() and the streaming writer produce the same file', () => {
+  const frames = [frame(20, 10, 0), frame(20, 10, 1)];
+  const gif = GifEncoder.createWriter(20, 10);
+  frames.forEach((f) => gif.addFrame(f));
+  assert.deepEqual(GifEncoder.encode(frames, 20, 10), gif.finish());
+});
+
+test('LZW dictionary resets on large noisy frames still decode', () => {
+  const w = 300, h = 200, rgba = new Uint8ClampedArray(w*h*4);
+  let s = 7;
+  for(let p=0; p<w*h; p++){ s = (s*1103515245 + 12345) >>> 0; rgba.set([(s >> 8) % 6 * 51, 0, 255, 255], p*4); }
+  const out = decodeGif(GifEncoder.encode([rgba], w, h));
+  assert.equal(out.frames[0].length, w*h);
+});
+
+test('the writer rejects mis-sized frames and frames after finish()', () => {
+  const gif = GifEncoder.createWriter(4, 4);
+  assert.throws(() => gif.addFrame(new Uint8ClampedArray(9*4)), /expected 4×4/);
+  gif.addFrame(frame(4, 4, 0));
+  gif.finish();
+  assert.throws(() => gif.addFrame(frame(4, 4, 0)), /already finished/);
+});
+
+test('CanvasExport.gif refuses captures past the pixel-frame budget', async () => {
+  const paint = () => { throw new Error('should not render'); };
+  await assert.rejects(CanvasExport.gif(paint, 1000, 420, { scale: 4, seconds: 8, fps: 20 }), /GIF too large: 4000×1680 × 160 frames/);
+});
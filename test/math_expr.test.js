@@ -0,0 +1,67 @@
+// MathExpr: operator precedence, function arity, the names it refuses to
+// resolve, and the character positions its errors report.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const MathExpr = require("../math_expr.js");
+
+const value = (src, scope = {}) => MathExpr.compile(src)(scope);
+
+test("unary minus binds looser than ^, and ^ is right-associative", () => {
+  assert.equal(value("-x^2", { x: 3 }), -9);
+  assert.equal(value("(-x)^2", { x: 3 }), 9);
+  assert.equal(value("2^-3"), 0.125);
+  assert.equal(value("2^3^2"), 512);
+  assert.equal(value("2**3"), 8);
+  assert.equal(value("1 + 2 * 3 % 4 - 6 / 3"), 1);
+  assert.equal(value("-2 * -x", { x: 4 }), 8);
+  assert.equal(value("sin(pi / 2) + tau / π + 1e1"), 13);
+  assert.equal(value("max(x, t, 2)", { x: 1, t: 5 }), 5);
+});
+
+test("functions check how many arguments they get", () => {
+  const cases = [
+    ["sin()", "sin() takes 1 argument at 1"],
+    ["sin(1, 2)", "sin() takes 1 argument at 1"],
+    ["x + atan2(1)", "atan2() takes 2 arguments at 5"],
+    ["pow(1, 2, 3)", "pow() takes 2 arguments at 1"],
+    ["min()", "min() takes 1+ arguments at 1"],
+  ];
+  for (const [src, message] of cases) assert.throws(() => MathExpr.compile(src), { message }, src);
+  assert.equal(value("atan2(1, 1) * 4"), Math.PI);
+  assert.equal(value("hypot(3, 4)"), 5);
+});
+
+test("inherited and unknown names are refused", () => {
+  for (const name of ["constructor", "__proto__", "toString", "valueOf", "window", "Math"]) {
+    assert.throws(() => MathExpr.compile(name), { message: `unknown name "${name}" (use x, t, pi, tau, e) at 1` });
+    assert.throws(() => MathExpr.compile(`${name}(1)`), { message: `unknown function "${name}" at 1` });
+  }
+  // only the variables passed to compile() are in scope
+  assert.throws(() => MathExpr.compile("x", ["y"]), { message: 'unknown name "x" (use y, pi, tau, e) at 1' });
+  assert.equal(MathExpr.compile("y", ["y"])({ y: 2 }), 2);
+});
+
+test("errors report where they happened", () => {
+  const cases = [
+    ["", "empty expression", 0],
+    ["1 + * 2", 'unexpected "*"', 4],
+    ["sin(x", 'expected ")"', 5],
+    ["(1 2)", 'expected ")" but found "2"', 3],
+    ["x $ 1", 'unexpected "$"', 2],
+    ["2 +", "unexpected end of expression", 3],
+    ["1 2", 'unexpected "2"', 2],
+    ["sin(cosh)", 'unknown name "cosh" (use x, t, pi, tau, e)', 4],
+  ];
+  for (const [src, error, pos] of cases) {
+    assert.deepEqual(MathExpr.check(src), { error: `${error} at ${pos + 1}`, pos }, src);
+  }
+  assert.equal(MathExpr.check("x * t").fn({ x: 2, t: 3 }), 6);
+});
+
+test("non-finite results come back as they are, for the caller to refuse", () => {
+  // qsim's param() rejects these; curves simply leave a gap
+  assert.equal(value("1/0"), Infinity);
+  assert.equal(value("-1/0"), -Infinity);
+  assert.ok(Number.isNaN(value("sqrt(-1)")));
+  assert.ok(Number.isNaN(value("0 * 1/0")));
+});
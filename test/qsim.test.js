@@ -0,0 +1,143 @@
+// QSim on the circuits/ examples (Bell, GHZ, W, single-qubit), seeded
+// reproducibility of counts and measurements, and compileCircuit's errors.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const QSim = require("../qsim.js");
+
+const circuit = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, "..", "circuits", `${name}.json`), "utf8"));
+const near = (actual, expected, what) => assert.ok(Math.abs(actual - expected) < 1e-9, `${what}: ${actual} ≉ ${expected}`);
+
+// Every basis state with non-zero probability, as { bitstring: p }.
+function support(st) {
+  const out = {};
+  QSim.probabilities(st).forEach((p, i) => {
+    if (p > 1e-12) out[QSim.bitstring(i, st.qubits)] = p;
+  });
+  return out;
+}
+
+const total = (counts) => Object.values(counts).reduce((s, n) => s + n, 0);
+
+test("h + cx makes a Bell pair", () => {
+  const { state } = QSim.run({
+    kind: QSim.CIRCUIT_KIND,
+    qubits: 2,
+    ops: [
+      { gate: "h", qubits: [0] },
+      { gate: "cx", qubits: [0, 1] },
+    ],
+  });
+  const p = support(state);
+  assert.deepEqual(Object.keys(p).sort(), ["00", "11"]);
+  near(p["00"], 0.5, "00");
+  near(p["11"], 0.5, "11");
+});
+
+test("all-to-all-11: one MS gate entangles q0 and q1", () => {
+  const { state, counts } = QSim.run(circuit("all-to-all-11"));
+  const p = support(state);
+  assert.deepEqual(Object.keys(p).sort(), ["00000000000", "00000000011"]);
+  near(p["00000000000"], 0.5, "|0…0⟩");
+  assert.deepEqual(Object.keys(counts).sort(), Object.keys(p).sort());
+  assert.equal(total(counts), 1000);
+});
+
+test("grid-3x3: GHZ across all nine qubits", () => {
+  const { state, counts } = QSim.run(circuit("grid-3x3"));
+  const p = support(state);
+  assert.deepEqual(Object.keys(p).sort(), ["000000000", "111111111"]);
+  near(p["111111111"], 0.5, "|1…1⟩");
+  assert.deepEqual(Object.keys(counts).sort(), ["000000000", "111111111"]);
+  assert.equal(total(counts), 1000);
+});
+
+test("ring-8: W state, one excitation spread evenly around the ring", () => {
+  const { state, counts } = QSim.run(circuit("ring-8"));
+  const p = support(state);
+  const oneHot = Array.from({ length: 8 }, (_, q) => QSim.bitstring(1 << q, 8)).sort();
+  assert.deepEqual(Object.keys(p).sort(), oneHot);
+  for (const k of oneHot) near(p[k], 1 / 8, k);
+  assert.ok(Object.keys(counts).every((k) => oneHot.includes(k)));
+  assert.equal(total(counts), 1000);
+});
+
+test("single-qubit: ry(π/3) puts a quarter of the weight on |1⟩", () => {
+  const { state } = QSim.run(circuit("single-qubit"));
+  near(QSim.probabilities(state)[1], 0.25, "P(1)");
+});
+
+test("a seed always gives the same counts and measurements", () => {
+  const measured = {
+    kind: QSim.CIRCUIT_KIND,
+    qubits: 3,
+    seed: "repeat",
+    shots: 500,
+    ops: [
+      { gate: "h", qubits: [0] },
+      { gate: "h", qubits: [1] },
+      { gate: "measure", qubits: [0] },
+      { gate: "cx", qubits: [1, 2] },
+    ],
+  };
+  for (const c of [circuit("ring-8"), circuit("single-qubit"), measured]) {
+    const a = QSim.run(c);
+    const b = QSim.run(c);
+    assert.deepEqual(a.counts, b.counts);
+    assert.deepEqual(a.measurements, b.measurements);
+    assert.deepEqual(QSim.run(c, { seed: "other" }).counts, QSim.run(c, { seed: "other" }).counts);
+    assert.notDeepEqual(QSim.run(c, { seed: "other" }).counts, a.counts);
+  }
+  // the mid-circuit measurement collapses q0 and is recorded
+  const { measurements, state } = QSim.run(measured);
+  assert.equal(measurements.length, 1);
+  const [{ qubit, result }] = measurements;
+  assert.equal(qubit, 0);
+  for (const k of Object.keys(support(state))) assert.equal(Number(k[2]), result);
+});
+
+test("no shots means no counts", () => {
+  const c = { ...circuit("grid-3x3") };
+  delete c.shots;
+  assert.equal(QSim.run(c).counts, null);
+});
+
+test("compileCircuit names the bad path", () => {
+  const base = { kind: QSim.CIRCUIT_KIND, qubits: 2, ops: [] };
+  const op = (o) => ({ ...base, ops: [{ gate: "h", qubits: [0] }, o] });
+  const cases = [
+    [null, /circuit must be an object/],
+    [{ ...base, kind: "qvis" }, /^kind: expected "qsim-circuit"/],
+    [{ ...base, qubits: 0 }, /^qubits: must be an integer 1–16/],
+    [{ ...base, qubits: 17 }, /^qubits: must be an integer 1–16/],
+    [{ ...base, qubits: 1.5 }, /^qubits: must be an integer/],
+    [{ ...base, shots: -1 }, /^shots: must be an integer 0–100000/],
+    [{ ...base, shots: 1e6 }, /^shots: must be an integer 0–100000/],
+    [{ ...base, ops: {} }, /^ops: must be a list/],
+    [op(null), /^ops\[1\]\.gate: unknown gate null/],
+    [op({ gate: "warp", qubits: [0] }), /^ops\[1\]\.gate: unknown gate "warp"/],
+    [op({ gate: "cx", qubits: [0] }), /^ops\[1\]\.qubits: cx takes 2 qubit\(s\)/],
+    [op({ gate: "h", qubits: [2] }), /^ops\[1\]\.qubits\[0\]: must be a qubit 0–1/],
+    [op({ gate: "cx", qubits: [1, 1] }), /^ops\[1\]\.qubits: repeats a qubit/],
+    [op({ gate: "rz", qubits: [0] }), /^ops\[1\]\.params: rz takes 1 param\(s\)/],
+    [op({ gate: "h", qubits: [0], params: [1] }), /^ops\[1\]\.params: h takes 0 param\(s\)/],
+    [op({ gate: "rz", qubits: [0], params: ["pi/"] }), /^ops\[1\]\.params\[0\]: /],
+    [op({ gate: "rz", qubits: [0], params: [true] }), /^ops\[1\]\.params\[0\]: must be a number or an expression string/],
+    [op({ gate: "rz", qubits: [0], params: ["1/0"] }), /^ops\[1\]\.params\[0\]: "1\/0" is not a finite number/],
+    [op({ gate: "rz", qubits: [0], params: ["sqrt(-1)"] }), /^ops\[1\]\.params\[0\]: "sqrt\(-1\)" is not a finite number/],
+  ];
+  for (const [c, re] of cases) assert.throws(() => QSim.compileCircuit(c), { message: re }, JSON.stringify(c));
+});
+
+test("inherited property names are not gates", () => {
+  for (const gate of ["toString", "__proto__", "constructor", "hasOwnProperty", "valueOf"]) {
+    const c = { kind: QSim.CIRCUIT_KIND, qubits: 1, ops: [{ gate, qubits: [0] }] };
+    assert.throws(() => QSim.compileCircuit(c), { message: `ops[0].gate: unknown gate "${gate}"` });
+    assert.throws(() => QSim.run(c), /unknown gate/);
+    assert.throws(() => QSim.applyGate(QSim.createState(1), gate, [0]), /unknown gate/);
+  }
+  // a JSON "__proto__" key is an own property, but still not a gate
+  const parsed = JSON.parse('{ "kind": "qsim-circuit", "qubits": 1, "ops": [{ "gate": "__proto__", "qubits": [0] }] }');
+  assert.throws(() => QSim.compileCircuit(parsed), /unknown gate "__proto__"/);
+});
@@ -0,0 +1,82 @@
+// scripts/render_frames.js end to end: frames written, and bad input refused
+// with the usage error (exit 2) before anything is drawn.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "render_frames.js");
+
+// Runs the script on `params` in a temp dir: { status, stdout, stderr, files }.
+function renderFrames(params, extra = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render-frames-"));
+  try {
+    const file = path.join(dir, "params.json");
+    fs.writeFileSync(file, JSON.stringify(params));
+    const out = path.join(dir, "out");
+    const r = spawnSync(process.execPath, [SCRIPT, file, "--out_dir", out, ...extra], { encoding: "utf8", timeout: 30000 });
+    const files = fs.existsSync(out) ? Object.fromEntries(fs.readdirSync(out).map((f) => [f, fs.readFileSync(path.join(out, f), "utf8")])) : {};
+    return { status: r.status, stdout: r.stdout, stderr: r.stderr, files };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("dual-universe frames come out as SVG", () => {
+  const r = renderFrames({ scene: "dual-universe", width: 300, height: 200, frames: 2, state: { xMax: 10, time: 1.5 } });
+  assert.equal(r.status, 0, r.stderr);
+  assert.deepEqual(Object.keys(r.files).sort(), ["dual-universe-0000.svg", "dual-universe-0001.svg"]);
+  for (const svg of Object.values(r.files)) {
+    assert.match(svg, /^<svg/);
+    assert.doesNotMatch(svg, /NaN/);
+  }
+});
+
+test("an unknown --format is a usage error", () => {
+  const r = renderFrames({ scene: "dual-universe", frames: 1 }, ["--format", "jpg"]);
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /unknown format "jpg"/);
+  assert.match(r.stderr, /^Usage:/m);
+  assert.deepEqual(r.files, {});
+});
+
+test("a dual-universe state with a bad tree is a usage error", () => {
+  const tree = { id: "base", amp: 1, freq: 1, phase: 0, splitX: 4, children: [{ id: "u1", freq: 1, phase: 0 }] };
+  for (const scene of ["dual-universe", "dual-universe-divergence"]) {
+    const plain = renderFrames({ scene, frames: 1, state: { tree } });
+    assert.equal(plain.status, 2);
+    assert.match(plain.stderr, /tree\.children\[0\]: amp must be a number/);
+    const saved = renderFrames({ scene, frames: 1, state: { kind: "dual-universe-tree", version: 1, tree } });
+    assert.equal(saved.status, 2);
+    assert.deepEqual(saved.files, {});
+  }
+  const r = renderFrames({ scene: "dual-universe", frames: 1, state: { time: "soon", view: { x0: 3, x1: 2, y0: -1, y1: 1 } } });
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /\$\.time: must be a number/);
+  assert.match(r.stderr, /\$\.view: needs x0 < x1/);
+});
+
+test("a view narrower than float precision still renders", () => {
+  const r = renderFrames({ scene: "dual-universe", frames: 1, state: { view: { x0: 4, x1: 4.0000000000001, y0: -1, y1: 1 } } });
+  assert.equal(r.status, 0, r.stderr);
+  const [svg] = Object.values(r.files);
+  assert.doesNotMatch(svg, /NaN|Infinity/);
+  // the window is widened to the narrowest span, so the curves still show
+  assert.ok(svg.split("<path").length > 10);
+});
+
+test("a coupling-map state must be a valid catalog entry", () => {
+  const machine = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "catalog", "machines", "grid-3x3.json"), "utf8"));
+  const ok = renderFrames({ scene: "coupling-map", frames: 1, state: { ...machine, selected: 4, nodeMetric: "readout" } });
+  assert.equal(ok.status, 0, ok.stderr);
+  assert.doesNotMatch(Object.values(ok.files)[0], /NaN|Infinity/);
+
+  const bad = renderFrames({ scene: "coupling-map", frames: 1, state: { ...machine, qubits: 8, selected: 9, nodeMetric: "t1" } });
+  assert.equal(bad.status, 2);
+  assert.match(bad.stderr, /\$\.topology\.edges\[\d+\]: qubit out of range 0–7/);
+  assert.match(bad.stderr, /\$\.selected: must be a qubit index/);
+  assert.match(bad.stderr, /\$\.nodeMetric: must be "single_qubit" or "readout"/);
+  assert.deepEqual(bad.files, {});
+});
@@ -0,0 +1,40 @@
+// Round trips through the scope codec: text → segments → frame stream → text.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScopeCodec = require('../scope_codec.js');
+
+const roundTrip = (text, perSegment) => ScopeCodec.decode(ScopeCodec.frames(ScopeCodec.encode(text), perSegment));
+
+test('ASCII survives a round trip', () => {
+  assert.equal(roundTrip('Watson, do you copy?'), 'Watson, do you copy?');
+});
+
+test('repeated characters stay separate', () => {
+  assert.equal(roundTrip('hello'), 'hello');
+  assert.equal(roundTrip('aaaa'), 'aaaa');
+  const segs = ScopeCodec.encode('ll');
+  assert.notEqual(segs[0].phase, segs[1].phase);
+});
+
+test('non-BMP unicode survives a round trip', () => {
+  for(const text of ['∞ → 𝔸', '🐶🚀', 'ünï 😀 code']) assert.equal(roundTrip(text), text);
+});
+
+test('the empty string encodes to nothing and decodes back', () => {
+  assert.deepEqual(ScopeCodec.encode(''), []);
+  assert.equal(roundTrip(''), '');
+  assert.equal(ScopeCodec.decode([]), '');
+});
+
+test('segments held for any number of frames decode the same', () => {
+  for(const per of [1, 2, 7]) assert.equal(roundTrip('ll🐶', per), 'll🐶');
+});
+
+test('small jitter on the recorded stream is tolerated', () => {
+  const stream = ScopeCodec.frames(ScopeCodec.encode('jitter ok')).map((p, i) => ({
+    f1: p.f1 + (i % 2 ? 0.02 : -0.02),
+    f2: p.f2 + (i % 3 ? -0.03 : 0.03),
+    phase: p.phase + (i % 2 ? 0.1 : -0.1),
+  }));
+  assert.equal(ScopeCodec.decode(stream), 'jitter ok');
+});
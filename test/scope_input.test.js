@@ -0,0 +1,64 @@
+// The scope trigger and sweep window on synthetic signals: where a sine trips the
+// trigger, when nothing does, and the window at either end of the buffer.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScopeInput = require('../scope_input.js');
+
+const RATE = 48000;
+// 100 Hz from phase 0: a period is 480 samples, rising through zero at 0, 480, 960, …
+const sine = (n, amp = 1) => Float32Array.from({ length: n }, (_, i) => amp * Math.sin(2 * Math.PI * 100 * i / RATE));
+const crossesUp = (s, i, level) => s[i - 1] < level && s[i] >= level;
+
+test('a rising trigger waits for the signal to dip, then fires on the crossing', () => {
+  const s = sine(4096);
+  // sample 0 sits on the level but the trigger is not armed yet
+  const at = ScopeInput.triggerIndex(s, 0);
+  assert.ok(at >= 480 && at <= 481, `${at}`);
+  assert.ok(crossesUp(s, at, 0));
+  // level 0.5: sample 0 is already below it, so the first period's π/6 fires
+  const half = ScopeInput.triggerIndex(s, 0.5, 'rising');
+  assert.ok(Math.abs(half - 40) <= 1, `${half}`);
+  assert.ok(crossesUp(s, half, 0.5));
+  // falling through zero at the half period
+  const down = ScopeInput.triggerIndex(s, 0, 'falling');
+  assert.ok(down >= 240 && down <= 241, `${down}`);
+  assert.ok(s[down - 1] > 0 && s[down] <= 0);
+  // the search window is [from, to)
+  assert.equal(ScopeInput.triggerIndex(s, 0, 'rising', 0, 480), -1);
+  assert.ok(ScopeInput.triggerIndex(s, 0, 'rising', 600) >= 960);
+});
+
+test('no trigger: a level out of reach, a flat line, or ripple inside the hysteresis', () => {
+  assert.equal(ScopeInput.triggerIndex(sine(4096, 0.5), 0.8), -1);
+  assert.equal(ScopeInput.triggerIndex(new Float32Array(4096).fill(0.3), 0), -1);
+  assert.equal(ScopeInput.triggerIndex(sine(4096, 0.01), 0), -1);
+  const s = sine(4096, 0.01);
+  const free = ScopeInput.sweep(s, RATE, { timebase: 2 });
+  assert.deepEqual(free, { start: 4096 - 960, n: 960, triggered: false });
+});
+
+test('the sweep window stays inside the buffer at both ends', () => {
+  // 2 ms/div × 10 divisions at 48 kHz
+  const s = sine(4096);
+  const w = ScopeInput.sweep(s, RATE, { timebase: 2 });
+  assert.equal(w.n, 960);
+  assert.equal(w.triggered, true);
+  assert.equal(w.start, ScopeInput.triggerIndex(s, 0));
+
+  // a sweep longer than half the buffer is cut to half; untriggered, it ends on the last sample
+  const long = ScopeInput.sweep(new Float32Array(4096), RATE, { timebase: 20 });
+  assert.deepEqual(long, { start: 2048, n: 2048, triggered: false });
+
+  // a step up that arms on the first searched sample triggers right after it
+  const early = Float32Array.from({ length: 4096 }, (_, i) => (i < 2 ? -0.5 : 0.5));
+  assert.deepEqual(ScopeInput.sweep(early, RATE, { timebase: 2 }), { start: 2, n: 960, triggered: true });
+
+  // a crossing too late to fit a whole sweep after it is ignored
+  const late = Float32Array.from({ length: 4096 }, (_, i) => (i < 3500 ? -0.5 : 0.5));
+  assert.deepEqual(ScopeInput.sweep(late, RATE, { timebase: 2 }), { start: 3136, n: 960, triggered: false });
+  const edge = Float32Array.from({ length: 4096 }, (_, i) => (i < 3135 ? -0.5 : 0.5));
+  assert.deepEqual(ScopeInput.sweep(edge, RATE, { timebase: 2 }), { start: 3135, n: 960, triggered: true });
+
+  // the shortest sweep is two samples
+  assert.equal(ScopeInput.sweep(s, RATE, { timebase: 0.001 }).n, 2);
+});
@@ -0,0 +1,160 @@
+// SignalEngine against test/web_audio_mock.js's AudioContext: the nodes and
+// connections start() builds, what setParams() passes to the graph, and teardown.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const FieldSignalGraph = require("../field_signal_graph.js");
+const SignalEngine = require("../signal_engine.js");
+const { AudioContext } = require("./web_audio_mock.js");
+
+// An engine on a mock context (clock at 1 s) whose graph module records setParams calls.
+function engine(opts = {}) {
+  const calls = [];
+  const e = new SignalEngine({
+    createContext: () => {
+      e.testContext = new AudioContext();
+      e.testContext.currentTime = 1;
+      return e.testContext;
+    },
+    graph: {
+      buildSignalGraph: FieldSignalGraph.buildSignalGraph,
+      setParams: (g, params, t) => {
+        calls.push({ params, t });
+        FieldSignalGraph.setParams(g, params, t);
+      },
+    },
+    ...opts,
+  });
+  return { e, calls };
+}
+
+const connected = (from, to, output = 0) => from.connections.some((c) => c.to === to && c.output === output);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+const session = {
+  fadeIn: 2,
+  fadeOut: 2,
+  stages: [
+    { baseHz: 200, beatHz: 10, gain: 0.3, wave: "sine", pan: 0, ramp: 0, hold: 60, curve: "linear" },
+    { baseHz: 150, beatHz: 4, gain: 0.2, wave: "sine", pan: 0, ramp: 30, hold: 60, curve: "linear" },
+  ],
+};
+
+test("start() taps the graph with a scope analyser and one analyser per ear", () => {
+  const { e } = engine({ params: { baseHz: 200, beatHz: 6 } });
+  const states = [];
+  e.on("state", (s) => states.push(s));
+  e.start();
+  const ac = e.testContext;
+  try {
+    const [scope, left, right] = ac.ofKind("analyser");
+    const [splitter] = ac.ofKind("splitter");
+    assert.equal(e.analyser, scope);
+    assert.equal(scope.fftSize, 2048);
+    assert.ok(connected(scope, ac.destination));
+    assert.ok(connected(scope, splitter));
+    assert.ok(connected(splitter, left, 0));
+    assert.ok(connected(splitter, right, 1));
+    assert.deepEqual(
+      e.channels.map((c) => [c.analyser, c.analyser.fftSize, c.freq.length, c.time.length]),
+      [
+        [left, 16384, 8192, 16384],
+        [right, 16384, 8192, 16384],
+      ]
+    );
+
+    // the graph ends in the scope analyser, not the destination
+    const g = e.graph;
+    assert.ok(connected(g.output, scope));
+    assert.deepEqual(
+      ac.destination.inputs.map((x) => x.node),
+      [scope]
+    );
+    assert.deepEqual([g.l.frequency.value, g.r.frequency.value], [197, 203]);
+
+    // every source starts 50 ms out and the fade rises from silence
+    const t0 = 1.05;
+    assert.deepEqual(
+      ac.ofKind("oscillator").map((o) => o.startTime),
+      [t0, t0, t0, t0]
+    );
+    assert.equal(g.noise.startTime, t0);
+    assert.equal(g.fade.gain.valueAt(t0), 0);
+    assert.equal(g.fade.gain.valueAt(t0 + 3), 1);
+    assert.deepEqual(states, ["running"]);
+  } finally {
+    e.destroy();
+  }
+});
+
+test("teardown stops the sources, unhooks every node and closes the context", () => {
+  const { e } = engine();
+  const states = [];
+  e.on("state", (s) => states.push(s));
+  e.start();
+  const ac = e.testContext;
+  const sources = [...ac.ofKind("oscillator"), ...ac.ofKind("bufferSource")];
+  e.stop({ fade: false });
+  assert.ok(sources.every((s) => s.stopTime != null));
+  assert.ok(ac.nodes.every((n) => n.connections.length === 0));
+  assert.equal(ac.state, "closed");
+  assert.deepEqual([e.ac, e.graph, e.analyser, e.channels.length], [null, null, null, 0]);
+  assert.deepEqual(states, ["running", "stopped"]);
+});
+
+test("stop() fades out from the current level over fadeOut", () => {
+  const { e } = engine({ params: { fadeIn: 2, fadeOut: 4 } });
+  e.start();
+  const ac = e.testContext;
+  const fade = e.graph.fade.gain;
+  try {
+    ac.currentTime = 2.05; // halfway up the fade-in
+    e.stop();
+    assert.equal(e.state, "stopping");
+    near(fade.valueAt(2.05), 0.5);
+    near(fade.valueAt(4.05), 0.25);
+    near(fade.valueAt(6.05), 0);
+  } finally {
+    e.destroy();
+  }
+});
+
+test("setParams() only merges while stopped and sends the patch once running", () => {
+  const { e, calls } = engine();
+  e.setParams({ gain: 0.2 });
+  assert.equal(calls.length, 0);
+  assert.equal(e.params.gain, 0.2);
+
+  e.start();
+  try {
+    e.testContext.currentTime = 3;
+    e.setParams({ gain: 0.25, wave: "triangle" });
+    e.setParams({ baseHz: 300 });
+    assert.deepEqual(calls, [
+      { params: { gain: 0.25, wave: "triangle" }, t: 3 },
+      // a tone change always carries both halves of the split
+      { params: { baseHz: 300, beatHz: 4 }, t: 3 },
+    ]);
+    assert.deepEqual([e.graph.l.type, e.graph.gain.gain.valueAt(3 + FieldSignalGraph.SAFETY.gainRise)], ["triangle", 0.25]);
+    assert.deepEqual([e.graph.l.frequency.valueAt(3.15), e.graph.r.frequency.valueAt(3.15)], [298, 302]);
+  } finally {
+    e.destroy();
+  }
+});
+
+test("while a session runs, setParams() leaves the tone keys to its timeline", () => {
+  const { e, calls } = engine();
+  assert.equal(e.schedule(session), 150);
+  e.start();
+  try {
+    const g = e.graph;
+    e.testContext.currentTime = 30;
+    e.setParams({ gain: 0.9, baseHz: 400, mix: { binaural: 0.5, noise: 0.5 }, maxDb: -12 });
+    assert.deepEqual(calls, [{ params: { mix: { binaural: 0.5, noise: 0.5 }, maxDb: -12 }, t: 30 }]);
+    assert.deepEqual([e.params.gain, e.params.baseHz], [0.9, 400]);
+    // the session still owns the tones: 200 Hz base at 60 s, 150 Hz from 90 s
+    assert.equal(g.l.frequency.valueAt(61.05), 195);
+    assert.equal(g.l.frequency.valueAt(91.05), 148);
+    assert.equal(g.levels.noise.gain.valueAt(30.05), 0.5);
+  } finally {
+    e.destroy();
+  }
+});
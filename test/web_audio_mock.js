@@ -0,0 +1,406 @@
+// A pure-JS stand-in for the slice of Web Audio that field_signal_graph.js and
+// signal_engine.js use, so their tests run under plain Node. Contexts keep every
+// node they create (ctx.nodes) and nodes keep their connections, so a test can
+// inspect the wiring; OfflineAudioContext also renders the graph sample by
+// sample. AudioParam automation follows the spec's event timeline. Simplified:
+// the compressor acts instantly (no attack or release) and analysers report silence.
+
+const invalidState = (msg) => Object.assign(new Error(msg), { name: "InvalidStateError" });
+
+class AudioParam {
+  constructor(context, value) {
+    this.context = context;
+    this.events = [];
+    this.inputs = [];
+    this._value = value;
+  }
+
+  // Like the real thing, reads the automated value at currentTime.
+  get value() {
+    return this.events.length ? this.valueAt(this.context.currentTime) : this._value;
+  }
+
+  set value(v) {
+    this._value = v;
+  }
+
+  _add(type, value, time, extra) {
+    if (!Number.isFinite(value) || !Number.isFinite(time) || time < 0) throw new RangeError(`${type}(${value}, ${time})`);
+    const e = { type, value, time, called: this.context.currentTime, ...extra };
+    let i = this.events.length;
+    while (i && this.events[i - 1].time > time) i--;
+    this.events.splice(i, 0, e);
+    return this;
+  }
+
+  setValueAtTime(v, t) {
+    return this._add("set", v, t);
+  }
+
+  linearRampToValueAtTime(v, t) {
+    return this._add("linear", v, t);
+  }
+
+  exponentialRampToValueAtTime(v, t) {
+    if (v === 0) throw new RangeError("exponentialRampToValueAtTime: value must be non-zero");
+    return this._add("exponential", v, t);
+  }
+
+  setTargetAtTime(v, t, timeConstant) {
+    return this._add("target", v, t, { timeConstant });
+  }
+
+  cancelScheduledValues(t) {
+    this.events = this.events.filter((e) => e.time < t);
+    return this;
+  }
+
+  // The automation curve at time t. A ramp runs from the event before it, or
+  // from when it was scheduled if nothing came before.
+  valueAt(t) {
+    let v = this._value;
+    let from = null;
+    let target = null;
+    const settle = (time) => (target ? target.value + (v - target.value) * Math.exp(-(time - from) / target.timeConstant) : v);
+    for (const e of this.events) {
+      if (e.type === "linear" || e.type === "exponential") {
+        const t0 = from == null ? Math.min(e.called, e.time) : from;
+        const v0 = settle(t0);
+        if (t < e.time) {
+          if (t < t0) return v0;
+          const k = (t - t0) / (e.time - t0);
+          if (e.type === "linear") return v0 + (e.value - v0) * k;
+          return v0 * e.value > 0 ? v0 * Math.pow(e.value / v0, k) : v0;
+        }
+        v = e.value;
+      } else {
+        if (e.time > t) break;
+        v = e.type === "set" ? e.value : settle(e.time);
+      }
+      target = e.type === "target" ? e : null;
+      from = e.time;
+    }
+    return settle(t);
+  }
+
+  // a-rate value at frame i: the automation plus anything connected to the param.
+  at(i) {
+    let v = this.valueAt(i / this.context.sampleRate);
+    for (const c of this.inputs) v += mono(c.node.output(i, c.output));
+    return v;
+  }
+}
+
+const mono = (chs) => chs.reduce((s, x) => s + x, 0) / (chs.length || 1);
+
+// Sums signals; a mono signal feeds every channel of a wider one.
+function mix(signals, channels) {
+  const n = channels || Math.max(1, ...signals.map((s) => s.length));
+  const out = new Array(n).fill(0);
+  for (const s of signals) {
+    for (let c = 0; c < n; c++) out[c] += s.length === 1 ? s[0] : s[c] || 0;
+  }
+  return out;
+}
+
+class AudioNode {
+  constructor(context, kind, props) {
+    this.context = context;
+    this.kind = kind;
+    this.inputs = [];
+    this.connections = [];
+    Object.assign(this, props);
+    context.nodes.push(this);
+  }
+
+  connect(dest, output = 0, input = 0) {
+    this.connections.push({ to: dest, output, input });
+    dest.inputs.push({ node: this, output, input });
+    return dest;
+  }
+
+  disconnect() {
+    for (const c of this.connections) c.to.inputs = c.to.inputs.filter((x) => x.node !== this);
+    this.connections = [];
+  }
+
+  input(i, index = 0, channels) {
+    return mix(
+      this.inputs.filter((x) => x.input === index).map((x) => x.node.output(i, x.output)),
+      channels
+    );
+  }
+
+  // Output `k` at frame i as channel values, computed once per frame.
+  output(i, k) {
+    if (this._frame !== i) {
+      this._frame = i;
+      this._out = this.process(i);
+    }
+    return this._out[k] || [0];
+  }
+
+  process(i) {
+    return [this.input(i)];
+  }
+}
+
+class ScheduledSource extends AudioNode {
+  start(t = 0) {
+    if (this.startTime != null) throw invalidState(`${this.kind} already started`);
+    this.startTime = t;
+  }
+
+  stop(t = 0) {
+    if (this.startTime == null) throw invalidState(`${this.kind} not started`);
+    this.stopTime = t;
+  }
+
+  playing(i) {
+    const t = i / this.context.sampleRate;
+    return this.startTime != null && t >= this.startTime && (this.stopTime == null || t < this.stopTime);
+  }
+}
+
+const SHAPES = {
+  sine: (p) => Math.sin(2 * Math.PI * p),
+  square: (p) => (p < 0.5 ? 1 : -1),
+  sawtooth: (p) => (p < 0.5 ? 2 * p : 2 * p - 2),
+  triangle: (p) => (p < 0.25 ? 4 * p : p < 0.75 ? 2 - 4 * p : 4 * p - 4),
+};
+
+class OscillatorNode extends ScheduledSource {
+  constructor(context) {
+    super(context, "oscillator", { type: "sine", phase: 0 });
+    this.frequency = new AudioParam(context, 440);
+  }
+
+  setPeriodicWave(wave) {
+    this.type = "custom";
+    this.wave = wave;
+  }
+
+  process(i) {
+    if (!this.playing(i)) return [[0]];
+    const v = this.type === "custom" ? this.wave.at(this.phase) : SHAPES[this.type](this.phase);
+    this.phase = (this.phase + this.frequency.at(i) / this.context.sampleRate) % 1;
+    return [[v]];
+  }
+}
+
+// Fourier series normalised to a peak of 1, as createPeriodicWave() does by default.
+function periodicWave(real, imag) {
+  const raw = (p) => {
+    let v = 0;
+    for (let k = 1; k < imag.length; k++) v += real[k] * Math.cos(2 * Math.PI * k * p) + imag[k] * Math.sin(2 * Math.PI * k * p);
+    return v;
+  };
+  let peak = 0;
+  for (let j = 0; j < 1024; j++) peak = Math.max(peak, Math.abs(raw(j / 1024)));
+  return { real, imag, at: (p) => raw(p) / (peak || 1) };
+}
+
+class AudioBufferSourceNode extends ScheduledSource {
+  constructor(context) {
+    super(context, "bufferSource", { buffer: null, loop: false, onended: null });
+  }
+
+  process(i) {
+    if (!this.playing(i) || !this.buffer) return [[0]];
+    const j = i - Math.round(this.startTime * this.context.sampleRate);
+    if (j >= this.buffer.length && !this.loop) return [[0]];
+    const k = j % this.buffer.length;
+    return [Array.from({ length: this.buffer.numberOfChannels }, (_, c) => this.buffer.getChannelData(c)[k])];
+  }
+}
+
+class AudioBuffer {
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this._data = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  getChannelData(c) {
+    return this._data[c];
+  }
+}
+
+class BaseAudioContext {
+  constructor(sampleRate, channels) {
+    this.sampleRate = sampleRate;
+    this.nodes = [];
+    this.destination = new AudioNode(this, "destination", { process: (i) => [this.destination.input(i, 0, channels)] });
+  }
+
+  createOscillator() {
+    return new OscillatorNode(this);
+  }
+
+  createGain() {
+    const node = new AudioNode(this, "gain", { process: (i) => [node.input(i).map((x) => x * node.gain.at(i))] });
+    node.gain = new AudioParam(this, 1);
+    return node;
+  }
+
+  createChannelMerger(n = 6) {
+    return new AudioNode(this, "merger", {
+      numberOfInputs: n,
+      process(i) {
+        return [Array.from({ length: n }, (_, c) => mono(this.input(i, c)))];
+      },
+    });
+  }
+
+  createChannelSplitter(n = 6) {
+    return new AudioNode(this, "splitter", {
+      numberOfOutputs: n,
+      process(i) {
+        const chs = this.input(i);
+        return Array.from({ length: n }, (_, c) => [chs.length === 1 ? chs[0] : chs[c] || 0]);
+      },
+    });
+  }
+
+  // Equal-power panning (spec: StereoPannerNode).
+  createStereoPanner() {
+    const node = new AudioNode(this, "stereoPanner", {
+      process(i) {
+        const chs = this.input(i);
+        const pan = Math.min(1, Math.max(-1, node.pan.at(i)));
+        if (chs.length === 1) {
+          const x = ((pan + 1) / 2) * (Math.PI / 2);
+          return [[chs[0] * Math.cos(x), chs[0] * Math.sin(x)]];
+        }
+        const [l, r] = chs;
+        const x = (pan <= 0 ? pan + 1 : pan) * (Math.PI / 2);
+        return pan <= 0 ? [[l + r * Math.cos(x), r * Math.sin(x)]] : [[l * Math.cos(x), r + l * Math.sin(x)]];
+      },
+    });
+    node.pan = new AudioParam(this, 0);
+    return node;
+  }
+
+  // The spec's static curve (hard knee) on the loudest channel, applied per
+  // sample, plus its makeup gain of 0.6 × the reduction at 0 dBFS.
+  createDynamicsCompressor() {
+    const node = new AudioNode(this, "compressor", {
+      process(i) {
+        const chs = node.input(i);
+        const threshold = node.threshold.at(i);
+        const ratio = node.ratio.at(i);
+        const curve = (db) => (db <= threshold ? db : threshold + (db - threshold) / ratio);
+        const level = 20 * Math.log10(Math.max(...chs.map(Math.abs)));
+        const reduction = level > threshold ? curve(level) - level : 0;
+        const g = Math.pow(10, (reduction - 0.6 * curve(0)) / 20);
+        return [chs.map((x) => x * g)];
+      },
+    });
+    for (const [k, v] of Object.entries({ threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 })) node[k] = new AudioParam(this, v);
+    return node;
+  }
+
+  createAnalyser() {
+    const node = new AudioNode(this, "analyser", {
+      fftSize: 2048,
+      smoothingTimeConstant: 0.8,
+      minDecibels: -100,
+      maxDecibels: -30,
+      getFloatFrequencyData: (a) => a.fill(-Infinity),
+      getFloatTimeDomainData: (a) => a.fill(0),
+      getByteTimeDomainData: (a) => a.fill(128),
+    });
+    Object.defineProperty(node, "frequencyBinCount", { get: () => node.fftSize / 2 });
+    return node;
+  }
+
+  createBufferSource() {
+    return new AudioBufferSourceNode(this);
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    return new AudioBuffer(channels, length, sampleRate);
+  }
+
+  createPeriodicWave(real, imag) {
+    return periodicWave(real, imag);
+  }
+
+  /** Nodes of one kind, in creation order. */
+  ofKind(kind) {
+    return this.nodes.filter((n) => n.kind === kind);
+  }
+}
+
+// A live context whose clock the test sets (ctx.currentTime = 2). Nothing plays.
+class AudioContext extends BaseAudioContext {
+  constructor(opts = {}) {
+    super(opts.sampleRate || 44100, 2);
+    this.currentTime = 0;
+    this.state = "running";
+  }
+
+  resume() {
+    this.state = "running";
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = "closed";
+    return Promise.resolve();
+  }
+}
+
+class OfflineAudioContext extends BaseAudioContext {
+  constructor(channels, length, sampleRate) {
+    super(sampleRate, channels);
+    this.channels = channels;
+    this.length = length;
+    this._frame = 0;
+    this._suspends = new Map();
+    this._resume = null;
+  }
+
+  get currentTime() {
+    return this._frame / this.sampleRate;
+  }
+
+  // Like the spec: t is floored to a 128-frame render quantum, and a suspend at
+  // or before the current frame, at or past the end, or twice in one quantum rejects.
+  suspend(t) {
+    const frame = Math.floor((t * this.sampleRate) / 128) * 128;
+    if (frame <= this._frame || frame >= this.length || this._suspends.has(frame)) {
+      return Promise.reject(invalidState(`cannot suspend at frame ${frame}`));
+    }
+    return new Promise((resolve) => this._suspends.set(frame, resolve));
+  }
+
+  resume() {
+    if (this._resume) this._resume();
+    this._resume = null;
+    return Promise.resolve();
+  }
+
+  async startRendering() {
+    const out = new AudioBuffer(this.channels, this.length, this.sampleRate);
+    for (let i = 0; i < this.length; i++) {
+      this._frame = i;
+      const suspended = this._suspends.get(i);
+      if (suspended) {
+        this._suspends.delete(i);
+        await new Promise((resume) => {
+          this._resume = resume;
+          suspended();
+        });
+      }
+      const v = this.destination.output(i, 0);
+      for (let c = 0; c < this.channels; c++) out.getChannelData(c)[i] = v[c];
+    }
+    this._frame = this.length;
+    return out;
+  }
+}
+
+module.exports = { AudioParam, AudioContext, OfflineAudioContext };
@@ -1,10 +1,22 @@
-const c=document.getElementById("q");
-if(c){
-  const x=c.getContext("2d");
-  let t=0;
-  function draw(){
-    x.clearRect(0,0,c.width,c.height);
-    x.strokeStyle=`hsl(${(Date.now()/60)%360},70%,60%)`;
+(function(root){
+  // QVis: draws a quantum state into #q. One qubit → Bloch-sphere projection,
+  // more → probability bars; no state (render(null)) → the idle animation.
+  // paint*() take any 2D context so scripts/render_frames.js can draw them headless.
+  //
+  // State JSON (states/*.json):
+  //   { "machine": "heavy-hex-27", "label": "GHZ", "qubits": 27,
+  //     "amplitudes": { "000…0": [0.7071, 0], "111…1": [0.7071, 0] } }
+  // amplitudes: a dense list (index i = basis state i) or a sparse map keyed by
+  // bitstring, each entry [re, im] or a real number. Bitstrings read qubit n−1 … 0
+  // left to right. The vector is renormalized; a zero vector is an error.
+
+  const MAX_QUBITS=32;
+  const MAX_BARS=32; // larger states show their most probable basis states
+
+  // Idle animation: 80-point sin/cos loop with a hue cycling on wall-clock time.
+  function paint(x, w, h, t, hue){
+    x.clearRect(0,0,w,h);
+    x.strokeStyle=`hsl(${hue},70%,60%)`;
     x.beginPath();
     for(let i=0;i<80;i++){
       x.lineTo(
@@ -13,8 +25,165 @@ if(c){
       );
     }
     x.stroke();
-    t+=0.025;
-    requestAnimationFrame(draw);
   }
-  draw();
-}
+
+  // → { qubits, label, machine, terms: [{ bits, re, im, p }] } with zero terms dropped
+  function normalize(s){
+    if(!s||typeof s!=="object") throw new Error("state must be an object");
+    const amps=s.amplitudes;
+    if(!amps||typeof amps!=="object") throw new Error("state.amplitudes must be a list or a bitstring map");
+    // a typed array holds interleaved re, im pairs (qsim output)
+    const pairs=ArrayBuffer.isView(amps),dense=pairs||Array.isArray(amps);
+    const keys=dense?null:Object.keys(amps);
+    const len=dense?amps.length/(pairs?2:1):0;
+    let n=s.qubits;
+    if(n==null) n=dense?Math.round(Math.log2(len)):Math.max(0,...keys.map((k)=>k.length));
+    if(!Number.isInteger(n)||n<1||n>MAX_QUBITS) throw new Error(`state.qubits must be an integer 1–${MAX_QUBITS}`);
+    if(dense&&len!==2**n) throw new Error(`state.amplitudes has ${len} entries, expected 2^${n} = ${2**n}`);
+    const terms=[];
+    const add=(bits,a)=>{
+      const [re,im]=typeof a==="number"?[a,0]:Array.isArray(a)?[a[0],a[1]||0]:[NaN,NaN];
+      if(!Number.isFinite(re)||!Number.isFinite(im)) throw new Error(`amplitude ${bits} must be a number or [re, im]`);
+      if(re||im) terms.push({bits,re,im,p:re*re+im*im});
+    };
+    if(dense){
+      for(let i=0;i<2**n;i++) add(i.toString(2).padStart(n,"0"),pairs?[amps[2*i],amps[2*i+1]]:amps[i]);
+    }else{
+      for(const k of keys){
+        if(k.length!==n||/[^01]/.test(k)) throw new Error(`amplitude key "${k}" is not a ${n}-bit string`);
+        add(k,amps[k]);
+      }
+      terms.sort((a,b)=>(a.bits<b.bits?-1:1));
+    }
+    const norm=terms.reduce((t,a)=>t+a.p,0);
+    if(!(norm>0)) throw new Error("state has no nonzero amplitude");
+    const k=1/Math.sqrt(norm);
+    for(const a of terms){ a.re*=k; a.im*=k; a.p/=norm; }
+    return {qubits:n,label:s.label||"",machine:s.machine||"",terms};
+  }
+
+  // Bloch vector of a one-qubit state α|0⟩ + β|1⟩: (2 Re ᾱβ, 2 Im ᾱβ, |α|² − |β|²)
+  function blochVector(st){
+    const get=(b)=>st.terms.find((a)=>a.bits===b)||{re:0,im:0,p:0};
+    const a=get("0"),b=get("1");
+    return {
+      x:2*(a.re*b.re+a.im*b.im),
+      y:2*(a.re*b.im-a.im*b.re),
+      z:a.p-b.p
+    };
+  }
+
+  // Orthographic view from azimuth 30°, elevation 20°; +z up.
+  function project(v,cx,cy,r){
+    const az=Math.PI/6,el=Math.PI/9;
+    const x1=v.x*Math.cos(az)-v.y*Math.sin(az);
+    const y1=v.x*Math.sin(az)+v.y*Math.cos(az);
+    return [cx+r*x1,cy-r*(v.z*Math.cos(el)-y1*Math.sin(el))];
+  }
+
+  function paintBloch(x, w, h, st, hue=200){
+    const v=blochVector(st);
+    const cx=w/2,cy=h/2,r=Math.min(w,h)*0.38;
+    x.clearRect(0,0,w,h);
+    x.lineWidth=1;
+    x.strokeStyle="#30363d";
+    x.beginPath(); x.arc(cx,cy,r,0,Math.PI*2); x.stroke();
+    // equator and axes
+    x.beginPath();
+    for(let i=0;i<=64;i++){
+      const a=i/64*Math.PI*2,[px,py]=project({x:Math.cos(a),y:Math.sin(a),z:0},cx,cy,r);
+      if(i) x.lineTo(px,py); else x.moveTo(px,py);
+    }
+    x.stroke();
+    x.font="10px monospace";
+    x.fillStyle="#8b949e";
+    for(const [lab,u] of [["x",{x:1,y:0,z:0}],["y",{x:0,y:1,z:0}],["|0⟩",{x:0,y:0,z:1}],["|1⟩",{x:0,y:0,z:-1}]]){
+      const [px,py]=project(u,cx,cy,r);
+      x.beginPath(); x.moveTo(cx,cy); x.lineTo(px,py); x.stroke();
+      x.fillText(lab,px+3,py+(u.z<0?10:-3));
+    }
+    // state vector
+    const [px,py]=project(v,cx,cy,r);
+    x.strokeStyle=x.fillStyle=`hsl(${hue},70%,60%)`;
+    x.lineWidth=2;
+    x.beginPath(); x.moveTo(cx,cy); x.lineTo(px,py); x.stroke();
+    x.beginPath(); x.arc(px,py,3,0,Math.PI*2); x.fill();
+    x.fillStyle="#8b949e";
+    x.fillText(`(${v.x.toFixed(2)}, ${v.y.toFixed(2)}, ${v.z.toFixed(2)})`,4,h-4);
+    return v;
+  }
+
+  // Basis-state probabilities, in basis order; past MAX_BARS only the most probable.
+  function paintBars(x, w, h, st, hue=200){
+    let bars=st.terms;
+    if(bars.length>MAX_BARS) bars=bars.slice().sort((a,b)=>b.p-a.p).slice(0,MAX_BARS).sort((a,b)=>(a.bits<b.bits?-1:1));
+    const top=14,bottom=h-14,bw=w/bars.length;
+    const pMax=Math.max(...bars.map((a)=>a.p));
+    x.clearRect(0,0,w,h);
+    x.strokeStyle="#30363d";
+    x.lineWidth=1;
+    x.beginPath(); x.moveTo(0,bottom+0.5); x.lineTo(w,bottom+0.5); x.stroke();
+    x.font="10px monospace";
+    bars.forEach((a,i)=>{
+      const bh=(bottom-top)*a.p/pMax;
+      // hue follows the phase so relative signs show
+      x.fillStyle=`hsl(${(hue+Math.atan2(a.im,a.re)*180/Math.PI+360)%360},70%,60%)`;
+      x.fillRect(i*bw+1,bottom-bh,Math.max(1,bw-2),bh);
+      if(bw>=st.qubits*6+4){
+        x.fillStyle="#8b949e";
+        x.fillText(a.bits,i*bw+1,h-3);
+      }
+    });
+    x.fillStyle="#8b949e";
+    const shown=bars.length<st.terms.length?` top ${bars.length} of ${st.terms.length}`:"";
+    x.fillText(`${st.qubits}q • max p=${pMax.toFixed(3)}${shown}`,4,10);
+    return bars;
+  }
+
+  // One frame of a normalized state: Bloch for one qubit, bars otherwise.
+  function paintState(x, w, h, st, hue){
+    return st.qubits===1?paintBloch(x,w,h,st,hue):paintBars(x,w,h,st,hue);
+  }
+
+  const api={paint,normalize,blochVector,paintBloch,paintBars,paintState,MAX_QUBITS};
+  if(typeof module==="object"&&module.exports){ module.exports=api; return; }
+  root.QVis=api;
+
+  const c=document.getElementById("q");
+  let shown=null; // normalized state, or null for idle
+
+  // Shows a state object (throws on a malformed one); null returns to idle.
+  api.render=function(state){
+    shown=state==null?null:normalize(state);
+    return shown;
+  };
+  // Runs a qsim.js circuit and renders the state it prepares; the result also
+  // carries the circuit's sampled counts (null without shots).
+  api.simulate=function(circuit){
+    if(!root.QSim) throw new Error("simulating a circuit needs qsim.js");
+    const run=root.QSim.run(circuit);
+    const st=api.render(root.QSim.toQVis(run.state,circuit));
+    st.counts=run.counts;
+    return st;
+  };
+  // Fetches a state JSON (e.g. states/heavy-hex-27.json) or a circuit JSON
+  // (circuits/*.json) and renders it.
+  api.load=function(url){
+    return fetch(url).then((r)=>{
+      if(!r.ok) throw new Error(`${url}: HTTP ${r.status}`);
+      return r.json();
+    }).then((s)=>(s&&s.kind==="qsim-circuit"?api.simulate(s):api.render(s)));
+  };
+
+  if(c){
+    const x=c.getContext("2d");
+    let t=0;
+    function draw(){
+      if(shown) paintState(x,c.width,c.height,shown,200);
+      else paint(x,c.width,c.height,t,(Date.now()/60)%360);
+      t+=0.025;
+      requestAnimationFrame(draw);
+    }
+    draw();
+  }
+})(typeof self!=="undefined"?self:this);
@@ -0,0 +1,118 @@
+/* Infinity × Watson Demo — chat providers (CSP‑safe external JS) */
+// A provider is { name, lines(ctx) } where lines() returns an (async) iterable of
+// [who, text] pairs. `text` is either a whole string or an async iterable of
+// string chunks (streamed tokens); typeSequence() in app.js types out both.
+// ctx = { f1, f2, phase, log, signal }.
+(function(root){
+  const DEFAULT_URL = 'http://127.0.0.1:8082';
+
+  const personas = {
+    Infinity: 'You are Infinity, one half of a terse two-AI duet shown on an oscilloscope demo. ' +
+      'Reply in one or two short sentences. Talk to Watson, not the audience.',
+    Watson: 'You are Watson, the other half of a terse two-AI duet shown on an oscilloscope demo. ' +
+      'Reply in one or two short sentences. Talk to Infinity, not the audience.'
+  };
+
+  // Wrap a generator function (like app.js script()) as a provider.
+  function fromGenerator(name, gen){
+    return { name, lines: (ctx)=>gen(ctx) };
+  }
+
+  // Streams choices[0].delta.content from an OpenAI-compatible SSE response.
+  async function* streamCompletion(url, body, signal){
+    let res;
+    try{
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify(body),
+        signal
+      });
+    }catch(e){
+      if(e && e.name === 'AbortError') return;
+      const err = new Error('connection refused at ' + url + ' (' + (e && e.message || e) + ')');
+      err.cause = e;
+      throw err;
+    }
+    if(!res.ok) throw new Error('HTTP ' + res.status + ' from ' + url);
+
+    // Servers that ignore stream:true answer with one JSON body.
+    const type = res.headers.get('content-type') || '';
+    if(!res.body || type.indexOf('event-stream') < 0){
+      const data = await res.json();
+      const c = data && data.choices && data.choices[0];
+      const text = c ? (c.message ? c.message.content : c.text) : '';
+      if(text) yield text;
+      return;
+    }
+
+    const reader = res.body.getReader();
+    const dec = new TextDecoder();
+    let buf = '';
+    try{
+      for(;;){
+        const { value, done } = await reader.read();
+        if(done) break;
+        buf += dec.decode(value, { stream: true });
+        let nl;
+        while((nl = buf.indexOf('\n')) >= 0){
+          const line = buf.slice(0, nl).trim(); buf = buf.slice(nl + 1);
+          if(line.indexOf('data:') !== 0) continue;
+          const payload = line.slice(5).trim();
+          if(payload === '[DONE]') return;
+          const chunk = parseDelta(payload);
+          if(chunk) yield chunk;
+        }
+      }
+    }catch(e){
+      if(e && e.name === 'AbortError') return;
+      throw e;
+    }finally{
+      try{ reader.releaseLock(); }catch(_){}
+    }
+  }
+
+  function parseDelta(payload){
+    let data;
+    try{ data = JSON.parse(payload); }catch(_){ return ''; }
+    const c = data && data.choices && data.choices[0];
+    if(!c) return '';
+    if(c.delta && typeof c.delta.content === 'string') return c.delta.content;
+    return typeof c.text === 'string' ? c.text : '';
+  }
+
+  // OpenAI-compatible /v1/chat/completions provider; the two speakers alternate,
+  // each seeing the other's lines as the user turn.
+  function openAIProvider(opts={}){
+    const baseUrl = (opts.baseUrl || DEFAULT_URL).replace(/\/+$/, '');
+    const url = baseUrl + '/v1/chat/completions';
+    const model = opts.model || 'local';
+    const turns = opts.turns || 6;
+    return {
+      name: 'openai(' + baseUrl + ')',
+      async *lines(ctx={}){
+        const history = [];
+        let who = 'Infinity';
+        for(let i=0; i<turns; i++){
+          const messages = [{ role: 'system', content: personas[who] }];
+          if(!history.length){
+            messages.push({ role: 'user', content: 'Open the link check. Scope is at X:Y = ' +
+              (+ctx.f1 || 0).toFixed(2) + ':' + (+ctx.f2 || 0).toFixed(2) + '.' });
+          }
+          for(const h of history) messages.push({ role: h.who === who ? 'assistant' : 'user', content: h.text });
+
+          const entry = { who, text: '' };
+          history.push(entry);
+          const stream = streamCompletion(url, { model, messages, stream: true, temperature: opts.temperature ?? 0.8 }, ctx.signal);
+          yield [who, (async function*(){ for await (const c of stream){ entry.text += c; yield c; } })()];
+          if(ctx.signal && ctx.signal.aborted) return;
+          who = who === 'Infinity' ? 'Watson' : 'Infinity';
+        }
+      }
+    };
+  }
+
+  const api = { fromGenerator, openAIProvider, streamCompletion, DEFAULT_URL };
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.WatsonChat = api;
+})(typeof self !== 'undefined' ? self : this);